@@ -2,8 +2,51 @@
 let map;
 let drawnItems;
 let isDrawing = false;
+let isEditing = false;
+let isCuttingHole = false;
+let holePoints = [];
+let holePreviewLayer = null;
 let polygonPoints = [];
 let currentPolygon = null;
+let vertexMarkers = [];
+let midpointMarkers = [];
+let geometryIssueLayer = null;
+
+// Every polygon of the AOI; polygonPoints/currentPolygon always refer to the selected one
+let aoiPolygons = [];
+let activePolygonId = null;
+let nextPolygonId = 1;
+
+// Where the current AOI's coordinates came from when it was uploaded: the file, its
+// source CRS and any heuristic correction. Sent with the request; null when drawn.
+let aoiSource = null;
+
+// Open coordinate entry panel and the polygon its table is bound to, or null
+let coordinatePanel = null;
+
+// Open buffer panel with its source, sketched points and preview, or null
+let bufferPanel = null;
+
+// Open simplification panel with the original geometry it started from, or null
+let simplifyPanel = null;
+
+const aoiPolygonStyle = {
+    color: '#0ea5e9',
+    fillColor: '#0ea5e9',
+    fillOpacity: 0.2,
+    weight: 3,
+    opacity: 0.8,
+    dashArray: null
+};
+
+const aoiInactivePolygonStyle = {
+    color: '#38bdf8',
+    fillColor: '#38bdf8',
+    fillOpacity: 0.12,
+    weight: 2,
+    opacity: 0.7,
+    dashArray: '6 4'
+};
 let areaCount = 0;
 let totalArea = 0;
 let lastUpdate = null;
@@ -15,11 +58,29 @@ let currentBaseLayer = 'satellite-labels';
 // Performance optimization: Cache DOM elements
 const DOMCache = {
     drawPolygon: null,
+    drawRectangle: null,
+    drawCircle: null,
+    drawLasso: null,
     editPolygon: null,
+    deletePolygon: null,
+    cutHole: null,
+    coordinateEntry: null,
+    bufferTool: null,
+    simplifyTool: null,
+    measureDistance: null,
+    measureArea: null,
+    snapToggle: null,
+    undoAction: null,
+    redoAction: null,
+    historyList: null,
     clearMap: null,
     saveArea: null,
     loadArea: null,
+    openDrafts: null,
     exportData: null,
+    backupLibrary: null,
+    restoreLibrary: null,
+    restoreLibraryInput: null,
     submitRequest: null,
     saveDraft: null,
     closeAnalysis: null,
@@ -37,7 +98,10 @@ const DOMCache = {
     perimeterValue: null,
     coordCount: null,
     validationStatus: null,
-    livePrice: null
+    livePrice: null,
+    aoiPolygonList: null,
+    geometryStatus: null,
+    geometryRepair: null
 };
 
 // Performance optimization: Debounce function
@@ -259,10 +323,13 @@ function hideUploadProgress() {
     }
 }
 
+// Files that make up an unzipped shapefile
+const SHAPEFILE_PART_EXTENSIONS = ['shp', 'shx', 'dbf', 'prj', 'cpg'];
+
 // File validation functions
 function validateFile(file) {
     const maxSize = 10 * 1024 * 1024; // 10MB
-    const allowedTypes = ['.kml', '.geojson', '.json', '.gpx', '.shp', '.zip'];
+    const allowedTypes = ['.kml', '.kmz', '.geojson', '.json', '.gpx', '.zip', ...SHAPEFILE_PART_EXTENSIONS.map(extension => '.' + extension)];
     const allowedMimeTypes = [
         'application/vnd.google-earth.kml+xml',
         'application/vnd.google-earth.kmz',
@@ -270,8 +337,16 @@ function validateFile(file) {
         'application/json',
         'application/gpx+xml',
         'application/zip',
-        'application/x-zip-compressed'
+        'application/x-zip-compressed',
+        // Shapefile parts (.shp, .shx, .dbf, .prj, .cpg)
+        'application/x-esri-shape',
+        'application/x-dbf',
+        'application/dbf',
+        'application/dbase'
     ];
+    // Browsers report types they do not know, which includes most shapefile parts,
+    // as one of these; the extension check alone decides for such files
+    const genericMimeTypes = ['application/octet-stream', 'text/plain'];
     
     // Check file size
     if (file.size > maxSize) {
@@ -286,12 +361,12 @@ function validateFile(file) {
     if (!allowedTypes.includes(fileExtension)) {
         return {
             valid: false,
-            error: `File "${file.name}" has an unsupported format. Supported formats: KML, GeoJSON, Shapefile, GPX.`
+            error: `File "${file.name}" has an unsupported format. Supported formats: KML, KMZ, GeoJSON, Shapefile, GPX.`
         };
     }
     
     // Check MIME type
-    if (file.type && !allowedMimeTypes.includes(file.type)) {
+    if (file.type && !genericMimeTypes.includes(file.type) && !allowedMimeTypes.includes(file.type)) {
         return {
             valid: false,
             error: `File "${file.name}" has an unsupported MIME type.`
@@ -326,47 +401,68 @@ function handleFileUpload(files) {
     }
 }
 
+function showUploadStatus(message, type = 'info') {
+    const status = document.querySelector('.upload-status');
+    if (!status) return;
+    
+    status.className = `upload-status show ${type}`;
+    status.textContent = message;
+}
+
 function processFileUpload(files) {
     showUploadProgress(0);
     showUploadStatus(`Processing ${files.length} file(s)...`, 'info');
     
-    let processedCount = 0;
-    
-    files.forEach((file, index) => {
-        const reader = new FileReader();
-        
-        reader.onload = function(e) {
-            try {
-                // Simulate file processing
-                setTimeout(() => {
-                    processedCount++;
-                    const progress = (processedCount / files.length) * 100;
-                    showUploadProgress(progress);
-                    
-                    if (processedCount === files.length) {
-                        showUploadStatus(`Successfully processed ${files.length} file(s)`, 'success');
-                        hideUploadProgress();
-                        
-                        // Here you would actually process the file content
-                        console.log('File processed:', file.name);
-                    }
-                }, 1000);
-            } catch (error) {
-                showUploadStatus(`Error processing file "${file.name}": ${error.message}`, 'error');
-            }
-        };
-        
-        reader.onerror = function() {
-            showUploadStatus(`Error reading file "${file.name}"`, 'error');
-        };
-        
-        // Read file based on type
-        if (file.name.toLowerCase().endsWith('.json') || file.name.toLowerCase().endsWith('.geojson')) {
-            reader.readAsText(file);
+    // Loose shapefile parts are read together as one dataset
+    const shapefileParts = {};
+    const otherFiles = [];
+    files.forEach(file => {
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (SHAPEFILE_PART_EXTENSIONS.includes(extension)) {
+            shapefileParts[extension] = file;
         } else {
-            reader.readAsText(file);
+            otherFiles.push(file);
         }
     });
+    
+    const hasShapefileParts = Object.keys(shapefileParts).length > 0;
+    if (hasShapefileParts && !shapefileParts.shp) {
+        hideUploadProgress();
+        showUploadStatus('Shapefiles need their .shp file. Select the .shp, .shx, .dbf and .prj together or upload them as one .zip.', 'error');
+        return;
+    }
+    
+    const fileName = hasShapefileParts ? shapefileParts.shp.name : otherFiles[0].name;
+    if (otherFiles.length + (hasShapefileParts ? 1 : 0) > 1) {
+        showNotification(`Only one boundary can be loaded at a time; using ${escapeHtml(fileName)}.`, 'warning');
+    }
+    
+    showUploadProgress(30);
+    
+    const onProcessed = (success, data) => {
+        showUploadProgress(100);
+        hideUploadProgress();
+        
+        if (!success) {
+            showUploadStatus(`Could not load ${fileName}`, 'error');
+            return;
+        }
+        
+        showUploadStatus(`Successfully processed ${fileName}`, 'success');
+        displayUploadedData(data, fileName);
+    };
+    
+    if (hasShapefileParts) {
+        parseShapefileParts(shapefileParts)
+            .then(data => onProcessed(true, data))
+            .catch(error => {
+                console.error('Error processing shapefile:', error);
+                showNotification(`Error processing ${escapeHtml(fileName)}: ${escapeHtml(error.message)}`, 'error');
+                onProcessed(false, null);
+            });
+    } else {
+        processFile(otherFiles[0], onProcessed);
+    }
 }
 
 // Initialize map when page loads
@@ -401,11 +497,29 @@ document.addEventListener('DOMContentLoaded', function() {
 // Cache DOM elements for better performance
 function cacheDOMElements() {
     DOMCache.drawPolygon = document.getElementById('drawPolygon');
+    DOMCache.drawRectangle = document.getElementById('drawRectangle');
+    DOMCache.drawCircle = document.getElementById('drawCircle');
+    DOMCache.drawLasso = document.getElementById('drawLasso');
     DOMCache.editPolygon = document.getElementById('editPolygon');
+    DOMCache.deletePolygon = document.getElementById('deletePolygon');
+    DOMCache.cutHole = document.getElementById('cutHole');
+    DOMCache.coordinateEntry = document.getElementById('coordinateEntry');
+    DOMCache.bufferTool = document.getElementById('bufferTool');
+    DOMCache.simplifyTool = document.getElementById('simplifyTool');
+    DOMCache.measureDistance = document.getElementById('measureDistance');
+    DOMCache.measureArea = document.getElementById('measureArea');
+    DOMCache.snapToggle = document.getElementById('snapToggle');
+    DOMCache.undoAction = document.getElementById('undoAction');
+    DOMCache.redoAction = document.getElementById('redoAction');
+    DOMCache.historyList = document.getElementById('historyList');
     DOMCache.clearMap = document.getElementById('clearMap');
     DOMCache.saveArea = document.getElementById('saveArea');
     DOMCache.loadArea = document.getElementById('loadArea');
+    DOMCache.openDrafts = document.getElementById('openDrafts');
     DOMCache.exportData = document.getElementById('exportData');
+    DOMCache.backupLibrary = document.getElementById('backupLibrary');
+    DOMCache.restoreLibrary = document.getElementById('restoreLibrary');
+    DOMCache.restoreLibraryInput = document.getElementById('restoreLibraryInput');
     DOMCache.submitRequest = document.getElementById('submitRequest');
     DOMCache.saveDraft = document.getElementById('saveDraft');
     DOMCache.closeAnalysis = document.getElementById('closeAnalysis');
@@ -424,6 +538,9 @@ function cacheDOMElements() {
     DOMCache.coordCount = document.getElementById('coordCount');
     DOMCache.validationStatus = document.getElementById('validationStatus');
     DOMCache.livePrice = document.getElementById('livePrice');
+    DOMCache.aoiPolygonList = document.getElementById('aoiPolygonList');
+    DOMCache.geometryStatus = document.getElementById('geometryStatus');
+    DOMCache.geometryRepair = document.getElementById('geometryRepair');
 }
 
 function initializeMapWithErrorHandling() {
@@ -469,6 +586,9 @@ function initializeMapWithErrorHandling() {
         drawnItems = new L.FeatureGroup();
         map.addLayer(drawnItems);
         
+        // Markers for self-intersections, duplicate vertices and spikes
+        geometryIssueLayer = L.layerGroup().addTo(map);
+        
         // Add custom controls
         addCustomControls();
         
@@ -476,14 +596,17 @@ function initializeMapWithErrorHandling() {
         map.on('click', throttle(onMapClick, 100));
         map.on('dblclick', throttle(onMapDoubleClick, 200));
         map.on('contextmenu', throttle(onMapRightClick, 100));
+        map.on('mousedown', onShapeMouseDown);
+        map.on('mousemove', onShapeMouseMove);
+        map.on('mouseup', onShapeMouseUp);
+        map.on('mousemove', rafThrottle(updateSnapIndicator));
+        map.on('mousemove', rafThrottle(onMeasureMouseMove));
+        map.on('mouseout', () => updateSnapIndicator(null));
         map.on('zoomend', debounce(onZoomEnd, 300));
         
-        // Add moveend event for performance monitoring
+        // Vertex handles are only kept for the part of the AOI in view
         map.on('moveend', rafThrottle(() => {
-            // Update stats when map moves
-            if (currentPolygon) {
-                updateAreaInfo(calculatePolygonArea(polygonPoints), calculatePolygonPerimeter(polygonPoints), polygonPoints);
-            }
+            if (polygonPoints.length > 0) updateVertexHandles();
         }));
         
         // Success - hide loading
@@ -626,13 +749,50 @@ function addCustomControls() {
 function setupEventListeners() {
     // Use cached DOM elements for better performance
     if (DOMCache.drawPolygon) DOMCache.drawPolygon.addEventListener('click', startDrawing);
+    if (DOMCache.drawRectangle) DOMCache.drawRectangle.addEventListener('click', () => startShapeDrawing('rectangle'));
+    if (DOMCache.drawCircle) DOMCache.drawCircle.addEventListener('click', () => startShapeDrawing('circle'));
+    if (DOMCache.drawLasso) DOMCache.drawLasso.addEventListener('click', () => startShapeDrawing('lasso'));
     if (DOMCache.editPolygon) DOMCache.editPolygon.addEventListener('click', editMode);
-    if (DOMCache.clearMap) DOMCache.clearMap.addEventListener('click', clearMap);
+    if (DOMCache.deletePolygon) DOMCache.deletePolygon.addEventListener('click', () => deletePolygon(activePolygonId));
+    if (DOMCache.cutHole) DOMCache.cutHole.addEventListener('click', startCuttingHole);
+    if (DOMCache.coordinateEntry) DOMCache.coordinateEntry.addEventListener('click', toggleCoordinatePanel);
+    if (DOMCache.bufferTool) DOMCache.bufferTool.addEventListener('click', toggleBufferPanel);
+    if (DOMCache.simplifyTool) DOMCache.simplifyTool.addEventListener('click', toggleSimplifyPanel);
+    if (DOMCache.measureDistance) DOMCache.measureDistance.addEventListener('click', () => toggleMeasureTool('distance'));
+    if (DOMCache.measureArea) DOMCache.measureArea.addEventListener('click', () => toggleMeasureTool('area'));
+    setupSnapControls();
+    if (DOMCache.clearMap) DOMCache.clearMap.addEventListener('click', () => clearMap());
+    
+    // History: undo/redo buttons and jumping to any listed state
+    if (DOMCache.undoAction) DOMCache.undoAction.addEventListener('click', undoAoiEdit);
+    if (DOMCache.redoAction) DOMCache.redoAction.addEventListener('click', redoAoiEdit);
+    if (DOMCache.historyList) {
+        DOMCache.historyList.addEventListener('click', e => {
+            const item = e.target.closest('.history-item');
+            if (item) goToHistoryPosition(Number(item.dataset.position));
+        });
+    }
+    
+    const repairSplit = document.getElementById('repairSplit');
+    const repairReorder = document.getElementById('repairReorder');
+    if (repairSplit) repairSplit.addEventListener('click', () => repairAoiGeometry('split'));
+    if (repairReorder) repairReorder.addEventListener('click', () => repairAoiGeometry('reorder'));
 
     // Data management buttons
     if (DOMCache.saveArea) DOMCache.saveArea.addEventListener('click', saveArea);
     if (DOMCache.loadArea) DOMCache.loadArea.addEventListener('click', loadArea);
+    if (DOMCache.openDrafts) DOMCache.openDrafts.addEventListener('click', openDrafts);
     if (DOMCache.exportData) DOMCache.exportData.addEventListener('click', exportData);
+    if (DOMCache.backupLibrary) DOMCache.backupLibrary.addEventListener('click', backupLibrary);
+    if (DOMCache.restoreLibrary && DOMCache.restoreLibraryInput) {
+        DOMCache.restoreLibrary.addEventListener('click', () => DOMCache.restoreLibraryInput.click());
+        DOMCache.restoreLibraryInput.addEventListener('change', () => {
+            const file = DOMCache.restoreLibraryInput.files[0];
+            // Cleared so choosing the same file again still fires change
+            DOMCache.restoreLibraryInput.value = '';
+            if (file) restoreLibrary(file);
+        });
+    }
 
     // Request buttons
     if (DOMCache.submitRequest) DOMCache.submitRequest.addEventListener('click', submitRequest);
@@ -657,6 +817,9 @@ function setupEventListeners() {
     // Check if coming from services page and auto-select draw mode
     checkUrlParams();
     
+    // Keep work in progress as a draft
+    startAutosave();
+    
     // Add keyboard shortcuts for better UX
     setupKeyboardShortcuts();
 }
@@ -667,12 +830,51 @@ function setupKeyboardShortcuts() {
         // Only handle shortcuts when not typing in input fields
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
         
+        if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                undoAoiEdit();
+                e.preventDefault();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                redoAoiEdit();
+                e.preventDefault();
+            }
+        }
+        
+        // Leave other browser shortcuts (Ctrl+C, Ctrl+D, ...) alone
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
         switch(e.key) {
             case 'd':
             case 'D':
                 if (DOMCache.drawPolygon) startDrawing();
                 e.preventDefault();
                 break;
+            case 'r':
+            case 'R':
+                if (DOMCache.drawRectangle) startShapeDrawing('rectangle');
+                e.preventDefault();
+                break;
+            case 'o':
+            case 'O':
+                if (DOMCache.drawCircle) startShapeDrawing('circle');
+                e.preventDefault();
+                break;
+            case 'l':
+            case 'L':
+                if (DOMCache.drawLasso) startShapeDrawing('lasso');
+                e.preventDefault();
+                break;
+            case 'm':
+            case 'M':
+                if (DOMCache.measureDistance) toggleMeasureTool('distance');
+                e.preventDefault();
+                break;
+            case 'a':
+            case 'A':
+                if (DOMCache.measureArea) toggleMeasureTool('area');
+                e.preventDefault();
+                break;
             case 'e':
             case 'E':
                 if (DOMCache.editPolygon) editMode();
@@ -683,8 +885,30 @@ function setupKeyboardShortcuts() {
                 if (DOMCache.clearMap) clearMap();
                 e.preventDefault();
                 break;
+            case 'h':
+            case 'H':
+                if (DOMCache.cutHole) startCuttingHole();
+                e.preventDefault();
+                break;
+            case 's':
+            case 'S':
+                if (DOMCache.snapToggle) toggleSnapping();
+                e.preventDefault();
+                break;
+            case 'Delete':
+                if (!isDrawing && activePolygonId !== null) {
+                    deletePolygon(activePolygonId);
+                    e.preventDefault();
+                }
+                break;
             case 'Escape':
+                if (measurement) stopMeasuring();
+                if (shapeDrawing) stopShapeDrawing();
+                if (bufferPanel) closeBufferPanel();
+                if (simplifyPanel) closeSimplifyPanel();
                 if (isDrawing) stopDrawing();
+                if (isEditing) stopEditing();
+                if (isCuttingHole) cancelCuttingHole();
                 break;
         }
     });
@@ -696,24 +920,20 @@ function startDrawing() {
         return;
     }
 
-    isDrawing = true;
-    
-    // Use cached DOM element for better performance
-    if (DOMCache.drawPolygon) {
-        DOMCache.drawPolygon.innerHTML = '<i class="fas fa-stop"></i><span>Stop Drawing</span>';
-        DOMCache.drawPolygon.classList.add('active');
-    }
+    if (isEditing) stopEditing();
+    if (isCuttingHole) stopCuttingHole();
+    if (bufferPanel) closeBufferPanel();
+    if (shapeDrawing) stopShapeDrawing();
+    if (measurement) stopMeasuring();
+    enterDrawingMode();
 
-    // Clear previous drawing if exists
-    if (currentPolygon) {
-        drawnItems.removeLayer(currentPolygon);
-        currentPolygon = null;
-    }
-    polygonPoints = [];
+    // Start a new polygon next to any existing ones
+    selectPolygon(createAoiPolygon([]).id);
 
-    // Change cursor and show status
-    map.getContainer().style.cursor = 'crosshair';
-    updateDrawingStatus('Click on the map to create polygon points. Double-click to finish.');
+    // Show status
+    updateDrawingStatus(aoiPolygons.length > 1
+        ? `Drawing polygon ${aoiPolygons.length}. Click on the map to create points. Double-click to finish.`
+        : 'Click on the map to create polygon points. Double-click to finish.');
     
     // Show analysis panel
     showAnalysisPanel();
@@ -722,6 +942,18 @@ function startDrawing() {
     showNotification('Drawing mode activated. Press Escape to cancel.', 'info');
 }
 
+function enterDrawingMode() {
+    isDrawing = true;
+    
+    // Use cached DOM element for better performance
+    if (DOMCache.drawPolygon) {
+        DOMCache.drawPolygon.innerHTML = '<i class="fas fa-stop"></i><span>Stop Drawing</span>';
+        DOMCache.drawPolygon.classList.add('active');
+    }
+    
+    map.getContainer().style.cursor = 'crosshair';
+}
+
 function stopDrawing() {
     isDrawing = false;
     
@@ -733,593 +965,4464 @@ function stopDrawing() {
     
     map.getContainer().style.cursor = '';
     updateDrawingStatus('Click "Draw Area" to start creating polygons');
-}
-
-function editMode() {
-    if (polygonPoints.length < 3) {
-        showNotification('No area to edit. Please draw an area first.', 'warning');
-        return;
-    }
     
-    showNotification('Edit mode activated. Click on polygon vertices to move them.', 'info');
-    // Implement edit mode functionality here
+    // Drop a polygon that was abandoned before it had 3 points
+    const active = getActivePolygon();
+    if (active && active.points.length < 3) {
+        removeAoiPolygon(active.id);
+        recordAoiCommand('Discard unfinished polygon');
+    }
 }
 
-function onMapClick(e) {
-    if (!isDrawing) return;
-
-    const lat = e.latlng.lat;
-    const lng = e.latlng.lng;
-
-    polygonPoints.push([lat, lng]);
-
-    // Add marker for visual feedback
-    const marker = L.marker([lat, lng], {
-        icon: L.divIcon({
-            className: 'custom-marker',
-            html: `<div style="
-                background: var(--primary-500);
-                color: white;
-                border-radius: 50%;
-                width: 24px;
-                height: 24px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                font-size: 12px;
-                font-weight: bold;
-                border: 2px solid white;
-                box-shadow: var(--shadow-lg);
-            ">${polygonPoints.length}</div>`,
-            iconSize: [24, 24],
-            iconAnchor: [12, 12]
-        })
-    }).addTo(drawnItems);
+// Shape drawing: a rectangle dragged corner to corner, a circle dragged out from its
+// centre and a freehand lasso simplified on release. Each shape becomes an ordinary
+// AOI polygon; the circle is stored as a polygon with CIRCLE_SEGMENTS vertices.
+const CIRCLE_SEGMENTS = 64;
+const LASSO_TOLERANCE_PX = 2;
+const MIN_SHAPE_DRAG_PX = 5;
+
+const SHAPE_MODES = {
+    rectangle: { button: 'drawRectangle', label: 'Rectangle', status: 'Drag on the map to draw a rectangle.' },
+    circle: { button: 'drawCircle', label: 'Circle', status: 'Drag out from the centre to draw a circle.' },
+    lasso: { button: 'drawLasso', label: 'Lasso', status: 'Hold the mouse button down and draw around the area.' }
+};
 
-    // If we have at least 3 points, create/update polygon
-    if (polygonPoints.length >= 3) {
-        // Remove existing polygon if any
-        if (currentPolygon) {
-            drawnItems.removeLayer(currentPolygon);
-        }
+const shapePreviewStyle = {
+    color: '#0ea5e9',
+    fillColor: '#0ea5e9',
+    fillOpacity: 0.15,
+    weight: 2,
+    dashArray: '6 4',
+    interactive: false
+};
 
-        // Create new polygon
-        currentPolygon = L.polygon(polygonPoints, {
-            color: '#0ea5e9',
-            fillColor: '#0ea5e9',
-            fillOpacity: 0.2,
-            weight: 3,
-            opacity: 0.8
-        }).addTo(drawnItems);
+// { mode, start, latlngs, layer, readout } while a shape mode is active
+let shapeDrawing = null;
 
-        // Calculate area and perimeter
-        const area = calculatePolygonArea(polygonPoints);
-        const perimeter = calculatePolygonPerimeter(polygonPoints);
-        updateAreaInfo(area, perimeter, polygonPoints);
+function startShapeDrawing(mode) {
+    if (shapeDrawing) {
+        const sameMode = shapeDrawing.mode === mode;
+        stopShapeDrawing();
+        if (sameMode) return;
     }
+    
+    if (isDrawing) stopDrawing();
+    if (isEditing) stopEditing();
+    if (isCuttingHole) stopCuttingHole();
+    if (bufferPanel) closeBufferPanel();
+    if (measurement) stopMeasuring();
+    
+    shapeDrawing = { mode, start: null, latlngs: [], layer: null, readout: null };
+    
+    // Dragging draws instead of panning; the wheel still zooms
+    map.dragging.disable();
+    map.getContainer().style.cursor = 'crosshair';
+    const button = DOMCache[SHAPE_MODES[mode].button];
+    if (button) button.classList.add('active');
+    
+    updateDrawingStatus(`${SHAPE_MODES[mode].status} Press Escape to cancel.`);
 }
 
-function onMapDoubleClick(e) {
-    if (isDrawing && polygonPoints.length >= 3) {
-        stopDrawing();
-        
-        // Fit map to show the polygon
-        if (currentPolygon) {
-            map.fitBounds(currentPolygon.getBounds(), {padding: [20, 20]});
-        }
-        
-        showNotification('Area drawing completed!', 'success');
-    }
+function stopShapeDrawing() {
+    if (!shapeDrawing) return;
+    
+    const button = DOMCache[SHAPE_MODES[shapeDrawing.mode].button];
+    if (button) button.classList.remove('active');
+    clearShapePreview();
+    shapeDrawing = null;
+    
+    map.dragging.enable();
+    map.getContainer().style.cursor = '';
 }
 
-function onMapRightClick(e) {
-    if (isDrawing && polygonPoints.length > 0) {
-        // Remove last point
-        polygonPoints.pop();
-        
-        // Clear all markers and redraw
-        drawnItems.clearLayers();
-        
-        // Redraw markers
-        polygonPoints.forEach((point, index) => {
-            L.marker(point, {
-                icon: L.divIcon({
-                    className: 'custom-marker',
-                    html: `<div style="
-                        background: var(--primary-500);
-                        color: white;
-                        border-radius: 50%;
-                        width: 24px;
-                        height: 24px;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                        font-size: 12px;
-                        font-weight: bold;
-                        border: 2px solid white;
-                        box-shadow: var(--shadow-lg);
-                    ">${index + 1}</div>`,
-                    iconSize: [24, 24],
-                    iconAnchor: [12, 12]
-                })
-            }).addTo(drawnItems);
-        });
-        
-        // Redraw polygon if we have enough points
-        if (polygonPoints.length >= 3) {
-            currentPolygon = L.polygon(polygonPoints, {
-                color: '#0ea5e9',
-                fillColor: '#0ea5e9',
-                fillOpacity: 0.2,
-                weight: 3,
-                opacity: 0.8
-            }).addTo(drawnItems);
-            
-            const area = calculatePolygonArea(polygonPoints);
-            const perimeter = calculatePolygonPerimeter(polygonPoints);
-            updateAreaInfo(area, perimeter, polygonPoints);
-        } else {
-            updateAreaInfo(0, 0, []);
-        }
-    }
+function clearShapePreview() {
+    if (shapeDrawing.layer) map.removeLayer(shapeDrawing.layer);
+    if (shapeDrawing.readout) map.removeLayer(shapeDrawing.readout);
+    shapeDrawing.layer = null;
+    shapeDrawing.readout = null;
 }
 
-function onZoomEnd(e) {
-    const currentZoom = map.getZoom();
-    const maxZoom = map.getMaxZoom();
-    
-    // Show notification if user reaches maximum zoom
-    if (currentZoom >= maxZoom) {
-        showNotification('Maximum zoom level reached. Switch to OpenStreetMap for higher detail.', 'info');
-    }
+// Rectangle corners and circle centres snap like clicked vertices; the lasso does not
+function getShapeLatLng(e) {
+    return shapeDrawing.mode === 'lasso' ? e.latlng : snapLatLng(e.latlng, e.originalEvent).latlng;
 }
 
-// Optimized polygon area calculation with caching
-const areaCalculationCache = new Map();
+function onShapeMouseDown(e) {
+    if (!shapeDrawing || e.originalEvent.button !== 0) return;
     
-function calculatePolygonArea(points) {
-    if (points.length < 3) return 0;
+    const latlng = getShapeLatLng(e);
+    shapeDrawing.start = latlng;
+    shapeDrawing.latlngs = [latlng];
+}
+
+function onShapeMouseMove(e) {
+    if (!shapeDrawing || !shapeDrawing.start) return;
     
-    // Create cache key from points
-    const cacheKey = points.map(p => `${p[0].toFixed(6)},${p[1].toFixed(6)}`).join('|');
+    // The button was released outside the map
+    if (e.originalEvent.buttons === 0) {
+        onShapeMouseUp(e);
+        return;
+    }
     
-    // Check cache first
-    if (areaCalculationCache.has(cacheKey)) {
-        return areaCalculationCache.get(cacheKey);
+    if (shapeDrawing.mode === 'lasso') {
+        const last = shapeDrawing.latlngs[shapeDrawing.latlngs.length - 1];
+        if (map.latLngToContainerPoint(last).distanceTo(e.containerPoint) < LASSO_TOLERANCE_PX) return;
+        shapeDrawing.latlngs.push(e.latlng);
     }
     
-    let area = 0;
-    const n = points.length;
+    const shape = getShapeGeometry(getShapeLatLng(e));
+    if (shapeDrawing.layer) {
+        shapeDrawing.layer.setLatLngs(shape.points);
+    } else {
+        shapeDrawing.layer = L.polygon(shape.points, shapePreviewStyle).addTo(map);
+    }
     
-    // Optimized Shoelace formula - use bitwise operations where possible
-    for (let i = 0; i < n; i++) {
-        const j = (i + 1) % n;
-        area += points[i][1] * points[j][0]; // longitude * latitude
-        area -= points[j][1] * points[i][0]; // longitude * latitude
+    if (!shapeDrawing.readout) {
+        shapeDrawing.readout = L.tooltip({ permanent: true, direction: 'right', offset: [14, 0], className: 'shape-readout' });
+        shapeDrawing.readout.setLatLng(e.latlng).addTo(map);
     }
+    shapeDrawing.readout.setLatLng(e.latlng).setContent(shape.readout);
+}
+
+function onShapeMouseUp(e) {
+    if (!shapeDrawing || !shapeDrawing.start) return;
     
-    area = Math.abs(area) * 0.5; // Use multiplication instead of division
+    const mode = shapeDrawing.mode;
+    const end = getShapeLatLng(e);
+    const dragged = mode === 'lasso'
+        ? shapeDrawing.latlngs.length >= 3
+        : map.latLngToContainerPoint(shapeDrawing.start).distanceTo(map.latLngToContainerPoint(end)) >= MIN_SHAPE_DRAG_PX;
+    const shape = dragged ? getShapeGeometry(end) : null;
     
-    // Optimized latitude calculation
-    let latSum = 0;
-    for (let i = 0; i < n; i++) {
-        latSum += points[i][0];
+    shapeDrawing.start = null;
+    clearShapePreview();
+    
+    if (!shape) {
+        showNotification(mode === 'lasso' ? 'Hold the mouse button down while drawing around the area.' : `Drag on the map to draw a ${mode}.`, 'info');
+        return;
     }
-    const avgLat = latSum / n;
-    const latRad = avgLat * Math.PI / 180;
     
-    // Pre-calculated constants for better performance
-    const metersPerDegreeLat = 111320;
-    const metersPerDegreeLng = metersPerDegreeLat * Math.cos(latRad);
-    const conversionFactor = metersPerDegreeLat * metersPerDegreeLng / 1000000;
+    stopShapeDrawing();
+    const points = mode === 'lasso' ? simplifyLasso(shape.points) : shape.points;
     
-    // Convert area from degrees² to km²
-    const areaKm2 = area * conversionFactor;
+    // Circle and lasso outlines are dense, so only rectangles get numbered markers
+    const entry = createAoiPolygon(points, { showVertices: mode === 'rectangle' });
+    addPolygonLayer(entry);
+    selectPolygon(entry.id);
+    showAnalysisPanel();
+    recordAoiCommand(`Draw ${mode}`);
     
-    // Cache the result (limit cache size to prevent memory issues)
-    if (areaCalculationCache.size < 50) {
-        areaCalculationCache.set(cacheKey, areaKm2);
+    updateDrawingStatus(`${SHAPE_MODES[mode].label} added`, true);
+    showNotification(`${SHAPE_MODES[mode].label} drawn: ${formatArea(getPolygonArea(entry))}`, 'success');
+}
+
+// The shape from the drag start to `end` as { points, readout }
+function getShapeGeometry(end) {
+    const start = shapeDrawing.start;
+    let points;
+    let readout;
+    
+    if (shapeDrawing.mode === 'rectangle') {
+        const bounds = L.latLngBounds(start, end);
+        points = [
+            [bounds.getSouth(), bounds.getWest()],
+            [bounds.getNorth(), bounds.getWest()],
+            [bounds.getNorth(), bounds.getEast()],
+            [bounds.getSouth(), bounds.getEast()]
+        ];
+        const width = map.distance([bounds.getCenter().lat, bounds.getWest()], [bounds.getCenter().lat, bounds.getEast()]);
+        const height = map.distance([bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getWest()]);
+        readout = `${formatPerimeter(width / 1000)} × ${formatPerimeter(height / 1000)}`;
+    } else if (shapeDrawing.mode === 'circle') {
+        const circle = createCirclePoints([start.lat, start.lng], [end.lat, end.lng]);
+        points = circle.points;
+        readout = `Radius: ${formatPerimeter(circle.radius / 1000)}`;
     } else {
-        // Clear oldest entries to prevent memory leaks
-        const keysToDelete = Array.from(areaCalculationCache.keys()).slice(0, 25);
-        keysToDelete.forEach(key => areaCalculationCache.delete(key));
-        areaCalculationCache.set(cacheKey, areaKm2);
+        points = shapeDrawing.latlngs.map(latlng => [latlng.lat, latlng.lng]);
+        readout = `${points.length} points`;
     }
     
-    return areaKm2;
+    return { points, readout: `${readout}<br>${formatArea(calculatePolygonArea(points))}` };
 }
 
-// Optimized perimeter calculation with caching
-const perimeterCalculationCache = new Map();
-
-function calculatePolygonPerimeter(points) {
-    if (points.length < 2) return 0;
-    
-    // Create cache key from points
-    const cacheKey = points.map(p => `${p[0].toFixed(6)},${p[1].toFixed(6)}`).join('|');
+// Polygon approximating a circle around `center` through `edge`, built in metres on a
+// projection centred on the circle so the radius is true in every direction
+function createCirclePoints(center, edge) {
+    const projection = createLocalProjection([center]);
+    const [x, y] = projection.forward(center);
+    const [edgeX, edgeY] = projection.forward(edge);
+    const radius = Math.hypot(edgeX - x, edgeY - y);
     
-    // Check cache first
-    if (perimeterCalculationCache.has(cacheKey)) {
-        return perimeterCalculationCache.get(cacheKey);
+    const points = [];
+    for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+        const angle = 2 * Math.PI * i / CIRCLE_SEGMENTS;
+        points.push(projection.inverse([x + radius * Math.sin(angle), y + radius * Math.cos(angle)]));
     }
+    return { points, radius };
+}
+
+// Drops the hand jitter from a lasso outline: anything within LASSO_TOLERANCE_PX of the
+// line at the current zoom
+function simplifyLasso(points) {
+    const center = map.getSize().divideBy(2);
+    const metresPerPixel = map.distance(map.containerPointToLatLng(center), map.containerPointToLatLng(center.add([1, 0])));
     
-    let perimeter = 0;
-    const n = points.length;
-    const earthRadius = 6371000; // Earth's radius in meters
+    try {
+        const [simplified] = simplifyPolygons([{ points, holes: [] }], LASSO_TOLERANCE_PX * metresPerPixel);
+        if (simplified && simplified.points.length >= 3) return simplified.points;
+    } catch (error) {
+        console.error('Lasso simplification failed:', error);
+    }
+    return points;
+}
+
+function editMode() {
+    if (isEditing) {
+        stopEditing();
+        return;
+    }
     
-    // Pre-calculate trigonometric values for better performance
-    const cosLat1 = Math.cos(points[0][0] * Math.PI / 180);
+    if (isDrawing) stopDrawing();
+    if (isCuttingHole) stopCuttingHole();
+    if (bufferPanel) closeBufferPanel();
+    if (shapeDrawing) stopShapeDrawing();
+    if (measurement) stopMeasuring();
     
-    for (let i = 0; i < n; i++) {
-        const j = (i + 1) % n;
-        const lat1 = points[i][0] * Math.PI / 180;
-        const lat2 = points[j][0] * Math.PI / 180;
-        const deltaLat = lat2 - lat1;
-        const deltaLng = (points[j][1] - points[i][1]) * Math.PI / 180;
-        
-        // Optimized Haversine formula
-        const sinDeltaLat = Math.sin(deltaLat * 0.5);
-        const sinDeltaLng = Math.sin(deltaLng * 0.5);
-        const cosLat2 = Math.cos(lat2);
-        
-        const a = sinDeltaLat * sinDeltaLat + cosLat1 * cosLat2 * sinDeltaLng * sinDeltaLng;
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        const distance = earthRadius * c;
-        
-        perimeter += distance;
+    if (polygonPoints.length < 3) {
+        showNotification('No area to edit. Please draw an area first.', 'warning');
+        return;
     }
     
-    const perimeterKm = perimeter * 0.001; // Convert to kilometers
+    isEditing = true;
     
-    // Cache the result (limit cache size to prevent memory issues)
-    if (perimeterCalculationCache.size < 50) {
-        perimeterCalculationCache.set(cacheKey, perimeterKm);
-    } else {
-        // Clear oldest entries to prevent memory leaks
-        const keysToDelete = Array.from(perimeterCalculationCache.keys()).slice(0, 25);
-        keysToDelete.forEach(key => perimeterCalculationCache.delete(key));
-        perimeterCalculationCache.set(cacheKey, perimeterKm);
+    if (DOMCache.editPolygon) {
+        DOMCache.editPolygon.innerHTML = '<i class="fas fa-check"></i><span>Finish Editing</span>';
+        DOMCache.editPolygon.classList.add('active');
     }
     
-    return perimeterKm;
-}
-
-function calculateCentroid(points) {
-    // Calculate the centroid (center point) of the polygon
-    if (points.length === 0) return null;
-    
-    let x = 0, y = 0;
-    points.forEach(point => {
-        x += point[1]; // longitude
-        y += point[0]; // latitude
-    });
+    // Sets the status line too, since it depends on how many handles fit in view
+    renderVertexMarkers();
     
-    return [y / points.length, x / points.length]; // [lat, lng]
+    showNotification('Edit mode activated. Press Escape or E when you are done.', 'info');
 }
 
-function calculateBoundingBox(points) {
-    // Calculate the bounding box (min/max coordinates)
-    if (points.length === 0) return null;
+function stopEditing() {
+    isEditing = false;
     
-    let minLat = points[0][0], maxLat = points[0][0];
-    let minLng = points[0][1], maxLng = points[0][1];
+    if (DOMCache.editPolygon) {
+        DOMCache.editPolygon.innerHTML = '<i class="fas fa-edit"></i><span>Edit</span>';
+        DOMCache.editPolygon.classList.remove('active');
+    }
     
-    points.forEach(point => {
-        minLat = Math.min(minLat, point[0]);
-        maxLat = Math.max(maxLat, point[0]);
-        minLng = Math.min(minLng, point[1]);
-        maxLng = Math.max(maxLng, point[1]);
-    });
+    clearMidpointMarkers();
     
-    return {
-        minLat, maxLat, minLng, maxLng,
-        width: maxLng - minLng,
-        height: maxLat - minLat
-    };
+    // Lock the numbered markers again
+    if (polygonPoints.length > 0) {
+        renderVertexMarkers();
+    }
 }
 
-function calculateAspectRatio(points) {
-    // Calculate the aspect ratio of the bounding box
-    const bbox = calculateBoundingBox(points);
-    if (!bbox) return 0;
+// Vertex and midpoint handles. Markers are DOM elements, so only the part of the ring
+// in view gets them, and edits add, remove or renumber single markers rather than
+// rebuilding the lot. vertexMarkers[i] / midpointMarkers[i] belong to vertex / edge i
+// and are undefined where that vertex or edge is off screen.
+const MAX_VISIBLE_HANDLES = 1000;
+const EDIT_MODE_STATUS = 'Drag vertices to move them, drag midpoints to add vertices. Right-click a vertex to delete it.';
+
+function createVertexIcon(index, draggable) {
+    return L.divIcon({
+        className: draggable ? 'custom-marker vertex-handle' : 'custom-marker',
+        html: `${index + 1}`,
+        iconSize: [24, 24],
+        iconAnchor: [12, 12]
+    });
+}
+
+// Numbered vertex marker shared by drawing, loading and editing
+function createVertexMarker(point, index, draggable = false) {
+    return L.marker(point, {
+        draggable: draggable,
+        icon: createVertexIcon(index, draggable)
+    });
+}
+
+function clearVertexMarkers() {
+    vertexMarkers.forEach(marker => marker && drawnItems.removeLayer(marker));
+    vertexMarkers = [];
+}
+
+function clearMidpointMarkers() {
+    midpointMarkers.forEach(marker => marker && drawnItems.removeLayer(marker));
+    midpointMarkers = [];
+}
+
+// Indices of the items whose position is in (or near) the view, or null when there
+// are too many to give handles to
+function getVisibleHandleIndices(count, positionOf) {
+    const bounds = map.getBounds().pad(0.25);
+    const indices = [];
+    for (let i = 0; i < count; i++) {
+        if (bounds.contains(positionOf(i))) {
+            indices.push(i);
+            if (indices.length > MAX_VISIBLE_HANDLES) return null;
+        }
+    }
+    return indices;
+}
+
+function addVertexHandle(index) {
+    const marker = createVertexMarker(polygonPoints[index], index, isEditing).addTo(drawnItems);
+    marker.vertexIndex = index;
+    
+    if (isEditing) {
+        marker.on('drag', rafThrottle(e => onVertexDrag(marker.vertexIndex, e.target.getLatLng())));
+        marker.on('dragend', () => {
+            // The throttled drag handler can miss the final position
+            onVertexDrag(marker.vertexIndex, marker.getLatLng());
+            updateAoiSummary();
+            recordAoiCommand('Move vertex');
+        });
+        marker.on('contextmenu', e => {
+            L.DomEvent.stop(e);
+            deleteVertex(marker.vertexIndex);
+        });
+    }
     
-    const avgLat = (bbox.minLat + bbox.maxLat) / 2;
-    const latRad = avgLat * Math.PI / 180;
+    return marker;
+}
+
+function addMidpointHandle(index) {
+    const marker = L.marker(getMidpoint(index), {
+        draggable: true,
+        icon: L.divIcon({
+            className: 'midpoint-handle',
+            iconSize: [14, 14],
+            iconAnchor: [7, 7]
+        })
+    }).addTo(drawnItems);
+    marker.edgeIndex = index;
     
-    // Convert degrees to meters
-    const widthM = bbox.width * 111320 * Math.cos(latRad);
-    const heightM = bbox.height * 111320;
+    // Dragging a midpoint inserts a vertex after the start of its edge
+    marker.on('dragstart', () => {
+        polygonPoints.splice(marker.edgeIndex + 1, 0, getMidpoint(marker.edgeIndex));
+    });
+    marker.on('drag', rafThrottle(e => {
+        const latlng = e.target.getLatLng();
+        polygonPoints[marker.edgeIndex + 1] = [latlng.lat, latlng.lng];
+        updateCurrentPolygonShape();
+        refreshPolygonMeasurements();
+    }));
+    marker.on('dragend', () => {
+        const edge = marker.edgeIndex;
+        const latlng = marker.getLatLng();
+        polygonPoints[edge + 1] = [latlng.lat, latlng.lng];
+        updateCurrentPolygonShape();
+        insertVertexHandle(edge + 1);
+        
+        // The dragged handle goes back to the first half of the split edge
+        marker.setLatLng(getMidpoint(edge));
+        midpointMarkers.splice(edge + 1, 0, undefined);
+        renumberHandles(midpointMarkers, edge + 1);
+        showMidpointHandle(edge + 1);
+        
+        updateAoiSummary();
+        recordAoiCommand('Insert vertex');
+    });
     
-    return widthM / heightM;
+    return marker;
 }
 
-function updateAreaInfo(area, perimeter, coordinates) {
-    // Format area with appropriate units
-    let areaText;
-    if (area < 0.01) {
-        areaText = (area * 1000000).toFixed(0) + ' m²'; // Square meters
-    } else if (area < 1) {
-        areaText = (area * 100).toFixed(2) + ' hectares'; // Hectares
-    } else {
-        areaText = area.toFixed(2) + ' km²'; // Square kilometers
+// After a splice, markers from `from` on carry new indices (and vertex numbers)
+function renumberHandles(markers, from) {
+    for (let i = from; i < markers.length; i++) {
+        const marker = markers[i];
+        if (!marker) continue;
+        if (marker.vertexIndex !== undefined) {
+            marker.vertexIndex = i;
+            marker.setIcon(createVertexIcon(i, isEditing));
+        } else {
+            marker.edgeIndex = i;
+        }
     }
+}
+
+function showVertexHandle(index) {
+    if (!vertexMarkers[index] && map.getBounds().pad(0.25).contains(polygonPoints[index])) {
+        vertexMarkers[index] = addVertexHandle(index);
+    }
+}
+
+function showMidpointHandle(index) {
+    if (!midpointMarkers[index] && map.getBounds().pad(0.25).contains(getMidpoint(index))) {
+        midpointMarkers[index] = addMidpointHandle(index);
+    }
+}
+
+function insertVertexHandle(index) {
+    vertexMarkers.splice(index, 0, undefined);
+    renumberHandles(vertexMarkers, index + 1);
+    showVertexHandle(index);
+}
+
+function removeVertexHandle(index) {
+    const [marker] = vertexMarkers.splice(index, 1);
+    if (marker) drawnItems.removeLayer(marker);
+    renumberHandles(vertexMarkers, index);
+}
+
+function removeMidpointHandle(index) {
+    const [marker] = midpointMarkers.splice(index, 1);
+    if (marker) drawnItems.removeLayer(marker);
+    renumberHandles(midpointMarkers, index);
+}
+
+// Brings the handles in line with the view: markers that scrolled out are removed,
+// ones that scrolled in are added, and the rest stay where they are
+function updateVertexHandles() {
+    const active = getActivePolygon();
     
-    // Format perimeter with appropriate units
-    let perimeterText;
-    if (perimeter < 1) {
-        perimeterText = (perimeter * 1000).toFixed(0) + ' m'; // Meters
-    } else {
-        perimeterText = perimeter.toFixed(2) + ' km'; // Kilometers
+    // Uploaded boundaries only get handles while they are being edited
+    const indices = active && (isEditing || active.showVertices)
+        ? getVisibleHandleIndices(polygonPoints.length, i => polygonPoints[i])
+        : [];
+    if (isEditing) {
+        updateDrawingStatus(indices ? EDIT_MODE_STATUS : 'Too many vertices in view to show handles. Zoom in to edit them.');
     }
+    syncHandles(vertexMarkers, indices || [], addVertexHandle);
     
-    // Use cached DOM elements for better performance
-    if (DOMCache.areaValue) DOMCache.areaValue.textContent = areaText;
-    if (DOMCache.perimeterValue) DOMCache.perimeterValue.textContent = perimeterText;
-    if (DOMCache.coordCount) DOMCache.coordCount.textContent = coordinates.length + ' points';
+    const edges = isEditing && indices ? getVisibleHandleIndices(polygonPoints.length, getMidpoint) : [];
+    syncHandles(midpointMarkers, edges || [], addMidpointHandle);
+}
+
+function syncHandles(markers, indices, addHandle) {
+    const visible = new Set(indices);
+    markers.forEach((marker, index) => {
+        if (marker && !visible.has(index)) {
+            drawnItems.removeLayer(marker);
+            markers[index] = undefined;
+        }
+    });
+    indices.forEach(index => {
+        if (!markers[index]) markers[index] = addHandle(index);
+    });
+    markers.length = Math.min(markers.length, polygonPoints.length);
+}
+
+// Rebuild the numbered markers from polygonPoints (draggable while editing), plus the
+// midpoint handles that sit on every edge while editing
+function renderVertexMarkers() {
+    clearVertexMarkers();
+    clearMidpointMarkers();
+    updateVertexHandles();
+}
+
+function getMidpoint(index) {
+    const a = polygonPoints[index];
+    const b = polygonPoints[(index + 1) % polygonPoints.length];
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+}
+
+function onVertexDrag(index, latlng) {
+    polygonPoints[index] = [latlng.lat, latlng.lng];
+    updateCurrentPolygonShape();
     
-    // Update validation status
-    updateValidationStatus(area);
+    // Keep the two midpoints touching this vertex on their edges
+    const n = polygonPoints.length;
+    const previous = (index - 1 + n) % n;
+    if (midpointMarkers[previous]) midpointMarkers[previous].setLatLng(getMidpoint(previous));
+    if (midpointMarkers[index]) midpointMarkers[index].setLatLng(getMidpoint(index));
     
-    // Update total area
-    totalArea = area;
-    updateStats();
+    refreshPolygonMeasurements();
+}
+
+function deleteVertex(index) {
+    if (polygonPoints.length <= 3) {
+        showNotification('A polygon needs at least 3 points. Use "Clear All" to remove the area.', 'warning');
+        return;
+    }
     
-    // Update estimated cost
-    updateEstimatedCost(area);
+    polygonPoints.splice(index, 1);
+    updateCurrentPolygonShape();
+    removeVertexHandle(index);
     
-    // Log additional measurements for debugging
-    const centroid = calculateCentroid(coordinates);
-    const bbox = calculateBoundingBox(coordinates);
-    const aspectRatio = calculateAspectRatio(coordinates);
+    // The two edges meeting at the vertex become one
+    if (isEditing) {
+        removeMidpointHandle(index);
+        const previous = (index - 1 + polygonPoints.length) % polygonPoints.length;
+        if (midpointMarkers[previous]) midpointMarkers[previous].setLatLng(getMidpoint(previous));
+        showMidpointHandle(previous);
+    }
     
-    console.log('Additional measurements:', {
-        centroid: centroid ? `${centroid[0].toFixed(6)}, ${centroid[1].toFixed(6)}` : 'N/A',
-        boundingBox: bbox ? `${bbox.width.toFixed(6)}° × ${bbox.height.toFixed(6)}°` : 'N/A',
-        aspectRatio: aspectRatio.toFixed(2),
-        area: areaText,
-        perimeter: perimeterText
+    updateAoiSummary();
+    recordAoiCommand('Delete vertex');
+}
+
+function updateCurrentPolygonShape() {
+    const entry = getActivePolygon();
+    if (currentPolygon && entry) {
+        currentPolygon.setLatLngs(getPolygonLatLngs(entry));
+    }
+}
+
+// Outer ring followed by any holes, as Leaflet expects for L.polygon
+function getPolygonLatLngs(entry) {
+    return entry.holes.length > 0 ? [entry.points, ...entry.holes] : entry.points;
+}
+
+function refreshPolygonLayer(entry) {
+    if (entry.layer) {
+        entry.layer.setLatLngs(getPolygonLatLngs(entry));
+    }
+}
+
+// Creates, reshapes or removes the entry's layer to match its point count
+function syncPolygonLayer(entry) {
+    if (entry.points.length < 3) {
+        if (entry.layer) {
+            drawnItems.removeLayer(entry.layer);
+            entry.layer = null;
+            if (entry.id === activePolygonId) currentPolygon = null;
+        }
+    } else if (entry.layer) {
+        refreshPolygonLayer(entry);
+    } else {
+        addPolygonLayer(entry);
+    }
+}
+
+// Throttled summary refresh used while a handle is being dragged
+const refreshPolygonMeasurements = throttle(() => updateAoiSummary(), 100);
+
+function createAoiPolygon(points, options = {}) {
+    const entry = {
+        id: nextPolygonId++,
+        points: points,
+        holes: options.holes || [],
+        layer: null,
+        showVertices: options.showVertices !== false
+    };
+    aoiPolygons.push(entry);
+    return entry;
+}
+
+function getActivePolygon() {
+    return aoiPolygons.find(polygon => polygon.id === activePolygonId) || null;
+}
+
+// Polygons with enough points to count towards the AOI
+function getCompletePolygons() {
+    return aoiPolygons.filter(polygon => polygon.points.length >= 3);
+}
+
+function addPolygonLayer(entry) {
+    entry.layer = L.polygon(getPolygonLatLngs(entry), getPolygonStyle(entry)).addTo(drawnItems);
+    
+    entry.layer.on('click', e => {
+        // While drawing or measuring, clicks on other polygons still place points
+        if (isPlacingVertices()) return;
+        L.DomEvent.stop(e);
+        selectPolygon(entry.id);
     });
+    
+    if (entry.id === activePolygonId) currentPolygon = entry.layer;
+    return entry.layer;
 }
 
-function updateValidationStatus(area) {
-    const validationStatus = document.getElementById('validationStatus');
-    if (!validationStatus) return;
+function selectPolygon(id) {
+    clearMidpointMarkers();
+    clearVertexMarkers();
     
-    const minAreaKm2 = 1.0; // 1 km² minimum
+    const entry = aoiPolygons.find(polygon => polygon.id === id) || null;
+    activePolygonId = entry ? entry.id : null;
+    polygonPoints = entry ? entry.points : [];
+    currentPolygon = entry ? entry.layer : null;
     
-    if (area >= minAreaKm2) {
-        validationStatus.innerHTML = `
-            <i class="fas fa-check-circle" style="color: #10b981;"></i>
-            <span style="color: #10b981;">✓ Met (${area.toFixed(2)} km²)</span>
-        `;
-    } else {
-        // Show current area in appropriate units
-        let currentAreaText;
-        if (area < 0.01) {
-            currentAreaText = (area * 1000000).toFixed(0) + ' m²';
-        } else if (area < 1) {
-            currentAreaText = (area * 100).toFixed(2) + ' hectares';
-        } else {
-            currentAreaText = area.toFixed(2) + ' km²';
+    aoiPolygons.forEach(polygon => {
+        if (polygon.layer) {
+            polygon.layer.setStyle(getPolygonStyle(polygon));
+            if (polygon.id === activePolygonId) polygon.layer.bringToFront();
         }
-        
-        validationStatus.innerHTML = `
-            <i class="fas fa-times-circle" style="color: #ef4444;"></i>
-            <span style="color: #ef4444;">✗ Need ${(minAreaKm2 - area).toFixed(2)} km² more</span>
-        `;
+    });
+    
+    if (entry) {
+        renderVertexMarkers();
+    } else if (isEditing) {
+        stopEditing();
     }
+    
+    updateAoiSummary();
+    if (bufferPanel && bufferPanel.source === 'selected') updateBufferPreview();
 }
 
-function updateEstimatedCost(area) {
-    // Get service rate based on URL parameter or default to AOI rate
-    const urlParams = new URLSearchParams(window.location.search);
-    const service = urlParams.get('service');
+function removeAoiPolygon(id) {
+    const entry = aoiPolygons.find(polygon => polygon.id === id);
+    if (!entry) return;
     
-    const serviceRates = {
-        'aoi': 2500,
-        'analysis': 2500,
-        'reports': 5000,
-        'modeling': 8500,
-        'planning': 15000,
-        'mitigation': 15000
-    };
+    if (entry.layer) drawnItems.removeLayer(entry.layer);
+    aoiPolygons = aoiPolygons.filter(polygon => polygon.id !== id);
     
-    const rate = serviceRates[service] || 2500; // Default to AOI rate
-    const totalCost = area * rate;
+    if (activePolygonId === id) {
+        const last = aoiPolygons[aoiPolygons.length - 1];
+        selectPolygon(last ? last.id : null);
+    } else {
+        updateAoiSummary();
+    }
+}
+
+function deletePolygon(id) {
+    const index = aoiPolygons.findIndex(polygon => polygon.id === id);
+    if (index === -1) {
+        showNotification('No polygon selected. Click a polygon on the map to select it.', 'warning');
+        return;
+    }
     
-    // Update the live price display
-    const livePriceElement = document.getElementById('livePrice');
-    if (livePriceElement) {
-        livePriceElement.textContent = `$${totalCost.toLocaleString()}`;
+    removeAoiPolygon(id);
+    recordAoiCommand('Delete polygon');
+    showNotification(`Polygon ${index + 1} deleted`, 'info');
+}
+
+// Hole cutting: draw an inner ring that is subtracted from the selected polygon
+function startCuttingHole() {
+    if (isCuttingHole) {
+        cancelCuttingHole();
+        return;
     }
     
-    // Update the tooltip to show the current rate
-    const costLabel = document.querySelector('.price-item .metric-label i');
-    if (costLabel) {
-        const serviceNames = {
-            'aoi': 'Area of Interest Analysis',
-            'analysis': 'Area of Interest Analysis',
-            'reports': 'Detailed Reports',
-            'modeling': 'Advanced Risk Modeling',
-            'planning': 'Mitigation Planning',
-            'mitigation': 'Mitigation Planning'
-        };
-        const serviceName = serviceNames[service] || 'Area of Interest Analysis';
-        costLabel.title = `Based on ${serviceName} rate ($${rate.toLocaleString()}/km²)`;
+    if (isDrawing) stopDrawing();
+    if (isEditing) stopEditing();
+    if (bufferPanel) closeBufferPanel();
+    if (shapeDrawing) stopShapeDrawing();
+    if (measurement) stopMeasuring();
+    
+    if (polygonPoints.length < 3) {
+        showNotification('Select a polygon first. Holes are cut out of the selected polygon.', 'warning');
+        return;
     }
     
-    // Update the analysis panel title to show the service
-    const panelTitle = document.querySelector('.analysis-panel .panel-title');
-    if (panelTitle) {
-        const serviceNames = {
-            'aoi': 'Area of Interest Analysis',
-            'analysis': 'Area of Interest Analysis',
-            'reports': 'Detailed Reports',
-            'modeling': 'Advanced Risk Modeling',
-            'planning': 'Mitigation Planning',
-            'mitigation': 'Mitigation Planning'
-        };
-        const serviceName = serviceNames[service] || 'Area of Interest Analysis';
-        panelTitle.innerHTML = `<i class="fas fa-chart-line"></i> ${serviceName} - $${rate.toLocaleString()}/km²`;
+    isCuttingHole = true;
+    holePoints = [];
+    
+    if (DOMCache.cutHole) {
+        DOMCache.cutHole.innerHTML = '<i class="fas fa-stop"></i><span>Stop Cutting</span>';
+        DOMCache.cutHole.classList.add('active');
     }
+    
+    map.getContainer().style.cursor = 'crosshair';
+    updateDrawingStatus('Click inside the selected polygon to outline the hole. Double-click to finish.');
+    showNotification('Hole cutting activated. Press Escape to cancel.', 'info');
 }
 
-function updateDrawingStatus(message, autoHide = false) {
-    const status = document.getElementById('drawingStatus');
-    status.innerHTML = `<i class="fas fa-info-circle"></i><span>${message}</span>`;
+function stopCuttingHole() {
+    isCuttingHole = false;
+    holePoints = [];
+    clearHolePreview();
     
-    // Always show the status first
-    status.style.display = 'flex';
-    status.style.opacity = '1';
+    if (DOMCache.cutHole) {
+        DOMCache.cutHole.innerHTML = '<i class="fas fa-cut"></i><span>Cut Hole</span>';
+        DOMCache.cutHole.classList.remove('active');
+    }
     
-    // Auto-hide after 2 seconds for all drawing-related messages
-    setTimeout(() => {
-        status.style.opacity = '0';
-        setTimeout(() => {
-            status.style.display = 'none';
-        }, 300); // Wait for fade out animation
-    }, 2000);
+    map.getContainer().style.cursor = '';
 }
 
-function showAnalysisPanel() {
-    const panel = document.getElementById('analysisPanel');
-    panel.classList.add('active');
-    panel.style.display = 'flex';
-    
-    // Check if panel has scrollable content and add scroll listener
-    setTimeout(() => {
-        if (panel.scrollHeight > panel.clientHeight) {
-            panel.classList.add('scrollable');
-            
-            // Add scroll listener to show/hide gradient fade with throttling
-            const updateScrollIndicator = throttle(() => {
-                const isAtBottom = panel.scrollTop + panel.clientHeight >= panel.scrollHeight - 10;
-                if (isAtBottom) {
-                    panel.classList.remove('scrollable');
-                } else {
-                    panel.classList.add('scrollable');
-                }
-            }, 16); // ~60fps
-            
-            panel.addEventListener('scroll', updateScrollIndicator);
-        }
-    }, 100);
+function cancelCuttingHole() {
+    stopCuttingHole();
+    updateDrawingStatus('Hole cutting cancelled');
 }
 
-function closeAnalysis() {
-    const panel = document.getElementById('analysisPanel');
-    panel.classList.remove('active', 'scrollable');
-    panel.style.display = 'none';
+function clearHolePreview() {
+    if (holePreviewLayer) {
+        drawnItems.removeLayer(holePreviewLayer);
+        holePreviewLayer = null;
+    }
 }
 
-function clearMap() {
-    drawnItems.clearLayers();
-    polygonPoints = [];
-    currentPolygon = null;
-    updateAreaInfo(0, 0, []);
-    stopDrawing();
-    closeAnalysis();
+function updateHolePreview() {
+    clearHolePreview();
+    if (holePoints.length === 0) return;
+    
+    holePreviewLayer = (holePoints.length >= 3 ? L.polygon(holePoints) : L.polyline(holePoints))
+        .setStyle({
+            color: '#ef4444',
+            fillColor: '#ef4444',
+            fillOpacity: 0.15,
+            weight: 2,
+            dashArray: '4 4'
+        })
+        .addTo(drawnItems);
+}
+
+function addHolePoint(latlng) {
+    holePoints.push([latlng.lat, latlng.lng]);
+    updateHolePreview();
+}
+
+function finishHole() {
+    const entry = getActivePolygon();
+    const hole = holePoints.slice();
     
-    // Hide the drawing status popup
-    const status = document.getElementById('drawingStatus');
-    status.style.display = 'none';
+    const error = validateHole(entry, hole);
+    if (error) {
+        showNotification(error, 'warning');
+        return;
+    }
     
-    showNotification('Map cleared successfully', 'info');
+    entry.holes.push(hole);
+    stopCuttingHole();
+    refreshPolygonLayer(entry);
+    updateAoiSummary();
+    recordAoiCommand('Cut hole');
+    
+    showNotification(`Hole cut out (${formatArea(calculatePolygonArea(hole))} excluded)`, 'success');
 }
 
-function submitRequest() {
-    if (polygonPoints.length < 3) {
-        showNotification('Please draw an area first by clicking on the map to create at least 3 points.', 'warning');
-        return;
+function validateHole(entry, hole) {
+    if (!entry || hole.length < 3) {
+        return 'A hole needs at least 3 points.';
     }
+    
+    // A concave outline can pass through the hole even when every hole vertex is inside
+    if (!hole.every(point => isPointInRing(point, entry.points)) || ringsIntersect(hole, entry.points)) {
+        return 'The hole must lie completely inside the selected polygon.';
+    }
+    
+    const overlapsHole = entry.holes.some(existing =>
+        hole.some(point => isPointInRing(point, existing)) ||
+        existing.some(point => isPointInRing(point, hole)) ||
+        ringsIntersect(hole, existing)
+    );
+    if (overlapsHole) {
+        return 'Holes cannot overlap each other.';
+    }
+    
+    return null;
+}
 
-    // Check minimum area requirement (1 km²)
-    const area = calculatePolygonArea(polygonPoints);
-    if (area < 1.0) {
-        // Format current area for display
-        let currentAreaText;
-        if (area < 0.01) {
-            currentAreaText = (area * 1000000).toFixed(0) + ' m²';
-        } else if (area < 1) {
-            currentAreaText = (area * 100).toFixed(2) + ' hectares';
-        } else {
-            currentAreaText = area.toFixed(2) + ' km²';
+// True when an edge of ring a touches or crosses an edge of ring b. Only the edges
+// of a within b's bounding box are compared, as a may be a large uploaded outline.
+function ringsIntersect(a, b) {
+    const box = calculateBoundingBox(b);
+    const edges = ring => ring.map((point, i) => [point, ring[(i + 1) % ring.length]]);
+    const nearby = edges(a).filter(([p, q]) =>
+        Math.max(p[0], q[0]) >= box.minLat && Math.min(p[0], q[0]) <= box.maxLat &&
+        Math.max(p[1], q[1]) >= box.minLng && Math.min(p[1], q[1]) <= box.maxLng);
+    
+    return nearby.length > 0 && edges(b).some(([c, d]) => nearby.some(([p, q]) => segmentIntersection(p, q, c, d)));
+}
+
+// Ray casting test in lat/lng space; ring is an open [[lat, lng], ...] list
+function isPointInRing(point, ring) {
+    const lat = point[0];
+    const lng = point[1];
+    let inside = false;
+    
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const latI = ring[i][0], lngI = ring[i][1];
+        const latJ = ring[j][0], lngJ = ring[j][1];
+        
+        if ((latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
         }
+    }
+    
+    return inside;
+}
+
+function removePolygonHoles(id) {
+    const entry = aoiPolygons.find(polygon => polygon.id === id);
+    if (!entry || entry.holes.length === 0) return;
+    
+    const count = entry.holes.length;
+    entry.holes = [];
+    refreshPolygonLayer(entry);
+    updateAoiSummary();
+    recordAoiCommand('Remove holes');
+    showNotification(`${count} hole${count === 1 ? '' : 's'} removed`, 'info');
+}
+
+// Geometry validation: duplicate vertices, zero-area spikes and self-intersections.
+// Rings are open [[lat, lng], ...] lists; crossings are tested with lng as x and lat as y.
+const invalidPolygonStyle = {
+    color: '#ef4444',
+    fillColor: '#ef4444'
+};
+
+function pointsEqual(a, b) {
+    return Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+}
+
+// Uploaded rings repeat the first vertex at the end; the AOI keeps them open
+function openRing(ring) {
+    return ring.length > 1 && pointsEqual(ring[0], ring[ring.length - 1]) ? ring.slice(0, -1) : ring;
+}
+
+function findDuplicateVertices(ring) {
+    const duplicates = [];
+    for (let i = 0; i < ring.length; i++) {
+        if (pointsEqual(ring[i], ring[(i + 1) % ring.length])) duplicates.push(i);
+    }
+    return duplicates;
+}
+
+// A spike is a vertex where the outline doubles back on itself along a straight line
+function findSpikes(ring) {
+    const spikes = [];
+    const n = ring.length;
+    if (n < 3) return spikes;
+    
+    for (let i = 0; i < n; i++) {
+        const prev = ring[(i - 1 + n) % n];
+        const point = ring[i];
+        const next = ring[(i + 1) % n];
+        const ax = point[1] - prev[1], ay = point[0] - prev[0];
+        const bx = next[1] - point[1], by = next[0] - point[0];
+        const lengths = Math.hypot(ax, ay) * Math.hypot(bx, by);
+        if (lengths === 0) continue;
         
-        showNotification(`Minimum area requirement is 1 km² (100 hectares or 1,000,000 m²). Your current area is ${currentAreaText}. Please draw a larger area.`, 'warning');
+        const cross = ax * by - ay * bx;
+        const dot = ax * bx + ay * by;
+        if (Math.abs(cross) <= 1e-10 * lengths && dot < 0) spikes.push(i);
+    }
+    return spikes;
+}
+
+// Intersection point of segments a-b and c-d, or null. Collinear overlaps count.
+function segmentIntersection(a, b, c, d) {
+    const rx = b[1] - a[1], ry = b[0] - a[0];
+    const sx = d[1] - c[1], sy = d[0] - c[0];
+    const qx = c[1] - a[1], qy = c[0] - a[0];
+    const rLength = Math.hypot(rx, ry);
+    const denom = rx * sy - ry * sx;
+    
+    if (Math.abs(denom) <= 1e-12 * rLength * Math.hypot(sx, sy)) {
+        if (rLength === 0 || Math.abs(qx * ry - qy * rx) > 1e-12 * rLength * Math.hypot(qx, qy)) {
+            return null;
+        }
+        const rr = rLength * rLength;
+        const t0 = (qx * rx + qy * ry) / rr;
+        const t1 = t0 + (sx * rx + sy * ry) / rr;
+        const start = Math.max(0, Math.min(t0, t1));
+        const end = Math.min(1, Math.max(t0, t1));
+        if (start > end) return null;
+        return [a[0] + start * ry, a[1] + start * rx];
+    }
+    
+    const t = (qx * sy - qy * sx) / denom;
+    const u = (qx * ry - qy * rx) / denom;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return [a[0] + t * ry, a[1] + t * rx];
+}
+
+// Crossings between non-adjacent edges. Edges are swept by longitude so large
+// uploads do not need a full pairwise comparison.
+function findSelfIntersections(ring) {
+    const n = ring.length;
+    const intersections = [];
+    if (n < 4) return intersections;
+    
+    const edges = ring.map((a, index) => {
+        const b = ring[(index + 1) % n];
+        return {
+            index,
+            minLng: Math.min(a[1], b[1]),
+            maxLng: Math.max(a[1], b[1]),
+            minLat: Math.min(a[0], b[0]),
+            maxLat: Math.max(a[0], b[0])
+        };
+    }).sort((e1, e2) => e1.minLng - e2.minLng);
+    
+    for (let k = 0; k < n; k++) {
+        const e1 = edges[k];
+        for (let m = k + 1; m < n && edges[m].minLng <= e1.maxLng; m++) {
+            const e2 = edges[m];
+            if (e2.minLat > e1.maxLat || e2.maxLat < e1.minLat) continue;
+            
+            const i = Math.min(e1.index, e2.index);
+            const j = Math.max(e1.index, e2.index);
+            // Neighbouring edges always share a vertex
+            if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+            
+            const point = segmentIntersection(ring[i], ring[i + 1], ring[j], ring[(j + 1) % n]);
+            if (point) intersections.push({ i, j, point });
+        }
+    }
+    
+    return intersections.sort((x, y) => x.i - y.i || x.j - y.j);
+}
+
+function removeDuplicateVertices(ring) {
+    const result = ring.filter((point, i) => i === 0 || !pointsEqual(point, ring[i - 1]));
+    while (result.length > 1 && pointsEqual(result[0], result[result.length - 1])) result.pop();
+    return result;
+}
+
+// Drops duplicates and spikes until none are left; removing one spike can expose another
+function cleanRing(ring) {
+    let result = removeDuplicateVertices(ring);
+    let spikes = findSpikes(result);
+    
+    while (spikes.length > 0 && result.length >= 3) {
+        const spike = spikes[0];
+        result = removeDuplicateVertices(result.filter((point, i) => i !== spike));
+        spikes = findSpikes(result);
+    }
+    
+    return result;
+}
+
+function analyzeRing(ring) {
+    const duplicates = findDuplicateVertices(ring);
+    const cleaned = removeDuplicateVertices(ring);
+    const spikes = findSpikes(cleaned);
+    // A spike's two edges overlap each other, so crossings are looked for once spikes are gone
+    const intersections = findSelfIntersections(spikes.length > 0 ? cleanRing(cleaned) : cleaned);
+    
+    return {
+        duplicates: duplicates.map(i => ring[i]),
+        spikes: spikes.map(i => cleaned[i]),
+        intersections: intersections.map(intersection => intersection.point)
+    };
+}
+
+function analyzePolygonGeometry(entry) {
+    const issues = { duplicates: [], spikes: [], intersections: [] };
+    
+    [entry.points, ...entry.holes].forEach(ring => {
+        const result = analyzeRing(ring);
+        issues.duplicates.push(...result.duplicates);
+        issues.spikes.push(...result.spikes);
+        issues.intersections.push(...result.intersections);
+    });
+    
+    issues.valid = issues.duplicates.length === 0 &&
+        issues.spikes.length === 0 &&
+        issues.intersections.length === 0;
+    return issues;
+}
+
+function describeGeometryIssues(issues) {
+    const parts = [];
+    const count = (n, singular, plural) => `${n} ${n === 1 ? singular : plural}`;
+    
+    if (issues.intersections.length > 0) parts.push(count(issues.intersections.length, 'self-intersection', 'self-intersections'));
+    if (issues.duplicates.length > 0) parts.push(count(issues.duplicates.length, 'duplicate vertex', 'duplicate vertices'));
+    if (issues.spikes.length > 0) parts.push(count(issues.spikes.length, 'spike', 'spikes'));
+    return parts.join(', ');
+}
+
+function getPolygonStyle(entry) {
+    const style = entry.id === activePolygonId ? aoiPolygonStyle : aoiInactivePolygonStyle;
+    return entry.issues && !entry.issues.valid ? { ...style, ...invalidPolygonStyle } : style;
+}
+
+function getInvalidPolygons() {
+    return getCompletePolygons().filter(polygon => polygon.issues && !polygon.issues.valid);
+}
+
+// Re-checks every polygon and redraws the problem markers
+function updateGeometryValidation(polygons) {
+    if (geometryIssueLayer) geometryIssueLayer.clearLayers();
+    aoiPolygons.forEach(polygon => { polygon.issues = null; });
+    
+    polygons.forEach(polygon => {
+        polygon.issues = analyzePolygonGeometry(polygon);
+        if (polygon.layer) polygon.layer.setStyle(getPolygonStyle(polygon));
+        if (!geometryIssueLayer || polygon.issues.valid) return;
+        
+        const addIssueMarker = (point, color, label) => {
+            L.circleMarker(point, {
+                radius: 7,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: color,
+                fillOpacity: 0.9,
+                interactive: true
+            }).bindTooltip(label, { direction: 'top' }).addTo(geometryIssueLayer);
+        };
+        
+        polygon.issues.intersections.forEach(point => addIssueMarker(point, '#ef4444', 'Self-intersection'));
+        polygon.issues.duplicates.forEach(point => addIssueMarker(point, '#f59e0b', 'Duplicate vertex'));
+        polygon.issues.spikes.forEach(point => addIssueMarker(point, '#f59e0b', 'Zero-area spike'));
+    });
+    
+    updateGeometryStatus(polygons.filter(polygon => !polygon.issues.valid));
+}
+
+function updateGeometryStatus(invalidPolygons) {
+    const status = DOMCache.geometryStatus;
+    const actions = DOMCache.geometryRepair;
+    if (!status) return;
+    
+    if (invalidPolygons.length === 0) {
+        status.innerHTML = `
+            <i class="fas fa-check-circle" style="color: #10b981;"></i>
+            <span style="color: #10b981;">Valid</span>
+        `;
+        if (actions) actions.style.display = 'none';
         return;
     }
+    
+    const summary = invalidPolygons
+        .map(polygon => `Polygon ${aoiPolygons.indexOf(polygon) + 1}: ${describeGeometryIssues(polygon.issues)}`)
+        .join('<br>');
+    status.innerHTML = `
+        <i class="fas fa-exclamation-triangle" style="color: #ef4444;"></i>
+        <span style="color: #ef4444;">${summary}</span>
+    `;
+    if (actions) actions.style.display = 'flex';
+}
 
-    // Check if user is logged in
-    if (!isLoggedIn()) {
-        showRegisterModal();
+// Splits a ring at its first crossing into two loops and repeats until every loop is simple
+function splitRingIntoLoops(ring, depth = 0) {
+    const cleaned = cleanRing(ring);
+    if (cleaned.length < 3) return [];
+    
+    // Only a simple loop is dropped for having no area: the lobes of a tangled ring
+    // can cancel out, as in a symmetric bow-tie
+    const intersections = findSelfIntersections(cleaned);
+    if (intersections.length === 0 || depth > 200) return calculatePolygonArea(cleaned) < 1e-9 ? [] : [cleaned];
+    
+    const { i, j, point } = intersections[0];
+    const loop = [point, ...cleaned.slice(i + 1, j + 1)];
+    const rest = [...cleaned.slice(0, i + 1), point, ...cleaned.slice(j + 1)];
+    
+    return [
+        ...splitRingIntoLoops(loop, depth + 1),
+        ...splitRingIntoLoops(rest, depth + 1)
+    ];
+}
+
+// Simple { points, holes } parts covering what a tangled ring encloses. The loops
+// overlap wherever the ring winds round more than once (a pentagram gives a tip and
+// a quadrilateral that both cover its centre), so they are merged: the parts never
+// overlap and their areas add up to the area of the union.
+function splitRingAtIntersections(ring) {
+    const loops = splitRingIntoLoops(ring);
+    const asParts = () => loops.map(points => ({ points, holes: [] }));
+    if (loops.length <= 1 || typeof polygonClipping === 'undefined') return asParts();
+    
+    try {
+        return polygonClipping.union(...loops.map(loop => [toGeoJSONRing(loop, false)]))
+            .map(rings => ({
+                points: openRing(positionsToLatLngs(rings[0])),
+                holes: rings.slice(1).map(hole => openRing(positionsToLatLngs(hole)))
+            }));
+    } catch (error) {
+        console.error('Merging the repaired parts failed:', error);
+        return asParts();
+    }
+}
+
+// Orders the vertices by angle around their centre, which untangles shapes whose
+// points were simply captured in the wrong order
+function reorderRing(ring) {
+    const cleaned = cleanRing(ring);
+    const centerLat = cleaned.reduce((sum, point) => sum + point[0], 0) / cleaned.length;
+    const centerLng = cleaned.reduce((sum, point) => sum + point[1], 0) / cleaned.length;
+    
+    return cleaned
+        .map(point => ({ point, angle: Math.atan2(point[0] - centerLat, point[1] - centerLng) }))
+        .sort((a, b) => a.angle - b.angle)
+        .map(item => item.point);
+}
+
+function repairPolygonGeometry(entry, mode) {
+    const outerParts = mode === 'reorder'
+        ? [reorderRing(entry.points)].filter(part => part.length >= 3).map(points => ({ points, holes: [] }))
+        : splitRingAtIntersections(entry.points);
+    // A tangled hole is untangled the same way; the outlines of its parts become holes
+    const holeParts = entry.holes.flatMap(hole => splitRingAtIntersections(hole).map(part => part.points));
+    
+    if (outerParts.length === 0) {
+        removeAoiPolygon(entry.id);
+        return 0;
+    }
+    
+    // The largest part keeps the polygon's identity, the others become new polygons
+    outerParts.sort((a, b) => getPolygonArea(b) - getPolygonArea(a));
+    const holesInside = part => [
+        ...part.holes,
+        ...holeParts.filter(hole => hole.every(point => isPointInRing(point, part.points)))
+    ];
+    
+    // Edit in place: polygonPoints aliases the selected polygon's points
+    entry.points.splice(0, entry.points.length, ...outerParts[0].points);
+    entry.holes = holesInside(outerParts[0]);
+    refreshPolygonLayer(entry);
+    
+    outerParts.slice(1).forEach(part => {
+        const extra = createAoiPolygon(part.points, { showVertices: entry.showVertices, holes: holesInside(part) });
+        addPolygonLayer(extra);
+    });
+    
+    return outerParts.length;
+}
+
+function repairAoiGeometry(mode = 'split') {
+    const invalidPolygons = getInvalidPolygons();
+    if (invalidPolygons.length === 0) {
+        showNotification('The AOI geometry is already valid.', 'info');
         return;
     }
+    
+    const before = aoiPolygons.length;
+    invalidPolygons.forEach(polygon => repairPolygonGeometry(polygon, mode));
+    
+    const selected = getActivePolygon() ? activePolygonId : (aoiPolygons[0] ? aoiPolygons[0].id : null);
+    selectPolygon(selected);
+    recordAoiCommand('Repair geometry');
+    
+    const remaining = getInvalidPolygons();
+    if (remaining.length > 0) {
+        showNotification(mode === 'reorder'
+            ? 'Reordering could not untangle the shape. Try splitting it into parts instead.'
+            : 'Some problems could not be repaired automatically. Please edit the highlighted vertices.', 'warning');
+    } else if (aoiPolygons.length > before) {
+        showNotification(`Geometry repaired: split into ${aoiPolygons.length - before + invalidPolygons.length} valid parts`, 'success');
+    } else {
+        showNotification('Geometry repaired', 'success');
+    }
+}
 
-    // If logged in, proceed with submission
-    proceedWithSubmission();
+// Combined measurements for the analysis panel plus the per-polygon breakdown
+function updateAoiSummary() {
+    const polygons = getCompletePolygons();
+    let area = 0;
+    let perimeter = 0;
+    const coordinates = [];
+    
+    polygons.forEach(polygon => {
+        polygon.area = getPolygonArea(polygon);
+        polygon.perimeter = getPolygonPerimeter(polygon);
+        area += polygon.area;
+        perimeter += polygon.perimeter;
+        coordinates.push(...polygon.points);
+    });
+    
+    updateAreaInfo(area, perimeter, coordinates);
+    updateGeometryValidation(polygons);
+    renderPolygonList(polygons, area, perimeter);
+    refreshCoordinatePanel();
 }
 
-function showRegistrationModal() {
-    const modal = document.createElement('div');
-    modal.className = 'registration-modal';
-    modal.innerHTML = `
-        <div class="modal-content">
-            <div class="modal-header">
-                <h3><i class="fas fa-user-plus"></i> Create Account Required</h3>
-                <button class="modal-close">&times;</button>
+function renderPolygonList(polygons, totalAreaKm2, totalPerimeterKm) {
+    const list = DOMCache.aoiPolygonList;
+    if (!list) return;
+    
+    if (polygons.length === 0) {
+        list.innerHTML = '';
+        list.style.display = 'none';
+        return;
+    }
+    
+    const rate = getServiceRate();
+    const rows = polygons.map(polygon => `
+        <div class="aoi-polygon-item ${polygon.id === activePolygonId ? 'active' : ''}" data-id="${polygon.id}">
+            <div class="aoi-polygon-info">
+                <div class="aoi-polygon-name">Polygon ${aoiPolygons.indexOf(polygon) + 1}</div>
+                <div class="aoi-polygon-details">
+                    <span>${formatArea(polygon.area)}</span>
+                    <span>${formatPerimeter(polygon.perimeter)}</span>
+                    <span>${formatCost(polygon.area * rate)}</span>
+                    ${polygon.holes.length > 0 ? `<span>${polygon.holes.length} hole${polygon.holes.length === 1 ? '' : 's'}</span>` : ''}
+                </div>
             </div>
-            <div class="modal-body">
-                <p>To submit your AOI request, you need to create an account. This allows us to:</p>
-                <ul class="benefits-list">
-                    <li><i class="fas fa-check"></i> Track your request status</li>
-                    <li><i class="fas fa-check"></i> Send you analysis results</li>
-                    <li><i class="fas fa-check"></i> Save your areas for future reference</li>
-                    <li><i class="fas fa-check"></i> Access your request history</li>
-                </ul>
-                <form class="registration-form" id="registrationForm">
-                    <div class="form-row">
-                        <div class="form-group">
-                            <label for="firstName">First Name *</label>
-                            <input type="text" id="firstName" name="firstName" required>
-                        </div>
-                        <div class="form-group">
-                            <label for="lastName">Last Name *</label>
-                            <input type="text" id="lastName" name="lastName" required>
-                        </div>
-                    </div>
-                    <div class="form-group">
-                        <label for="email">Email Address *</label>
-                        <input type="email" id="email" name="email" required>
+            ${polygon.holes.length > 0 ? `
+                <button class="aoi-polygon-delete aoi-polygon-unhole" data-id="${polygon.id}" title="Remove holes">
+                    <i class="fas fa-fill-drip"></i>
+                </button>
+            ` : ''}
+            <button class="aoi-polygon-delete" data-id="${polygon.id}" title="Delete polygon">
+                <i class="fas fa-trash"></i>
+            </button>
+        </div>
+    `).join('');
+    
+    list.innerHTML = `
+        <div class="aoi-polygon-header">Polygons (${polygons.length})</div>
+        ${rows}
+        <div class="aoi-polygon-item total">
+            <div class="aoi-polygon-info">
+                <div class="aoi-polygon-name">Combined</div>
+                <div class="aoi-polygon-details">
+                    <span>${formatArea(totalAreaKm2)}</span>
+                    <span>${formatPerimeter(totalPerimeterKm)}</span>
+                    <span>${formatCost(totalAreaKm2 * rate)}</span>
+                </div>
+            </div>
+        </div>
+    `;
+    list.style.display = 'block';
+    
+    list.querySelectorAll('.aoi-polygon-item[data-id]').forEach(item => {
+        item.addEventListener('click', () => selectPolygon(parseInt(item.dataset.id, 10)));
+    });
+    list.querySelectorAll('.aoi-polygon-delete').forEach(button => {
+        button.addEventListener('click', e => {
+            e.stopPropagation();
+            const id = parseInt(button.dataset.id, 10);
+            if (button.classList.contains('aoi-polygon-unhole')) {
+                removePolygonHoles(id);
+            } else {
+                deletePolygon(id);
+            }
+        });
+    });
+}
+
+// Area of the outer ring minus its holes, in km²
+function getPolygonArea(entry) {
+    const holesArea = entry.holes.reduce((sum, hole) => sum + calculatePolygonArea(hole), 0);
+    return Math.max(0, calculatePolygonArea(entry.points) - holesArea);
+}
+
+// Outer ring plus hole boundaries, in km
+function getPolygonPerimeter(entry) {
+    return entry.holes.reduce((sum, hole) => sum + calculatePolygonPerimeter(hole), calculatePolygonPerimeter(entry.points));
+}
+
+// Plain copies of the AOI polygons for saving
+function serializeAoiPolygons() {
+    return getCompletePolygons().map(polygon => ({
+        points: polygon.points.map(point => [point[0], point[1]]),
+        holes: polygon.holes.map(hole => hole.map(point => [point[0], point[1]]))
+    }));
+}
+
+function getAoiBounds() {
+    const points = getCompletePolygons().flatMap(polygon => polygon.points);
+    return points.length > 0 ? L.latLngBounds(points) : null;
+}
+
+// GeoJSON (RFC 7946) positions are [lng, lat]; AOI points and Leaflet use [lat, lng]
+function positionsToLatLngs(positions) {
+    return positions.map(position => [position[1], position[0]]);
+}
+
+function latLngsToPositions(points) {
+    return points.map(point => [point[1], point[0]]);
+}
+
+// Closed GeoJSON ring following the right-hand rule: exterior rings
+// counter-clockwise, holes clockwise
+function toGeoJSONRing(points, isHole) {
+    const ring = latLngsToPositions(openRing(points));
+    const counterClockwise = planarRingArea([...ring, ring[0]]) > 0;
+    if (counterClockwise === isHole) ring.reverse();
+    ring.push(ring[0].slice());
+    return ring;
+}
+
+function toGeoJSONPolygonCoordinates(polygon) {
+    return [toGeoJSONRing(polygon.points, false), ...polygon.holes.map(hole => toGeoJSONRing(hole, true))];
+}
+
+// GeoJSON MultiPolygon covering every AOI polygon
+function buildAoiMultiPolygon(polygons) {
+    return {
+        type: 'MultiPolygon',
+        coordinates: polygons.map(toGeoJSONPolygonCoordinates)
+    };
+}
+
+// FeatureCollection of export features (see getAoiExportFeatures)
+function buildAoiFeatureCollection(features) {
+    const bounds = calculateBoundingBox(features.flatMap(feature => feature.polygon.points));
+    
+    return {
+        type: 'FeatureCollection',
+        bbox: [bounds.minLng, bounds.minLat, bounds.maxLng, bounds.maxLat],
+        features: features.map(({ polygon, properties }) => ({
+            type: 'Feature',
+            bbox: [properties.min_lng, properties.min_lat, properties.max_lng, properties.max_lat],
+            properties,
+            geometry: {
+                type: 'Polygon',
+                coordinates: toGeoJSONPolygonCoordinates(polygon)
+            }
+        }))
+    };
+}
+
+// Undo/redo: each AOI edit is recorded as a command holding the AOI state before and
+// after it. One command's "after" is the next one's "before", so each state is kept once.
+const MAX_HISTORY_COMMANDS = 100;
+
+const aoiHistory = {
+    commands: [],
+    position: 0, // commands currently applied; the rest can be redone
+    current: null, // state after the last recorded or restored command
+    restoring: false
+};
+
+// Rings are stored as flat Float64Arrays; an array per vertex per state would make the
+// history of a large upload far bigger than the upload itself
+function captureAoiState() {
+    const flatten = ring => Float64Array.from(ring.flat());
+    return {
+        polygons: aoiPolygons.map(polygon => ({
+            id: polygon.id,
+            points: flatten(polygon.points),
+            holes: polygon.holes.map(flatten),
+            showVertices: polygon.showVertices
+        })),
+        activePolygonId,
+        aoiSource
+    };
+}
+
+function unflattenRing(values) {
+    const ring = [];
+    for (let i = 0; i < values.length; i += 2) {
+        ring.push([values[i], values[i + 1]]);
+    }
+    return ring;
+}
+
+function aoiStatesEqual(a, b) {
+    const ringsEqual = (x, y) => x.length === y.length && x.every((value, i) => value === y[i]);
+    return a.aoiSource === b.aoiSource &&
+        a.polygons.length === b.polygons.length &&
+        a.polygons.every((polygon, i) => {
+            const other = b.polygons[i];
+            return polygon.id === other.id &&
+                ringsEqual(polygon.points, other.points) &&
+                polygon.holes.length === other.holes.length &&
+                polygon.holes.every((hole, j) => ringsEqual(hole, other.holes[j]));
+        });
+}
+
+// Called once an edit is complete; edits that leave the AOI as it was are not recorded
+function recordAoiCommand(label) {
+    if (aoiHistory.restoring) return;
+    
+    const before = aoiHistory.current || { polygons: [], activePolygonId: null, aoiSource: null };
+    const after = captureAoiState();
+    if (aoiStatesEqual(before, after)) return;
+    
+    aoiHistory.commands.splice(aoiHistory.position);
+    aoiHistory.commands.push({ label, before, after, time: new Date() });
+    if (aoiHistory.commands.length > MAX_HISTORY_COMMANDS) {
+        aoiHistory.commands.shift();
+    }
+    aoiHistory.position = aoiHistory.commands.length;
+    aoiHistory.current = after;
+    renderHistoryList();
+}
+
+function restoreAoiState(state) {
+    const drawingId = isDrawing ? activePolygonId : null;
+    // Drawing carries on if the polygon being drawn is still there
+    const keepDrawing = drawingId !== null && state.polygons.some(polygon => polygon.id === drawingId);
+    
+    aoiHistory.restoring = true;
+    try {
+        if (isCuttingHole) cancelCuttingHole();
+        if (isDrawing && !keepDrawing) stopDrawing();
+        if (simplifyPanel) closeSimplifyPanel();
+        
+        clearMidpointMarkers();
+        clearVertexMarkers();
+        aoiPolygons.forEach(polygon => {
+            if (polygon.layer) drawnItems.removeLayer(polygon.layer);
+        });
+        
+        activePolygonId = null;
+        aoiPolygons = state.polygons.map(saved => ({
+            id: saved.id,
+            points: unflattenRing(saved.points),
+            holes: saved.holes.map(unflattenRing),
+            layer: null,
+            showVertices: saved.showVertices
+        }));
+        aoiPolygons.forEach(entry => {
+            if (entry.points.length >= 3) addPolygonLayer(entry);
+            nextPolygonId = Math.max(nextPolygonId, entry.id + 1);
+        });
+        aoiSource = state.aoiSource;
+        
+        selectPolygon(keepDrawing ? drawingId : state.activePolygonId);
+        
+        // A polygon that was still being drawn picks up where it left off
+        const active = getActivePolygon();
+        if (!isDrawing && active && active.points.length < 3) enterDrawingMode();
+    } finally {
+        aoiHistory.restoring = false;
+    }
+    aoiHistory.current = state;
+}
+
+// Moves through the history to the state after `position` commands
+function goToHistoryPosition(position) {
+    if (position < 0 || position > aoiHistory.commands.length || position === aoiHistory.position) return;
+    
+    const state = position === 0 ? aoiHistory.commands[0].before : aoiHistory.commands[position - 1].after;
+    aoiHistory.position = position;
+    restoreAoiState(state);
+    unlinkUndoneLibraryArea();
+    renderHistoryList();
+}
+
+function undoAoiEdit() {
+    goToHistoryPosition(aoiHistory.position - 1);
+}
+
+function redoAoiEdit() {
+    goToHistoryPosition(aoiHistory.position + 1);
+}
+
+function renderHistoryList() {
+    if (DOMCache.undoAction) DOMCache.undoAction.disabled = aoiHistory.position === 0;
+    if (DOMCache.redoAction) DOMCache.redoAction.disabled = aoiHistory.position === aoiHistory.commands.length;
+    
+    const list = DOMCache.historyList;
+    if (!list) return;
+    
+    if (aoiHistory.commands.length === 0) {
+        list.innerHTML = '<li class="history-empty">No changes yet</li>';
+        return;
+    }
+    
+    // Newest first; undone commands stay listed until a new edit replaces them
+    const items = aoiHistory.commands.map((command, index) => `
+        <li class="history-item${index + 1 === aoiHistory.position ? ' current' : ''}${index >= aoiHistory.position ? ' undone' : ''}" data-position="${index + 1}">
+            <span class="history-label">${escapeHtml(command.label)}</span>
+            <span class="history-time">${command.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+        </li>
+    `).reverse();
+    items.push(`
+        <li class="history-item${aoiHistory.position === 0 ? ' current' : ''}" data-position="0">
+            <span class="history-label">${aoiHistory.commands.length === MAX_HISTORY_COMMANDS ? 'Oldest kept state' : 'Start'}</span>
+        </li>
+    `);
+    list.innerHTML = items.join('');
+}
+
+// Buffers: an AOI grown by a distance in metres around points, lines or polygons.
+// Geometry is buffered with JSTS in a Transverse Mercator plane centred on it, where
+// distances are true to a fraction of a percent for anything a few hundred km across.
+const BUFFER_QUADRANT_SEGMENTS = 16;
+const BUFFER_MITER_LIMIT = 4;
+
+const bufferSketchStyle = {
+    color: '#f97316',
+    weight: 2,
+    opacity: 1,
+    dashArray: '4 4'
+};
+
+// Projection to and from metres around the given [lat, lng] points
+function createLocalProjection(points) {
+    const lngs = points.map(point => point[1]);
+    const projection = {
+        method: 'transverse_mercator',
+        centralMeridian: (Math.min(...lngs) + Math.max(...lngs)) / 2,
+        latitudeOfOrigin: 0,
+        scaleFactor: 1,
+        falseEasting: 0,
+        falseNorthing: 0
+    };
+    
+    return {
+        forward: point => transverseMercatorForward(point[0], point[1], ELLIPSOIDS.wgs84, projection),
+        inverse: point => transverseMercatorInverse(point[0], point[1], ELLIPSOIDS.wgs84, projection)
+    };
+}
+
+function createBufferParameters(cap, join) {
+    const { BufferParameters } = jsts.operation.buffer;
+    const caps = { round: BufferParameters.CAP_ROUND, flat: BufferParameters.CAP_FLAT, square: BufferParameters.CAP_SQUARE };
+    const joins = { round: BufferParameters.JOIN_ROUND, miter: BufferParameters.JOIN_MITRE, bevel: BufferParameters.JOIN_BEVEL };
+    return new BufferParameters(BUFFER_QUADRANT_SEGMENTS, caps[cap] || caps.round, joins[join] || joins.round, BUFFER_MITER_LIMIT);
+}
+
+// Buffers { points, lines, polygons } given in [lat, lng] (polygons as { points, holes })
+// and returns the dissolved result as [{ points, holes }] in [lat, lng]
+function bufferShapes(shapes, distance, options = {}) {
+    if (typeof jsts === 'undefined') {
+        throw new Error('Geometry library failed to load. Please refresh the page and try again.');
+    }
+    
+    const all = [
+        ...shapes.points,
+        ...shapes.lines.flat(),
+        ...shapes.polygons.flatMap(polygon => [polygon.points, ...polygon.holes].flat())
+    ];
+    if (all.length === 0) return [];
+    
+    const projection = createLocalProjection(all);
+    const closeRing = ring => [...ring, ring[0]].map(projection.forward);
+    const reader = new jsts.io.GeoJSONReader();
+    const buffer = (geometries, parameters) => jsts.operation.buffer.BufferOp.bufferOp(
+        reader.read({ type: 'GeometryCollection', geometries }), distance, parameters);
+    
+    // A flat cap leaves nothing around a point, so points are always round or square
+    const pointGeometries = shapes.points.map(point => ({ type: 'Point', coordinates: projection.forward(point) }));
+    const otherGeometries = [
+        ...shapes.lines.map(line => ({ type: 'LineString', coordinates: line.map(projection.forward) })),
+        ...shapes.polygons.map(polygon => ({ type: 'Polygon', coordinates: [polygon.points, ...polygon.holes].map(closeRing) }))
+    ];
+    
+    const results = [];
+    if (pointGeometries.length > 0) {
+        results.push(buffer(pointGeometries, createBufferParameters(options.cap === 'square' ? 'square' : 'round', options.join)));
+    }
+    if (otherGeometries.length > 0) {
+        results.push(buffer(otherGeometries, createBufferParameters(options.cap, options.join)));
+    }
+    
+    const merged = results.reduce((union, geometry) => union.union(geometry));
+    const output = new jsts.io.GeoJSONWriter().write(merged);
+    const polygons = output.type === 'Polygon' ? [output.coordinates] : output.type === 'MultiPolygon' ? output.coordinates : [];
+    
+    return polygons.map(rings => {
+        const latLngRings = rings.map(ring => openRing(ring.map(projection.inverse)));
+        return { points: latLngRings[0], holes: latLngRings.slice(1) };
+    });
+}
+
+// Points, lines and polygons of a GeoJSON geometry in the [lat, lng] form bufferShapes takes
+function geometryToBufferShapes(geometry, shapes = { points: [], lines: [], polygons: [] }) {
+    if (!geometry) return shapes;
+    
+    const addPolygon = rings => shapes.polygons.push({
+        points: openRing(positionsToLatLngs(rings[0])),
+        holes: rings.slice(1).map(ring => openRing(positionsToLatLngs(ring)))
+    });
+    
+    switch (geometry.type) {
+        case 'Point':
+            shapes.points.push(positionsToLatLngs([geometry.coordinates])[0]);
+            break;
+        case 'MultiPoint':
+            shapes.points.push(...positionsToLatLngs(geometry.coordinates));
+            break;
+        case 'LineString':
+            shapes.lines.push(positionsToLatLngs(geometry.coordinates));
+            break;
+        case 'MultiLineString':
+            geometry.coordinates.forEach(line => shapes.lines.push(positionsToLatLngs(line)));
+            break;
+        case 'Polygon':
+            addPolygon(geometry.coordinates);
+            break;
+        case 'MultiPolygon':
+            geometry.coordinates.forEach(addPolygon);
+            break;
+        case 'GeometryCollection':
+            geometry.geometries.forEach(child => geometryToBufferShapes(child, shapes));
+            break;
+    }
+    return shapes;
+}
+
+function toggleBufferPanel() {
+    if (bufferPanel) {
+        closeBufferPanel();
+    } else {
+        openBufferPanel();
+    }
+}
+
+// upload, when given, is { fileName, source, shapes } for a file with no polygons in it
+function openBufferPanel(upload = null) {
+    if (bufferPanel) closeBufferPanel();
+    if (isDrawing) stopDrawing();
+    if (isEditing) stopEditing();
+    if (isCuttingHole) cancelCuttingHole();
+    if (shapeDrawing) stopShapeDrawing();
+    if (measurement) stopMeasuring();
+    
+    const selected = getActivePolygon();
+    const hasSelection = Boolean(selected && selected.points.length >= 3);
+    const initialSource = upload ? 'file' : hasSelection ? 'selected' : 'point';
+    
+    const element = document.createElement('div');
+    element.className = 'buffer-panel';
+    element.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-expand"></i> Buffer</h3>
+                <button class="modal-close" id="closeBufferPanel">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="buffer-sources">
+                    ${upload ? `
+                    <label class="crs-option"><input type="radio" name="bufferSource" value="file"><span class="crs-option-name">Lines and points in ${escapeHtml(upload.fileName)}</span></label>` : ''}
+                    <label class="crs-option"><input type="radio" name="bufferSource" value="selected" ${hasSelection ? '' : 'disabled'}><span class="crs-option-name">Selected polygon</span></label>
+                    <label class="crs-option"><input type="radio" name="bufferSource" value="point"><span class="crs-option-name">Points clicked on the map</span></label>
+                    <label class="crs-option"><input type="radio" name="bufferSource" value="line"><span class="crs-option-name">Line drawn on the map</span></label>
+                </div>
+                <div class="feature-picker-note" id="bufferSketchInfo"></div>
+                <div class="coordinate-options buffer-options">
+                    <label>
+                        <span>Distance (m)</span>
+                        <input type="number" id="bufferDistance" min="1" step="any" value="500">
+                    </label>
+                    <label>
+                        <span>End caps</span>
+                        <select id="bufferCap">
+                            <option value="round">Round</option>
+                            <option value="flat">Flat</option>
+                            <option value="square">Square</option>
+                        </select>
+                    </label>
+                    <label>
+                        <span>Corners</span>
+                        <select id="bufferJoin">
+                            <option value="round">Round</option>
+                            <option value="miter">Mitred</option>
+                            <option value="bevel">Bevelled</option>
+                        </select>
+                    </label>
+                </div>
+                <div class="feature-picker-selection" id="bufferSummary"></div>
+            </div>
+            <div class="modal-actions">
+                <button class="btn-secondary" id="cancelBuffer">Cancel</button>
+                <button class="btn-primary" id="applyBuffer" disabled>
+                    <i class="fas fa-check"></i>
+                    <span>Create AOI</span>
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(element);
+    
+    bufferPanel = {
+        element,
+        upload,
+        source: initialSource,
+        sketch: [],
+        sketchLayer: L.layerGroup().addTo(map),
+        previewLayer: L.layerGroup().addTo(map),
+        result: null
+    };
+    
+    element.querySelector(`input[name="bufferSource"][value="${initialSource}"]`).checked = true;
+    element.querySelectorAll('input[name="bufferSource"]').forEach(input => {
+        input.addEventListener('change', () => {
+            bufferPanel.source = input.value;
+            bufferPanel.sketch = [];
+            renderBufferSketch();
+            updateBufferPreview();
+        });
+    });
+    
+    const preview = debounce(updateBufferPreview, 250);
+    element.querySelector('#bufferDistance').addEventListener('input', preview);
+    element.querySelector('#bufferCap').addEventListener('change', updateBufferPreview);
+    element.querySelector('#bufferJoin').addEventListener('change', updateBufferPreview);
+    element.querySelector('#applyBuffer').addEventListener('click', applyBuffer);
+    element.querySelector('#cancelBuffer').addEventListener('click', closeBufferPanel);
+    element.querySelector('#closeBufferPanel').addEventListener('click', closeBufferPanel);
+    
+    if (DOMCache.bufferTool) DOMCache.bufferTool.classList.add('active');
+    renderBufferSketch();
+    updateBufferPreview();
+}
+
+function closeBufferPanel() {
+    if (!bufferPanel) return;
+    map.removeLayer(bufferPanel.sketchLayer);
+    map.removeLayer(bufferPanel.previewLayer);
+    bufferPanel.element.remove();
+    bufferPanel = null;
+    map.getContainer().style.cursor = '';
+    if (DOMCache.bufferTool) DOMCache.bufferTool.classList.remove('active');
+}
+
+// True while map clicks place buffer points or line vertices
+function isSketchingBuffer() {
+    return Boolean(bufferPanel && (bufferPanel.source === 'point' || bufferPanel.source === 'line'));
+}
+
+function addBufferSketchPoint(latlng) {
+    bufferPanel.sketch.push([latlng.lat, latlng.lng]);
+    renderBufferSketch();
+    updateBufferPreview();
+}
+
+function removeBufferSketchPoint() {
+    bufferPanel.sketch.pop();
+    renderBufferSketch();
+    updateBufferPreview();
+}
+
+function renderBufferSketch() {
+    const panel = bufferPanel;
+    const info = panel.element.querySelector('#bufferSketchInfo');
+    panel.sketchLayer.clearLayers();
+    map.getContainer().style.cursor = isSketchingBuffer() ? 'crosshair' : '';
+    
+    if (!isSketchingBuffer()) {
+        info.textContent = panel.source === 'selected'
+            ? 'The selected polygon is replaced by its buffer.'
+            : 'The AOI is replaced by the buffer of the uploaded geometry.';
+        return;
+    }
+    
+    if (panel.source === 'line' && panel.sketch.length > 1) {
+        L.polyline(panel.sketch, bufferSketchStyle).addTo(panel.sketchLayer);
+    }
+    panel.sketch.forEach(point => {
+        L.circleMarker(point, { ...bufferSketchStyle, radius: 4, dashArray: null, fillOpacity: 1 }).addTo(panel.sketchLayer);
+    });
+    
+    const noun = panel.source === 'point' ? 'point' : 'vertex';
+    const count = panel.sketch.length;
+    info.textContent = `Click the map to add a ${noun}; right-click removes the last one. ${count} ${noun === 'point' ? (count === 1 ? 'point' : 'points') : (count === 1 ? 'vertex' : 'vertices')} so far.`;
+}
+
+function getBufferSourceShapes() {
+    const panel = bufferPanel;
+    const shapes = { points: [], lines: [], polygons: [] };
+    
+    if (panel.source === 'file') return panel.upload.shapes;
+    if (panel.source === 'point') shapes.points.push(...panel.sketch);
+    if (panel.source === 'line' && panel.sketch.length > 1) shapes.lines.push(panel.sketch);
+    if (panel.source === 'selected') {
+        const entry = getActivePolygon();
+        if (entry && entry.points.length >= 3) shapes.polygons.push({ points: entry.points, holes: entry.holes });
+    }
+    return shapes;
+}
+
+function getBufferOptions() {
+    const element = bufferPanel.element;
+    return {
+        distance: parseFloat(element.querySelector('#bufferDistance').value),
+        cap: element.querySelector('#bufferCap').value,
+        join: element.querySelector('#bufferJoin').value
+    };
+}
+
+function updateBufferPreview() {
+    const panel = bufferPanel;
+    if (!panel) return;
+    
+    const summary = panel.element.querySelector('#bufferSummary');
+    const applyButton = panel.element.querySelector('#applyBuffer');
+    const { distance, cap, join } = getBufferOptions();
+    const shapes = getBufferSourceShapes();
+    
+    panel.previewLayer.clearLayers();
+    panel.result = null;
+    applyButton.disabled = true;
+    panel.element.querySelector('input[name="bufferSource"][value="selected"]').disabled = polygonPoints.length < 3;
+    
+    if (!(distance > 0)) {
+        summary.textContent = 'Enter a distance greater than 0 m.';
+        return;
+    }
+    if (shapes.points.length + shapes.lines.length + shapes.polygons.length === 0) {
+        summary.textContent = panel.source === 'line' ? 'Draw a line with at least 2 vertices.' : 'Nothing to buffer yet.';
+        return;
+    }
+    
+    try {
+        panel.result = bufferShapes(shapes, distance, { cap, join }).filter(polygon => polygon.points.length >= 3);
+    } catch (error) {
+        console.error('Buffer failed:', error);
+        summary.textContent = `Could not buffer: ${error.message}`;
+        return;
+    }
+    
+    panel.result.forEach(polygon => {
+        L.polygon(polygon.holes.length > 0 ? [polygon.points, ...polygon.holes] : polygon.points, featurePreviewSelectedStyle)
+            .addTo(panel.previewLayer);
+    });
+    
+    const area = panel.result.reduce((sum, polygon) => sum + getPolygonArea(polygon), 0);
+    const parts = panel.result.length > 1 ? ` in ${panel.result.length} polygons` : '';
+    summary.textContent = `Buffer area: ${formatArea(area)}${parts}`;
+    applyButton.disabled = panel.result.length === 0;
+}
+
+function applyBuffer() {
+    const panel = bufferPanel;
+    if (!panel) return;
+    
+    // The source may have been edited since the last preview
+    updateBufferPreview();
+    if (!panel.result || panel.result.length === 0) return;
+    
+    const { distance, cap, join } = getBufferOptions();
+    const result = panel.result;
+    const source = panel.source;
+    const upload = panel.upload;
+    const polygonId = activePolygonId;
+    closeBufferPanel();
+    
+    if (source === 'file') {
+        clearMap({ record: false });
+    } else if (source === 'selected') {
+        removeAoiPolygon(polygonId);
+    }
+    
+    // Buffer outlines are dense arcs, so they get no numbered vertex markers
+    const entries = result.map(polygon => {
+        const entry = createAoiPolygon(polygon.points, { holes: polygon.holes, showVertices: false });
+        addPolygonLayer(entry);
+        return entry;
+    });
+    if (source === 'file') {
+        aoiSource = { ...upload.source, buffer: { distance, cap, join } };
+    }
+    selectPolygon(entries[0].id);
+    recordAoiCommand(`Buffer (${distance.toLocaleString()} m)`);
+    
+    const bounds = getAoiBounds();
+    if (bounds) map.fitBounds(bounds, { padding: [20, 20] });
+    showAnalysisPanel();
+    
+    const area = entries.reduce((sum, entry) => sum + getPolygonArea(entry), 0);
+    showNotification(`${distance.toLocaleString()} m buffer created: ${formatArea(area)}.`, 'success');
+    
+    if (source === 'file') showServiceSelectionModal();
+}
+
+// Simplification: JSTS topology-preserving simplification with the tolerance in metres,
+// for uploads too detailed to edit or render comfortably
+const SIMPLIFY_SETTINGS_KEY = 'simplifySettings';
+const DEFAULT_SIMPLIFY_SETTINGS = { autoThreshold: 5000 };
+
+// Above this many vertices a loaded polygon gets no numbered markers
+const MAX_NUMBERED_VERTICES = 500;
+
+// Slider positions 0-100 map to 0.1 m - 1 km on a log scale
+function getSimplifyTolerance(sliderValue) {
+    return 0.1 * Math.pow(10, sliderValue / 25);
+}
+
+function getSimplifySettings() {
+    try {
+        return { ...DEFAULT_SIMPLIFY_SETTINGS, ...JSON.parse(localStorage.getItem(SIMPLIFY_SETTINGS_KEY) || '{}') };
+    } catch (error) {
+        return { ...DEFAULT_SIMPLIFY_SETTINGS };
+    }
+}
+
+function saveSimplifySettings(settings) {
+    localStorage.setItem(SIMPLIFY_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function countPolygonVertices(polygons) {
+    return polygons.reduce((sum, polygon) =>
+        sum + polygon.points.length + polygon.holes.reduce((holeSum, hole) => holeSum + hole.length, 0), 0);
+}
+
+// Simplifies [{ points, holes }] in [lat, lng]; rings never cross each other or collapse
+function simplifyPolygons(polygons, tolerance) {
+    if (typeof jsts === 'undefined') {
+        throw new Error('Geometry library failed to load. Please refresh the page and try again.');
+    }
+    
+    const projection = createLocalProjection(polygons.flatMap(polygon => polygon.points));
+    const closeRing = ring => [...ring, ring[0]].map(projection.forward);
+    const geometry = new jsts.io.GeoJSONReader().read({
+        type: 'MultiPolygon',
+        coordinates: polygons.map(polygon => [polygon.points, ...polygon.holes].map(closeRing))
+    });
+    
+    const simplified = new jsts.io.GeoJSONWriter().write(jsts.simplify.TopologyPreservingSimplifier.simplify(geometry, tolerance));
+    const output = simplified.type === 'Polygon' ? [simplified.coordinates] : simplified.coordinates;
+    
+    return output.map(rings => {
+        const latLngRings = rings.map(ring => openRing(ring.map(projection.inverse)));
+        return { points: latLngRings[0], holes: latLngRings.slice(1) };
+    });
+}
+
+// Smallest slider position that brings the vertex count down to maxVertices (or the
+// largest tolerance if none does), found by bisection as each try simplifies everything
+function findSimplifySliderValue(polygons, maxVertices) {
+    let low = 0;
+    let high = 100;
+    let best = { value: high, polygons: simplifyPolygons(polygons, getSimplifyTolerance(high)) };
+    if (countPolygonVertices(best.polygons) > maxVertices) return best;
+    
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        const result = simplifyPolygons(polygons, getSimplifyTolerance(middle));
+        if (countPolygonVertices(result) <= maxVertices) {
+            best = { value: middle, polygons: result };
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return best;
+}
+
+// Replaces the geometry of the given AOI polygons; points are edited in place so
+// polygonPoints keeps referring to the selected polygon
+function setPolygonGeometries(entryIds, polygons) {
+    entryIds.forEach((id, index) => {
+        const entry = aoiPolygons.find(polygon => polygon.id === id);
+        if (!entry || !polygons[index]) return;
+        
+        // Pushed one by one: spreading very large rings can exceed the argument limit
+        entry.points.length = 0;
+        polygons[index].points.forEach(point => entry.points.push(point));
+        entry.holes = polygons[index].holes;
+        refreshPolygonLayer(entry);
+    });
+    selectPolygon(activePolygonId);
+}
+
+function toggleSimplifyPanel() {
+    if (simplifyPanel) {
+        closeSimplifyPanel();
+        return;
+    }
+    
+    const entries = getCompletePolygons();
+    if (entries.length === 0) {
+        showNotification('Draw or upload an area first to simplify it.', 'warning');
+        return;
+    }
+    
+    openSimplifyPanel({
+        original: entries.map(entry => ({ points: entry.points.slice(), holes: entry.holes.map(hole => hole.slice()) })),
+        entryIds: entries.map(entry => entry.id),
+        sliderValue: 25,
+        applied: false
+    });
+}
+
+// options: { original, entryIds, sliderValue, applied, fileName }; applied is true when the
+// AOI already holds the simplified geometry, as after an automatic simplification
+function openSimplifyPanel(options) {
+    if (simplifyPanel) closeSimplifyPanel();
+    
+    const settings = getSimplifySettings();
+    const originalCount = countPolygonVertices(options.original);
+    const originalArea = options.original.reduce((sum, polygon) => sum + getPolygonArea(polygon), 0);
+    
+    const element = document.createElement('div');
+    element.className = 'simplify-panel';
+    element.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-compress-alt"></i> Simplify</h3>
+                <button class="modal-close" id="closeSimplifyPanel">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="crs-picker-intro">
+                    ${options.fileName
+                        ? `${escapeHtml(options.fileName)} had ${originalCount.toLocaleString()} vertices, so it was simplified automatically. Adjust the tolerance or keep the original.`
+                        : 'Removes vertices that move the outline by less than the tolerance. Rings never cross or collapse.'}
+                </div>
+                <label class="simplify-slider">
+                    <span>Tolerance <strong id="simplifyToleranceValue"></strong></span>
+                    <input type="range" id="simplifyTolerance" min="0" max="100" step="1" value="${options.sliderValue}">
+                </label>
+                <div class="crs-ranges">
+                    <div>
+                        <span>Vertices</span>
+                        <strong id="simplifyVertices"></strong>
+                    </div>
+                    <div>
+                        <span>Area</span>
+                        <strong id="simplifyArea"></strong>
+                    </div>
+                </div>
+                <label class="simplify-threshold">
+                    <span>Simplify uploads with more than</span>
+                    <input type="number" id="simplifyThreshold" min="0" step="100" value="${settings.autoThreshold}">
+                    <span>vertices automatically (0 turns this off)</span>
+                </label>
+            </div>
+            <div class="modal-actions">
+                <button class="btn-secondary" id="keepOriginal">Keep Original</button>
+                <button class="btn-primary" id="applySimplify">
+                    <i class="fas fa-check"></i>
+                    <span>Apply</span>
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(element);
+    
+    simplifyPanel = {
+        element,
+        original: options.original,
+        entryIds: options.entryIds,
+        applied: options.applied,
+        originalCount,
+        originalArea,
+        result: null,
+        previewLayer: L.layerGroup().addTo(map)
+    };
+    
+    const slider = element.querySelector('#simplifyTolerance');
+    const preview = debounce(updateSimplifyPreview, 150);
+    slider.addEventListener('input', () => {
+        element.querySelector('#simplifyToleranceValue').textContent = formatSimplifyTolerance(parseInt(slider.value, 10));
+        preview();
+    });
+    
+    element.querySelector('#simplifyThreshold').addEventListener('change', e => {
+        const autoThreshold = Math.max(0, parseInt(e.target.value, 10) || 0);
+        e.target.value = autoThreshold;
+        saveSimplifySettings({ ...getSimplifySettings(), autoThreshold });
+    });
+    
+    element.querySelector('#applySimplify').addEventListener('click', applySimplify);
+    element.querySelector('#keepOriginal').addEventListener('click', keepOriginalGeometry);
+    element.querySelector('#closeSimplifyPanel').addEventListener('click', closeSimplifyPanel);
+    
+    if (DOMCache.simplifyTool) DOMCache.simplifyTool.classList.add('active');
+    element.querySelector('#simplifyToleranceValue').textContent = formatSimplifyTolerance(options.sliderValue);
+    updateSimplifyPreview();
+}
+
+function closeSimplifyPanel() {
+    if (!simplifyPanel) return;
+    map.removeLayer(simplifyPanel.previewLayer);
+    simplifyPanel.element.remove();
+    simplifyPanel = null;
+    if (DOMCache.simplifyTool) DOMCache.simplifyTool.classList.remove('active');
+}
+
+function formatSimplifyTolerance(sliderValue) {
+    const tolerance = getSimplifyTolerance(sliderValue);
+    return tolerance < 10 ? `${tolerance.toFixed(1)} m` : `${Math.round(tolerance).toLocaleString()} m`;
+}
+
+function updateSimplifyPreview() {
+    const panel = simplifyPanel;
+    if (!panel) return;
+    
+    const element = panel.element;
+    const sliderValue = parseInt(element.querySelector('#simplifyTolerance').value, 10);
+    panel.previewLayer.clearLayers();
+    
+    try {
+        panel.result = simplifyPolygons(panel.original, getSimplifyTolerance(sliderValue));
+    } catch (error) {
+        console.error('Simplification failed:', error);
+        panel.result = null;
+        element.querySelector('#simplifyVertices').textContent = `Could not simplify: ${error.message}`;
+        element.querySelector('#applySimplify').disabled = true;
+        return;
+    }
+    
+    panel.result.forEach(polygon => {
+        L.polygon(polygon.holes.length > 0 ? [polygon.points, ...polygon.holes] : polygon.points,
+            { ...featurePreviewSelectedStyle, fillOpacity: 0 }).addTo(panel.previewLayer);
+    });
+    
+    const count = countPolygonVertices(panel.result);
+    const area = panel.result.reduce((sum, polygon) => sum + getPolygonArea(polygon), 0);
+    const areaChange = area - panel.originalArea;
+    const percent = panel.originalArea > 0 ? areaChange / panel.originalArea * 100 : 0;
+    
+    const sign = value => value >= 0 ? '+' : '−';
+    const removed = Math.round((panel.originalCount - count) / panel.originalCount * 100);
+    element.querySelector('#simplifyVertices').textContent =
+        `${panel.originalCount.toLocaleString()} → ${count.toLocaleString()} (−${removed}%)`;
+    element.querySelector('#simplifyArea').textContent =
+        `${formatArea(area)} (${sign(areaChange)}${formatArea(Math.abs(areaChange))}, ${sign(areaChange)}${Math.abs(percent) < 0.01 ? '<0.01' : Math.abs(percent).toFixed(2)}%)`;
+    element.querySelector('#applySimplify').disabled = false;
+}
+
+function applySimplify() {
+    const panel = simplifyPanel;
+    if (!panel || !panel.result) return;
+    
+    const count = countPolygonVertices(panel.result);
+    const areaText = panel.element.querySelector('#simplifyArea').textContent;
+    setPolygonGeometries(panel.entryIds, panel.result);
+    closeSimplifyPanel();
+    recordAoiCommand('Simplify');
+    showNotification(`Simplified to ${count.toLocaleString()} vertices. Area: ${areaText}.`, 'success');
+}
+
+function keepOriginalGeometry() {
+    const panel = simplifyPanel;
+    if (!panel) return;
+    
+    if (panel.applied) {
+        setPolygonGeometries(panel.entryIds, panel.original);
+        recordAoiCommand('Restore original');
+        showNotification(`Original boundary restored (${panel.originalCount.toLocaleString()} vertices).`, 'info');
+    }
+    closeSimplifyPanel();
+}
+
+// Coordinate entry: vertices typed or pasted into a table (decimal degrees, DMS or
+// projected eastings/northings), kept in sync with the selected polygon both ways.
+const MAX_COORDINATE_ROWS = 2000;
+
+// Reads one coordinate: decimal ("9.1234", "9,1234"), DMS ("9°07'22.8\"N", "9 7 22.8 N",
+// "9:07:22.8") or with a hemisphere letter. Returns { value, axis } or null, where
+// axis is 'lat'/'lng' when a hemisphere letter says which one it is.
+function parseCoordinateValue(text) {
+    let value = String(text || '').trim().toUpperCase();
+    if (!value) return null;
+    
+    // Thousands separators in eastings/northings ("670,553.98"), decimal commas elsewhere
+    const thousands = /^-?\d{1,3}(,\d{3})+\.\d+$|^-?\d{1,3}(,\d{3}){2,}$/.test(value);
+    value = thousands ? value.replace(/,/g, '') : value.replace(',', '.');
+    
+    const match = /^([NSEW])?\s*(.*?)\s*([NSEW])?$/.exec(value);
+    const hemisphere = match[1] || match[3] || null;
+    if (match[1] && match[3]) return null;
+    
+    const parts = match[2].split(/[°º:D'’′M"”″S\s]+/).filter(Boolean);
+    if (parts.length === 0 || parts.length > 3) return null;
+    if (!parts.every((part, index) => (index === 0 ? /^[-+]?\d+(\.\d+)?$/ : /^\d+(\.\d+)?$/).test(part))) return null;
+    
+    const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+    if (minutes >= 60 || seconds >= 60) return null;
+    
+    const negative = parts[0].startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+    const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+    return {
+        value: negative ? -magnitude : magnitude,
+        axis: hemisphere ? (hemisphere === 'N' || hemisphere === 'S' ? 'lat' : 'lng') : null
+    };
+}
+
+// Splits pasted text into [first, second] cell pairs. Accepts CSV/TSV/semicolon or
+// space separated rows with an optional header, or a WKT POLYGON/LINESTRING.
+// order is 'xy' or 'yx' when a header or WKT fixes the axis order, otherwise null.
+function parseCoordinateText(text) {
+    const trimmed = String(text || '').trim();
+    
+    if (/^(MULTI)?(POLYGON|LINESTRING)\b/i.test(trimmed)) {
+        const rings = trimmed.match(/\(\s*([^()]+?)\s*\)/g) || [];
+        if (rings.length === 0) throw new Error('The WKT contains no coordinates');
+        
+        const rows = rings[0].replace(/[()]/g, '').split(',').map(pair => pair.trim().split(/\s+/).slice(0, 2));
+        return { rows: dropClosingRow(rows), order: 'xy', ignoredRings: rings.length - 1 };
+    }
+    
+    const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) return { rows: [], order: null, ignoredRings: 0 };
+    
+    const delimiter = /\t/.test(lines[0]) ? '\t' : /;/.test(lines[0]) ? ';' : /,/.test(lines[0]) ? ',' : /\s+/;
+    let table = lines.map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+    let columns = [0, 1];
+    let order = null;
+    
+    // A header row names the columns, so their order no longer has to be guessed
+    const header = table[0];
+    if (header.every(cell => !parseCoordinateValue(cell))) {
+        table = table.slice(1);
+        const find = pattern => header.findIndex(cell => pattern.test(cell.trim()));
+        const yColumn = find(/^(lat|latitude|y|northing|north|n)$/i);
+        const xColumn = find(/^(lon|lng|long|longitude|x|easting|east|e)$/i);
+        if (yColumn !== -1 && xColumn !== -1) {
+            columns = [xColumn, yColumn];
+            order = 'xy';
+        }
+    } else if (table.every(row => row.length >= 3)) {
+        // A leading point label or running number is not a coordinate
+        const first = table.map(row => row[0]);
+        const isLabel = first.some(cell => !parseCoordinateValue(cell)) ||
+            first.every((cell, index) => cell === String(index + 1) || cell === String(index));
+        if (isLabel) columns = [1, 2];
+    }
+    
+    return {
+        rows: dropClosingRow(table.map(row => columns.map(column => row[column] || ''))),
+        order,
+        ignoredRings: 0
+    };
+}
+
+function dropClosingRow(rows) {
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    return rows.length > 3 && first[0] === last[0] && first[1] === last[1] ? rows.slice(0, -1) : rows;
+}
+
+// Converts one table row to WGS84 [lat, lng]; returns { point, warning } or { error }
+function convertCoordinateRow(cells, crs, order) {
+    const first = parseCoordinateValue(cells[0]);
+    const second = parseCoordinateValue(cells[1]);
+    if (!first || !second) {
+        return { error: `"${!first ? cells[0] : cells[1]}" is not a coordinate` };
+    }
+    
+    let [x, y] = order === 'xy' ? [first, second] : [second, first];
+    // Hemisphere letters say which value is which, whatever the column order
+    if (x.axis === 'lat' || y.axis === 'lng') [x, y] = [y, x];
+    
+    if (crs.isGeographic) {
+        if (Math.abs(y.value) > 90) return { error: 'Latitude must be between -90 and 90' };
+        if (Math.abs(x.value) > 180) return { error: 'Longitude must be between -180 and 180' };
+    } else if (x.axis || y.axis) {
+        return { error: `${crs.name} uses eastings and northings in metres, not degrees` };
+    }
+    
+    const point = crs.toWGS84([x.value, y.value]);
+    if (!point.every(Number.isFinite) || Math.abs(point[0]) > 90) {
+        return { error: `Not a valid position in ${crs.name}` };
+    }
+    
+    let warning = null;
+    if (!crs.isGeographic && (Math.abs(x.value) < 1000 || Math.abs(y.value) < 1000)) {
+        warning = `Looks like degrees, but ${crs.name} uses metres`;
+    } else if (crs.extent && !isInsideCRSExtent(point, crs.extent, 0.5)) {
+        warning = `Outside the area where ${crs.name} is used; check the coordinate system`;
+    }
+    return { point, warning };
+}
+
+// Table cells for a WGS84 point; 7 decimals of a degree and 2 of a metre are about 1 cm
+function formatCoordinateCells(point, crs, order) {
+    const [x, y] = crs.fromWGS84(point);
+    const digits = crs.isGeographic ? 7 : 2;
+    const cells = [x, y].map(value => String(Number(value.toFixed(digits))));
+    return order === 'xy' ? cells : cells.reverse();
+}
+
+function getCoordinateAxisLabels(crs, order) {
+    const labels = crs.isGeographic ? ['Longitude', 'Latitude'] : ['Easting (m)', 'Northing (m)'];
+    return order === 'xy' ? labels : labels.reverse();
+}
+
+function toggleCoordinatePanel() {
+    if (coordinatePanel) {
+        closeCoordinatePanel();
+    } else {
+        openCoordinatePanel();
+    }
+}
+
+function openCoordinatePanel() {
+    const element = document.createElement('div');
+    element.className = 'coordinate-panel';
+    element.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-keyboard"></i> Enter Coordinates</h3>
+                <button class="modal-close" id="closeCoordinatePanel">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="coordinate-options">
+                    <label>
+                        <span>Coordinate system</span>
+                        <select id="coordinateCrs">
+                            ${CRS_REGISTRY.map(definition => `<option value="${definition.code}">${escapeHtml(definition.name)} (${definition.code})</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>
+                        <span>Column order</span>
+                        <select id="coordinateOrder"></select>
+                    </label>
+                </div>
+                <div class="feature-table-wrapper coordinate-table-wrapper">
+                    <table class="feature-table coordinate-table">
+                        <thead id="coordinateTableHead"></thead>
+                        <tbody id="coordinateTableBody"></tbody>
+                    </table>
+                </div>
+                <div class="coordinate-table-actions">
+                    <button class="btn-secondary" id="addCoordinateRow">
+                        <i class="fas fa-plus"></i>
+                        <span>Add Vertex</span>
+                    </button>
+                    <button class="btn-secondary" id="newCoordinatePolygon">
+                        <i class="fas fa-draw-polygon"></i>
+                        <span>New Polygon</span>
+                    </button>
+                </div>
+                <div class="feature-picker-selection" id="coordinateSummary"></div>
+                <textarea class="coordinate-paste" id="coordinatePaste" rows="4" placeholder="Paste CSV/TSV rows (an optional header such as lat,lng or easting,northing picks the columns) or a WKT POLYGON"></textarea>
+                <div class="coordinate-table-actions">
+                    <button class="btn-primary" id="importCoordinates">
+                        <i class="fas fa-file-import"></i>
+                        <span>Replace Table</span>
+                    </button>
+                </div>
+                <div class="feature-picker-note">Decimal degrees, DMS (9°07'22.8"N) and eastings/northings are accepted. Holes stay as they are; cut or edit them on the map.</div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(element);
+    
+    coordinatePanel = {
+        element,
+        crs: createCRS(CRS_REGISTRY[0]),
+        order: 'yx',
+        polygonId: null,
+        rows: [],
+        results: [],
+        tooLarge: false,
+        applying: false,
+        highlight: null
+    };
+    
+    const crsSelect = element.querySelector('#coordinateCrs');
+    const orderSelect = element.querySelector('#coordinateOrder');
+    const tbody = element.querySelector('#coordinateTableBody');
+    const applyRows = debounce(applyCoordinateRows, 300);
+    
+    const updateOrderOptions = () => {
+        const { crs, order } = coordinatePanel;
+        orderSelect.innerHTML = ['yx', 'xy'].map(value =>
+            `<option value="${value}" ${value === order ? 'selected' : ''}>${getCoordinateAxisLabels(crs, value).join(', ')}</option>`
+        ).join('');
+    };
+    
+    // The table always shows the polygon in the chosen system, so switching
+    // system or order converts the values rather than moving the polygon
+    crsSelect.addEventListener('change', () => {
+        coordinatePanel.crs = resolveCRS(crsSelect.value);
+        coordinatePanel.order = coordinatePanel.crs.isGeographic ? 'yx' : 'xy';
+        updateOrderOptions();
+        rebuildCoordinateRows();
+    });
+    
+    orderSelect.addEventListener('change', () => {
+        coordinatePanel.order = orderSelect.value;
+        rebuildCoordinateRows();
+    });
+    
+    tbody.addEventListener('input', e => {
+        const cell = e.target.closest('.coordinate-cell');
+        if (!cell) return;
+        const index = parseInt(cell.closest('tr').dataset.index, 10);
+        coordinatePanel.rows[index].cells[parseInt(cell.dataset.column, 10)] = cell.value;
+        applyRows();
+    });
+    
+    // Several lines pasted into a cell replace the whole table
+    tbody.addEventListener('paste', e => {
+        const text = (e.clipboardData || window.clipboardData).getData('text');
+        if (!/\n|POLYGON|LINESTRING/i.test(text.trim())) return;
+        e.preventDefault();
+        importCoordinateText(text);
+    });
+    
+    tbody.addEventListener('click', e => {
+        const button = e.target.closest('.coordinate-row-delete');
+        if (!button) return;
+        coordinatePanel.rows.splice(parseInt(button.closest('tr').dataset.index, 10), 1);
+        renderCoordinateRows();
+        applyCoordinateRows();
+    });
+    
+    tbody.addEventListener('focusin', e => {
+        const row = e.target.closest('tr');
+        const result = row && coordinatePanel.results[parseInt(row.dataset.index, 10)];
+        highlightCoordinateVertex(result && result.point);
+    });
+    
+    tbody.addEventListener('focusout', () => highlightCoordinateVertex(null));
+    
+    element.querySelector('#addCoordinateRow').addEventListener('click', () => {
+        coordinatePanel.rows.push({ cells: ['', ''] });
+        renderCoordinateRows();
+        const inputs = tbody.querySelectorAll('.coordinate-cell');
+        if (inputs.length > 0) inputs[inputs.length - 2].focus();
+    });
+    
+    element.querySelector('#newCoordinatePolygon').addEventListener('click', () => {
+        if (isDrawing) stopDrawing();
+        // Deselect so map refreshes leave the new table alone until it has 3 vertices
+        coordinatePanel.polygonId = null;
+        selectPolygon(null);
+        coordinatePanel.rows = [{ cells: ['', ''] }, { cells: ['', ''] }, { cells: ['', ''] }];
+        coordinatePanel.tooLarge = false;
+        renderCoordinateRows();
+        tbody.querySelector('.coordinate-cell').focus();
+    });
+    
+    element.querySelector('#importCoordinates').addEventListener('click', () => {
+        importCoordinateText(element.querySelector('#coordinatePaste').value);
+    });
+    
+    element.querySelector('#closeCoordinatePanel').addEventListener('click', closeCoordinatePanel);
+    
+    if (DOMCache.coordinateEntry) DOMCache.coordinateEntry.classList.add('active');
+    updateOrderOptions();
+    refreshCoordinatePanel(true);
+}
+
+function closeCoordinatePanel() {
+    if (!coordinatePanel) return;
+    highlightCoordinateVertex(null);
+    coordinatePanel.element.remove();
+    coordinatePanel = null;
+    if (DOMCache.coordinateEntry) DOMCache.coordinateEntry.classList.remove('active');
+}
+
+// Called whenever the AOI changes on the map; rows follow the selected polygon unless
+// a new polygon is being typed in and nothing has been selected since
+function refreshCoordinatePanel(force = false) {
+    if (!coordinatePanel || coordinatePanel.applying) return;
+    if (!force && activePolygonId === null && coordinatePanel.polygonId === null) return;
+    
+    coordinatePanel.polygonId = activePolygonId;
+    rebuildCoordinateRows();
+}
+
+function rebuildCoordinateRows() {
+    const panel = coordinatePanel;
+    const entry = aoiPolygons.find(polygon => polygon.id === panel.polygonId);
+    const points = entry ? entry.points : [];
+    
+    panel.tooLarge = points.length > MAX_COORDINATE_ROWS;
+    panel.rows = panel.tooLarge ? [] : points.map(point => ({ cells: formatCoordinateCells(point, panel.crs, panel.order) }));
+    renderCoordinateRows();
+}
+
+function renderCoordinateRows() {
+    const panel = coordinatePanel;
+    const labels = getCoordinateAxisLabels(panel.crs, panel.order);
+    
+    panel.element.querySelector('#coordinateTableHead').innerHTML = `
+        <tr>
+            <th>#</th>
+            <th>${labels[0]}</th>
+            <th>${labels[1]}</th>
+            <th></th>
+            <th></th>
+        </tr>
+    `;
+    
+    const tbody = panel.element.querySelector('#coordinateTableBody');
+    if (panel.tooLarge) {
+        const entry = aoiPolygons.find(polygon => polygon.id === panel.polygonId);
+        tbody.innerHTML = `<tr><td colspan="5">This polygon has ${entry.points.length.toLocaleString()} vertices, more than the table can edit (${MAX_COORDINATE_ROWS.toLocaleString()}). Edit it on the map instead.</td></tr>`;
+    } else {
+        tbody.innerHTML = panel.rows.map((row, index) => `
+            <tr data-index="${index}">
+                <td>${index + 1}</td>
+                <td><input type="text" class="coordinate-cell" data-column="0" value="${escapeHtml(row.cells[0])}"></td>
+                <td><input type="text" class="coordinate-cell" data-column="1" value="${escapeHtml(row.cells[1])}"></td>
+                <td class="coordinate-row-status"></td>
+                <td><button class="coordinate-row-delete" title="Delete vertex"><i class="fas fa-times"></i></button></td>
+            </tr>
+        `).join('');
+    }
+    
+    validateCoordinateRows();
+}
+
+// Row-by-row validation; statuses are updated in place so typing keeps its focus
+function validateCoordinateRows() {
+    const panel = coordinatePanel;
+    panel.results = panel.rows.map(row => row.cells.every(cell => !String(cell).trim())
+        ? null
+        : convertCoordinateRow(row.cells, panel.crs, panel.order));
+    
+    panel.element.querySelectorAll('#coordinateTableBody tr[data-index]').forEach(tr => {
+        const result = panel.results[parseInt(tr.dataset.index, 10)];
+        const status = tr.querySelector('.coordinate-row-status');
+        const state = !result ? '' : result.error ? 'error' : result.warning ? 'warning' : 'valid';
+        const icons = { error: 'times-circle', warning: 'exclamation-triangle', valid: 'check' };
+        
+        tr.className = state;
+        status.title = result ? result.error || result.warning || '' : '';
+        status.innerHTML = state ? `<i class="fas fa-${icons[state]}"></i>` : '';
+    });
+    
+    const valid = panel.results.filter(result => result && result.point).length;
+    const problems = panel.results
+        .map((result, index) => result && (result.error || result.warning) ? `row ${index + 1}: ${result.error || result.warning}` : null)
+        .filter(Boolean);
+    const summary = panel.element.querySelector('#coordinateSummary');
+    
+    if (panel.tooLarge) {
+        summary.textContent = '';
+    } else if (valid < 3) {
+        summary.textContent = `${valid} valid vert${valid === 1 ? 'ex' : 'ices'}; a polygon needs at least 3.`;
+    } else {
+        summary.textContent = `${valid} valid vertices${panel.polygonId === null ? ' (not on the map yet)' : ''}`;
+    }
+    if (problems.length > 0) {
+        summary.textContent += ` · ${problems.length} row${problems.length === 1 ? '' : 's'} to check: ${problems.slice(0, 3).join('; ')}${problems.length > 3 ? '…' : ''}`;
+    }
+}
+
+// Writes the valid rows into the bound polygon, creating it once there are 3 vertices
+function applyCoordinateRows() {
+    const panel = coordinatePanel;
+    if (!panel || panel.tooLarge) return;
+    
+    validateCoordinateRows();
+    const points = panel.results.filter(result => result && result.point).map(result => result.point);
+    if (points.length < 3) return;
+    
+    panel.applying = true;
+    try {
+        let entry = aoiPolygons.find(polygon => polygon.id === panel.polygonId);
+        if (!entry) {
+            if (isDrawing) stopDrawing();
+            entry = createAoiPolygon(points);
+            addPolygonLayer(entry);
+            panel.polygonId = entry.id;
+            selectPolygon(entry.id);
+            map.fitBounds(entry.layer.getBounds(), { padding: [20, 20] });
+            showAnalysisPanel();
+        } else {
+            // In place, so polygonPoints keeps pointing at the entry's array
+            entry.points.splice(0, entry.points.length, ...points);
+            syncPolygonLayer(entry);
+            
+            if (entry.id === activePolygonId) {
+                renderVertexMarkers();
+                updateAoiSummary();
+            } else {
+                selectPolygon(entry.id);
+            }
+        }
+    } finally {
+        panel.applying = false;
+    }
+    recordAoiCommand('Edit coordinates');
+    validateCoordinateRows();
+}
+
+function importCoordinateText(text) {
+    const panel = coordinatePanel;
+    let parsed;
+    try {
+        parsed = parseCoordinateText(text);
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    if (parsed.rows.length === 0) {
+        showNotification('No coordinates found in the pasted text.', 'warning');
+        return;
+    }
+    
+    if (parsed.order && parsed.order !== panel.order) {
+        panel.order = parsed.order;
+        panel.element.querySelector('#coordinateOrder').value = parsed.order;
+    }
+    if (parsed.ignoredRings > 0) {
+        showNotification(`Only the first ring was imported; ${parsed.ignoredRings} other ring${parsed.ignoredRings === 1 ? ' was' : 's were'} ignored.`, 'info');
+    }
+    
+    panel.rows = parsed.rows.map(cells => ({ cells }));
+    panel.tooLarge = false;
+    renderCoordinateRows();
+    applyCoordinateRows();
+}
+
+function highlightCoordinateVertex(point) {
+    const panel = coordinatePanel;
+    if (!panel) return;
+    
+    if (panel.highlight) {
+        map.removeLayer(panel.highlight);
+        panel.highlight = null;
+    }
+    if (point) {
+        panel.highlight = L.circleMarker(point, {
+            radius: 9,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: '#0ea5e9',
+            fillOpacity: 0.9,
+            interactive: false
+        }).addTo(map);
+    }
+}
+
+// Measurement: a ruler (segment lengths, bearings and the total) and an area measure.
+// They draw on their own layer and never touch the AOI, so pricing and validation are
+// unaffected. A double-click finishes a measurement; the next click starts a new one.
+const MEASURE_MODES = {
+    distance: { button: 'measureDistance', status: 'Click to measure a distance. Double-click to finish.' },
+    area: { button: 'measureArea', status: 'Click around the area to measure it. Double-click to finish.' }
+};
+
+const measureStyle = {
+    color: '#facc15',
+    fillColor: '#facc15',
+    fillOpacity: 0.15,
+    weight: 2,
+    interactive: false
+};
+
+// { mode, points, finished, layer, preview } while a measure tool is active
+let measurement = null;
+
+function toggleMeasureTool(mode) {
+    if (measurement) {
+        const sameMode = measurement.mode === mode;
+        stopMeasuring();
+        if (sameMode) return;
+    }
+    
+    if (isDrawing) stopDrawing();
+    if (isEditing) stopEditing();
+    if (isCuttingHole) stopCuttingHole();
+    if (bufferPanel) closeBufferPanel();
+    if (shapeDrawing) stopShapeDrawing();
+    
+    measurement = {
+        mode,
+        points: [],
+        finished: false,
+        layer: L.layerGroup().addTo(map),
+        preview: L.layerGroup().addTo(map)
+    };
+    
+    const button = DOMCache[MEASURE_MODES[mode].button];
+    if (button) button.classList.add('active');
+    map.getContainer().style.cursor = 'crosshair';
+    updateDrawingStatus(`${MEASURE_MODES[mode].status} Press Escape to stop measuring.`);
+}
+
+function stopMeasuring() {
+    if (!measurement) return;
+    
+    const button = DOMCache[MEASURE_MODES[measurement.mode].button];
+    if (button) button.classList.remove('active');
+    map.removeLayer(measurement.layer);
+    map.removeLayer(measurement.preview);
+    measurement = null;
+    
+    map.getContainer().style.cursor = '';
+    updateDrawingStatus('Measurement closed', true);
+}
+
+function addMeasurePoint(latlng) {
+    if (measurement.finished) {
+        measurement.points = [];
+        measurement.finished = false;
+    }
+    
+    // The second click of a double-click lands on the point just placed
+    const last = measurement.points[measurement.points.length - 1];
+    if (last && map.latLngToContainerPoint(last).distanceTo(map.latLngToContainerPoint(latlng)) < 3) return;
+    
+    measurement.points.push(latlng);
+    renderMeasurement();
+}
+
+function removeMeasurePoint() {
+    measurement.points.pop();
+    renderMeasurement();
+}
+
+function finishMeasurement() {
+    const needed = measurement.mode === 'area' ? 3 : 2;
+    if (measurement.points.length < needed) return;
+    
+    measurement.finished = true;
+    renderMeasurement();
+}
+
+// Initial great-circle bearing from a to b, in degrees clockwise from north
+function getInitialBearing(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const lat1 = toRadians(a.lat);
+    const lat2 = toRadians(b.lat);
+    const deltaLng = toRadians(b.lng - a.lng);
+    const y = Math.sin(deltaLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function formatBearing(bearing) {
+    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return `${bearing.toFixed(1)}° ${directions[Math.round(bearing / 45) % 8]}`;
+}
+
+function addMeasureLabel(group, latlng, html, className = 'measure-label', offset = null) {
+    L.tooltip({ permanent: true, direction: offset ? 'right' : 'center', offset: offset || [0, 0], className, interactive: false })
+        .setLatLng(latlng)
+        .setContent(html)
+        .addTo(group);
+}
+
+function formatSegment(a, b) {
+    return `${formatPerimeter(map.distance(a, b) / 1000)} · ${formatBearing(getInitialBearing(a, b))}`;
+}
+
+// Totals for the points plus the cursor position, if any
+function getMeasureSummary(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += map.distance(points[i - 1], points[i]);
+    }
+    
+    if (measurement.mode === 'distance') {
+        return `Total: ${formatPerimeter(length / 1000)}`;
+    }
+    
+    if (points.length < 3) return `Perimeter: ${formatPerimeter(length / 1000)}`;
+    length += map.distance(points[points.length - 1], points[0]);
+    const area = calculatePolygonArea(points.map(latlng => [latlng.lat, latlng.lng]));
+    return `Area: ${formatArea(area)}<br>Perimeter: ${formatPerimeter(length / 1000)}`;
+}
+
+// Placed points and their segment labels; the rubber band to the cursor is the preview
+function renderMeasurement() {
+    const { layer, points, mode, finished } = measurement;
+    layer.clearLayers();
+    measurement.preview.clearLayers();
+    if (points.length === 0) return;
+    
+    const closed = mode === 'area' && finished;
+    if (closed) {
+        L.polygon(points, measureStyle).addTo(layer);
+    } else {
+        L.polyline(points, measureStyle).addTo(layer);
+    }
+    points.forEach(point => L.circleMarker(point, { ...measureStyle, radius: 4, fillOpacity: 1 }).addTo(layer));
+    
+    const segments = closed ? points.length : points.length - 1;
+    for (let i = 0; i < segments; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        addMeasureLabel(layer, L.latLngBounds(a, b).getCenter(), formatSegment(a, b));
+    }
+    
+    if (finished) {
+        const anchor = mode === 'area' ? L.polygon(points).getBounds().getCenter() : points[points.length - 1];
+        addMeasureLabel(layer, anchor, getMeasureSummary(points), 'measure-label measure-total');
+    }
+}
+
+function updateMeasurePreview(latlng) {
+    const { preview, points, mode } = measurement;
+    preview.clearLayers();
+    if (measurement.finished || points.length === 0) return;
+    
+    const last = points[points.length - 1];
+    const band = mode === 'area' && points.length >= 2 ? [last, latlng, points[0]] : [last, latlng];
+    L.polyline(band, { ...measureStyle, dashArray: '6 4' }).addTo(preview);
+    if (mode === 'area' && points.length >= 2) {
+        L.polygon([...points, latlng], { ...measureStyle, weight: 0 }).addTo(preview);
+    }
+    
+    addMeasureLabel(preview, L.latLngBounds(last, latlng).getCenter(), formatSegment(last, latlng));
+    addMeasureLabel(preview, latlng, getMeasureSummary([...points, latlng]), 'measure-label measure-total', [14, 0]);
+}
+
+function onMeasureMouseMove(e) {
+    if (!measurement) return;
+    updateMeasurePreview(snapLatLng(e.latlng, e.originalEvent).latlng);
+}
+
+// Snapping: vertices placed by clicking snap to nearby vertices, then edges, of the
+// polygons on the map and of saved areas, or else to a lat/lng grid. Holding Alt
+// while clicking does the opposite of the current setting for that click.
+const SNAP_SETTINGS_KEY = 'snapSettings';
+const DEFAULT_SNAP_SETTINGS = {
+    enabled: false,
+    vertices: true,
+    edges: true,
+    savedAreas: false,
+    grid: false,
+    gridSize: 0.0001
+};
+const SNAP_TOLERANCE_PX = 12;
+
+const snapReferenceStyle = {
+    color: '#a855f7',
+    weight: 1.5,
+    opacity: 0.8,
+    fillOpacity: 0.05,
+    dashArray: '3 5',
+    interactive: false
+};
+
+let snapSettings = getSnapSettings();
+let snapIndicator = null;
+let snapReferenceLayer = null;
+
+function getSnapSettings() {
+    try {
+        return { ...DEFAULT_SNAP_SETTINGS, ...JSON.parse(localStorage.getItem(SNAP_SETTINGS_KEY) || '{}') };
+    } catch (error) {
+        return { ...DEFAULT_SNAP_SETTINGS };
+    }
+}
+
+function saveSnapSettings() {
+    localStorage.setItem(SNAP_SETTINGS_KEY, JSON.stringify(snapSettings));
+}
+
+// Checkbox id -> snapSettings key
+const SNAP_OPTION_CHECKBOXES = {
+    snapVertices: 'vertices',
+    snapEdges: 'edges',
+    snapSavedAreas: 'savedAreas',
+    snapGrid: 'grid'
+};
+
+function setupSnapControls() {
+    Object.entries(SNAP_OPTION_CHECKBOXES).forEach(([id, key]) => {
+        const checkbox = document.getElementById(id);
+        if (!checkbox) return;
+        checkbox.addEventListener('change', () => {
+            snapSettings[key] = checkbox.checked;
+            saveSnapSettings();
+            updateSnapControls();
+        });
+    });
+    
+    const gridSize = document.getElementById('snapGridSize');
+    if (gridSize) {
+        gridSize.addEventListener('change', () => {
+            snapSettings.gridSize = parseFloat(gridSize.value);
+            saveSnapSettings();
+        });
+    }
+    
+    if (DOMCache.snapToggle) DOMCache.snapToggle.addEventListener('click', toggleSnapping);
+    updateSnapControls();
+}
+
+function toggleSnapping() {
+    snapSettings.enabled = !snapSettings.enabled;
+    saveSnapSettings();
+    updateSnapControls();
+    showNotification(snapSettings.enabled
+        ? 'Snapping on. Hold Alt while clicking to place a point freely.'
+        : 'Snapping off. Hold Alt while clicking to snap a single point.', 'info');
+}
+
+function updateSnapControls() {
+    if (DOMCache.snapToggle) DOMCache.snapToggle.classList.toggle('active', snapSettings.enabled);
+    
+    Object.entries(SNAP_OPTION_CHECKBOXES).forEach(([id, key]) => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) checkbox.checked = snapSettings[key];
+    });
+    const gridSize = document.getElementById('snapGridSize');
+    if (gridSize) gridSize.value = String(snapSettings.gridSize);
+    
+    const options = document.getElementById('snapOptions');
+    if (options) options.style.display = snapSettings.enabled ? '' : 'none';
+    
+    refreshSnapReferences();
+}
+
+// Saved areas are drawn faintly while they are snap targets, so what attracts the cursor is visible
+function refreshSnapReferences() {
+    if (!map) return;
+    if (!snapReferenceLayer) snapReferenceLayer = L.layerGroup().addTo(map);
+    snapReferenceLayer.clearLayers();
+    
+    if (!snapSettings.enabled || !snapSettings.savedAreas) return;
+    
+    getAllLibraryRecords(AREA_STORE)
+        .then(savedAreas => {
+            // Snapping may have been switched off while the library was read
+            snapReferenceLayer.clearLayers();
+            if (!snapSettings.enabled || !snapSettings.savedAreas) return;
+            
+            savedAreas.forEach(area => area.polygons.forEach(polygon => {
+                L.polygon(polygon.holes.length > 0 ? [polygon.points, ...polygon.holes] : polygon.points, snapReferenceStyle)
+                    .addTo(snapReferenceLayer);
+            }));
+        })
+        .catch(error => console.error('Could not read saved areas for snapping:', error));
+}
+
+// True while map clicks place vertices: drawing, cutting a hole or sketching a buffer source
+function isPlacingVertices() {
+    return isDrawing || isCuttingHole || isSketchingBuffer() || Boolean(measurement) ||
+        Boolean(shapeDrawing && shapeDrawing.mode !== 'lasso');
+}
+
+// Every ring of a polygon or polyline's (possibly nested) LatLng arrays
+function collectLatLngRings(latlngs, rings = []) {
+    if (latlngs.length === 0) return rings;
+    if (L.LineUtil.isFlat(latlngs)) {
+        rings.push(latlngs);
+    } else {
+        latlngs.forEach(child => collectLatLngRings(child, rings));
+    }
+    return rings;
+}
+
+// Rings that can be snapped to; the polygon being drawn or cut and the hole preview
+// are left out so their own vertices are not doubled up
+function getSnapTargetRings() {
+    const rings = [];
+    const excluded = [holePreviewLayer, isDrawing || isCuttingHole ? currentPolygon : null];
+    
+    const addLayer = layer => {
+        if (layer instanceof L.Polyline && !excluded.includes(layer)) {
+            const closed = layer instanceof L.Polygon;
+            collectLatLngRings(layer.getLatLngs()).forEach(ring => rings.push({ ring, closed }));
+        }
+    };
+    drawnItems.eachLayer(addLayer);
+    if (snapReferenceLayer) snapReferenceLayer.eachLayer(addLayer);
+    return rings;
+}
+
+// Returns { latlng, type } where type is 'vertex', 'edge', 'grid' or null (not snapped)
+function snapLatLng(latlng, originalEvent) {
+    const active = snapSettings.enabled !== Boolean(originalEvent && originalEvent.altKey);
+    if (!active) return { latlng, type: null };
+    
+    // Unrounded pixel coordinates; container points are rounded to whole pixels,
+    // which would leave edge snaps up to half a pixel off the edge
+    const project = target => map.project(target, map.getZoom());
+    const point = project(latlng);
+    const bounds = L.latLngBounds(
+        map.unproject(point.subtract([SNAP_TOLERANCE_PX, SNAP_TOLERANCE_PX]), map.getZoom()),
+        map.unproject(point.add([SNAP_TOLERANCE_PX, SNAP_TOLERANCE_PX]), map.getZoom())
+    );
+    const rings = snapSettings.vertices || snapSettings.edges ? getSnapTargetRings() : [];
+    
+    if (snapSettings.vertices) {
+        let best = null;
+        let bestDistance = SNAP_TOLERANCE_PX;
+        rings.forEach(({ ring }) => ring.forEach(vertex => {
+            if (!bounds.contains(vertex)) return;
+            const distance = project(vertex).distanceTo(point);
+            if (distance <= bestDistance) {
+                best = vertex;
+                bestDistance = distance;
+            }
+        }));
+        if (best) return { latlng: L.latLng(best.lat, best.lng), type: 'vertex' };
+    }
+    
+    if (snapSettings.edges) {
+        let best = null;
+        let bestDistance = SNAP_TOLERANCE_PX;
+        rings.forEach(({ ring, closed }) => {
+            const count = closed ? ring.length : ring.length - 1;
+            for (let i = 0; i < count; i++) {
+                const a = ring[i];
+                const b = ring[(i + 1) % ring.length];
+                // Skip edges whose bounding box misses the tolerance box
+                if (Math.max(a.lat, b.lat) < bounds.getSouth() || Math.min(a.lat, b.lat) > bounds.getNorth() ||
+                    Math.max(a.lng, b.lng) < bounds.getWest() || Math.min(a.lng, b.lng) > bounds.getEast()) continue;
+                
+                const closest = L.LineUtil.closestPointOnSegment(point, project(a), project(b));
+                const distance = closest.distanceTo(point);
+                if (distance <= bestDistance) {
+                    best = closest;
+                    bestDistance = distance;
+                }
+            }
+        });
+        if (best) return { latlng: map.unproject(best, map.getZoom()), type: 'edge' };
+    }
+    
+    if (snapSettings.grid && snapSettings.gridSize > 0) {
+        const size = snapSettings.gridSize;
+        // Rounded to the grid's own decimals so 0.1 + 0.2 style errors do not creep in
+        const decimals = Math.max(0, Math.ceil(-Math.log10(size)) + 2);
+        const round = value => Number((Math.round(value / size) * size).toFixed(decimals));
+        return { latlng: L.latLng(round(latlng.lat), round(latlng.lng)), type: 'grid' };
+    }
+    
+    return { latlng, type: null };
+}
+
+// Shows where a click would land while vertices are being placed
+function updateSnapIndicator(e) {
+    const snapped = e && isPlacingVertices() ? snapLatLng(e.latlng, e.originalEvent) : { type: null };
+    
+    if (!snapped.type) {
+        if (snapIndicator) {
+            map.removeLayer(snapIndicator);
+            snapIndicator = null;
+        }
+        return;
+    }
+    
+    const colors = { vertex: '#f97316', edge: '#a855f7', grid: '#22c55e' };
+    if (!snapIndicator) {
+        snapIndicator = L.circleMarker(snapped.latlng, {
+            radius: 6,
+            weight: 2,
+            color: '#ffffff',
+            fillOpacity: 1,
+            interactive: false
+        }).addTo(map);
+    }
+    snapIndicator.setLatLng(snapped.latlng);
+    snapIndicator.setStyle({ fillColor: colors[snapped.type] });
+}
+
+function onMapClick(e) {
+    const latlng = isPlacingVertices() ? snapLatLng(e.latlng, e.originalEvent).latlng : e.latlng;
+    
+    if (isCuttingHole) {
+        addHolePoint(latlng);
+        return;
+    }
+    
+    if (isSketchingBuffer()) {
+        addBufferSketchPoint(latlng);
+        return;
+    }
+    
+    if (measurement) {
+        addMeasurePoint(latlng);
+        return;
+    }
+    
+    if (!isDrawing) return;
+
+    polygonPoints.push([latlng.lat, latlng.lng]);
+
+    // Add marker for visual feedback
+    showVertexHandle(polygonPoints.length - 1);
+
+    // If we have at least 3 points, create/update polygon
+    if (polygonPoints.length >= 3) {
+        syncPolygonLayer(getActivePolygon());
+
+        // Calculate area and perimeter
+        updateAoiSummary();
+    } else {
+        refreshCoordinatePanel();
+    }
+    recordAoiCommand('Add vertex');
+}
+
+function onMapDoubleClick(e) {
+    if (measurement) {
+        finishMeasurement();
+        return;
+    }
+    
+    if (isCuttingHole && holePoints.length >= 3) {
+        finishHole();
+        return;
+    }
+    
+    if (isDrawing && polygonPoints.length >= 3) {
+        stopDrawing();
+        
+        // Fit map to show the polygon
+        if (currentPolygon) {
+            map.fitBounds(currentPolygon.getBounds(), {padding: [20, 20]});
+        }
+        
+        showNotification('Area drawing completed!', 'success');
+    }
+}
+
+function onMapRightClick(e) {
+    if (isCuttingHole && holePoints.length > 0) {
+        holePoints.pop();
+        updateHolePreview();
+        return;
+    }
+    
+    if (isSketchingBuffer() && bufferPanel.sketch.length > 0) {
+        removeBufferSketchPoint();
+        return;
+    }
+    
+    if (measurement && !measurement.finished && measurement.points.length > 0) {
+        removeMeasurePoint();
+        return;
+    }
+    
+    if (isDrawing && polygonPoints.length > 0) {
+        // Remove last point and its marker
+        polygonPoints.pop();
+        removeVertexHandle(polygonPoints.length);
+        
+        // Reshape the polygon, or drop it below 3 points
+        syncPolygonLayer(getActivePolygon());
+        updateAoiSummary();
+        recordAoiCommand('Remove vertex');
+    }
+}
+
+function onZoomEnd(e) {
+    const currentZoom = map.getZoom();
+    const maxZoom = map.getMaxZoom();
+    
+    // Show notification if user reaches maximum zoom
+    if (currentZoom >= maxZoom) {
+        showNotification('Maximum zoom level reached. Switch to OpenStreetMap for higher detail.', 'info');
+    }
+}
+
+// WGS84 ellipsoid constants for geodesic area
+const WGS84 = (() => {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const e2 = f * (2 - f);
+    const e = Math.sqrt(e2);
+    const qp = 1 - ((1 - e2) / (2 * e)) * Math.log((1 - e) / (1 + e));
+    return {
+        a: a,
+        f: f,
+        e: e,
+        e2: e2,
+        qp: qp,
+        authalicRadius: a * Math.sqrt(qp / 2)
+    };
+})();
+
+// Authalic latitude (radians): maps the ellipsoid onto a sphere of equal area
+function toAuthalicLatitude(latRad) {
+    const { e, e2, qp } = WGS84;
+    const sinLat = Math.sin(latRad);
+    const q = (1 - e2) * (sinLat / (1 - e2 * sinLat * sinLat) -
+        (1 / (2 * e)) * Math.log((1 - e * sinLat) / (1 + e * sinLat)));
+    return Math.asin(Math.max(-1, Math.min(1, q / qp)));
+}
+
+// Signed area of a ring on the WGS84 ellipsoid in m². Vertices are projected to the
+// authalic sphere and each edge contributes the exact spherical area of the
+// quadrilateral it forms with the equator.
+function calculateRingAreaWGS84(points) {
+    const n = points.length;
+    if (n < 3) return 0;
+    
+    const toRad = Math.PI / 180;
+    const halfTanBeta = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        halfTanBeta[i] = Math.tan(toAuthalicLatitude(points[i][0] * toRad) / 2);
+    }
+    
+    let excess = 0;
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        let deltaLng = (points[j][1] - points[i][1]) * toRad;
+        
+        // Take the short way round across the antimeridian
+        if (deltaLng > Math.PI) deltaLng -= 2 * Math.PI;
+        if (deltaLng < -Math.PI) deltaLng += 2 * Math.PI;
+        
+        excess += 2 * Math.atan2(
+            Math.tan(deltaLng / 2) * (halfTanBeta[i] + halfTanBeta[j]),
+            1 + halfTanBeta[i] * halfTanBeta[j]
+        );
+    }
+    
+    return excess * WGS84.authalicRadius * WGS84.authalicRadius;
+}
+
+// Cache key for a ring: its length and a hash of the points to 1e-6°. A string of
+// every coordinate would run to megabytes for large uploads.
+function getPointsCacheKey(points) {
+    let hash = 0;
+    for (const point of points) {
+        hash = Math.imul(hash ^ Math.round(point[0] * 1e6), 16777619);
+        hash = Math.imul(hash ^ Math.round(point[1] * 1e6), 16777619);
+    }
+    return `${points.length}:${hash}`;
+}
+
+// Cached values keep a flat copy of their ring. Two rings can share a key, and rings
+// are edited in place, so a cached value is only used when the ring still matches.
+function createRingCacheEntry(points, value) {
+    const copy = new Float64Array(points.length * 2);
+    points.forEach((point, i) => {
+        copy[2 * i] = point[0];
+        copy[2 * i + 1] = point[1];
+    });
+    return { points: copy, value };
+}
+
+function getRingCacheValue(cache, cacheKey, points) {
+    const entry = cache.get(cacheKey);
+    if (!entry || entry.points.length !== points.length * 2) return undefined;
+    
+    for (let i = 0; i < points.length; i++) {
+        if (entry.points[2 * i] !== points[i][0] || entry.points[2 * i + 1] !== points[i][1]) return undefined;
+    }
+    return entry.value;
+}
+
+// Geodesic polygon area (km²) with caching
+const areaCalculationCache = new Map();
+    
+function calculatePolygonArea(points) {
+    if (points.length < 3) return 0;
+    
+    const cacheKey = getPointsCacheKey(points);
+    
+    // Check cache first
+    const cached = getRingCacheValue(areaCalculationCache, cacheKey, points);
+    if (cached !== undefined) return cached;
+    
+    // Ellipsoidal area in m², independent of ring orientation
+    const areaKm2 = Math.abs(calculateRingAreaWGS84(points)) / 1000000;
+    
+    // Cache the result (limit cache size to prevent memory issues)
+    if (areaCalculationCache.size < 50) {
+        areaCalculationCache.set(cacheKey, createRingCacheEntry(points, areaKm2));
+    } else {
+        // Clear oldest entries to prevent memory leaks
+        const keysToDelete = Array.from(areaCalculationCache.keys()).slice(0, 25);
+        keysToDelete.forEach(key => areaCalculationCache.delete(key));
+        areaCalculationCache.set(cacheKey, createRingCacheEntry(points, areaKm2));
+    }
+    
+    return areaKm2;
+}
+
+// Optimized perimeter calculation with caching
+const perimeterCalculationCache = new Map();
+
+function calculatePolygonPerimeter(points) {
+    if (points.length < 2) return 0;
+    
+    const cacheKey = getPointsCacheKey(points);
+    
+    // Check cache first
+    const cached = getRingCacheValue(perimeterCalculationCache, cacheKey, points);
+    if (cached !== undefined) return cached;
+    
+    let perimeter = 0;
+    const n = points.length;
+    const earthRadius = 6371000; // Earth's radius in meters
+    
+    // Pre-calculate trigonometric values for better performance
+    const cosLat1 = Math.cos(points[0][0] * Math.PI / 180);
+    
+    for (let i = 0; i < n; i++) {
+        const j = (i + 1) % n;
+        const lat1 = points[i][0] * Math.PI / 180;
+        const lat2 = points[j][0] * Math.PI / 180;
+        const deltaLat = lat2 - lat1;
+        const deltaLng = (points[j][1] - points[i][1]) * Math.PI / 180;
+        
+        // Optimized Haversine formula
+        const sinDeltaLat = Math.sin(deltaLat * 0.5);
+        const sinDeltaLng = Math.sin(deltaLng * 0.5);
+        const cosLat2 = Math.cos(lat2);
+        
+        const a = sinDeltaLat * sinDeltaLat + cosLat1 * cosLat2 * sinDeltaLng * sinDeltaLng;
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        const distance = earthRadius * c;
+        
+        perimeter += distance;
+    }
+    
+    const perimeterKm = perimeter * 0.001; // Convert to kilometers
+    
+    // Cache the result (limit cache size to prevent memory issues)
+    if (perimeterCalculationCache.size < 50) {
+        perimeterCalculationCache.set(cacheKey, createRingCacheEntry(points, perimeterKm));
+    } else {
+        // Clear oldest entries to prevent memory leaks
+        const keysToDelete = Array.from(perimeterCalculationCache.keys()).slice(0, 25);
+        keysToDelete.forEach(key => perimeterCalculationCache.delete(key));
+        perimeterCalculationCache.set(cacheKey, createRingCacheEntry(points, perimeterKm));
+    }
+    
+    return perimeterKm;
+}
+
+function calculateCentroid(points) {
+    // Calculate the centroid (center point) of the polygon
+    if (points.length === 0) return null;
+    
+    let x = 0, y = 0;
+    points.forEach(point => {
+        x += point[1]; // longitude
+        y += point[0]; // latitude
+    });
+    
+    return [y / points.length, x / points.length]; // [lat, lng]
+}
+
+function calculateBoundingBox(points) {
+    // Calculate the bounding box (min/max coordinates)
+    if (points.length === 0) return null;
+    
+    let minLat = points[0][0], maxLat = points[0][0];
+    let minLng = points[0][1], maxLng = points[0][1];
+    
+    points.forEach(point => {
+        minLat = Math.min(minLat, point[0]);
+        maxLat = Math.max(maxLat, point[0]);
+        minLng = Math.min(minLng, point[1]);
+        maxLng = Math.max(maxLng, point[1]);
+    });
+    
+    return {
+        minLat, maxLat, minLng, maxLng,
+        width: maxLng - minLng,
+        height: maxLat - minLat
+    };
+}
+
+function calculateAspectRatio(points) {
+    // Calculate the aspect ratio of the bounding box
+    const bbox = calculateBoundingBox(points);
+    if (!bbox) return 0;
+    
+    const avgLat = (bbox.minLat + bbox.maxLat) / 2;
+    const latRad = avgLat * Math.PI / 180;
+    
+    // Convert degrees to meters
+    const widthM = bbox.width * 111320 * Math.cos(latRad);
+    const heightM = bbox.height * 111320;
+    
+    return widthM / heightM;
+}
+
+// Format an area in km² with appropriate units
+function formatArea(area) {
+    if (area < 0.01) {
+        return (area * 1000000).toFixed(0) + ' m²'; // Square meters
+    } else if (area < 1) {
+        return (area * 100).toFixed(2) + ' hectares'; // Hectares
+    }
+    return area.toFixed(2) + ' km²'; // Square kilometers
+}
+
+// Format a price in dollars to the cent
+function formatCost(amount) {
+    return '$' + amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Format a length in km with appropriate units
+function formatPerimeter(perimeter) {
+    if (perimeter < 1) {
+        return (perimeter * 1000).toFixed(0) + ' m'; // Meters
+    }
+    return perimeter.toFixed(2) + ' km'; // Kilometers
+}
+
+function updateAreaInfo(area, perimeter, coordinates) {
+    const areaText = formatArea(area);
+    const perimeterText = formatPerimeter(perimeter);
+    
+    // Use cached DOM elements for better performance
+    if (DOMCache.areaValue) DOMCache.areaValue.textContent = areaText;
+    if (DOMCache.perimeterValue) DOMCache.perimeterValue.textContent = perimeterText;
+    if (DOMCache.coordCount) DOMCache.coordCount.textContent = coordinates.length + ' points';
+    
+    // Update validation status
+    updateValidationStatus(area);
+    
+    // Update total area
+    totalArea = area;
+    updateStats();
+    
+    // Update estimated cost
+    updateEstimatedCost(area);
+    
+    // Log additional measurements for debugging
+    const centroid = calculateCentroid(coordinates);
+    const bbox = calculateBoundingBox(coordinates);
+    const aspectRatio = calculateAspectRatio(coordinates);
+    
+    console.log('Additional measurements:', {
+        centroid: centroid ? `${centroid[0].toFixed(6)}, ${centroid[1].toFixed(6)}` : 'N/A',
+        boundingBox: bbox ? `${bbox.width.toFixed(6)}° × ${bbox.height.toFixed(6)}°` : 'N/A',
+        aspectRatio: aspectRatio.toFixed(2),
+        area: areaText,
+        perimeter: perimeterText
+    });
+}
+
+function updateValidationStatus(area) {
+    const validationStatus = document.getElementById('validationStatus');
+    if (!validationStatus) return;
+    
+    const minAreaKm2 = 1.0; // 1 km² minimum
+    
+    if (area >= minAreaKm2) {
+        validationStatus.innerHTML = `
+            <i class="fas fa-check-circle" style="color: #10b981;"></i>
+            <span style="color: #10b981;">✓ Met (${area.toFixed(2)} km²)</span>
+        `;
+    } else {
+        // Show current area in appropriate units
+        let currentAreaText;
+        if (area < 0.01) {
+            currentAreaText = (area * 1000000).toFixed(0) + ' m²';
+        } else if (area < 1) {
+            currentAreaText = (area * 100).toFixed(2) + ' hectares';
+        } else {
+            currentAreaText = area.toFixed(2) + ' km²';
+        }
+        
+        validationStatus.innerHTML = `
+            <i class="fas fa-times-circle" style="color: #ef4444;"></i>
+            <span style="color: #ef4444;">✗ Need ${(minAreaKm2 - area).toFixed(2)} km² more</span>
+        `;
+    }
+}
+
+function updateEstimatedCost(area) {
+    // Get service rate based on the selected service or default to AOI rate
+    const service = getSelectedService();
+    const rate = getServiceRate();
+    const totalCost = area * rate;
+    
+    // Update the live price display
+    const livePriceElement = document.getElementById('livePrice');
+    if (livePriceElement) {
+        livePriceElement.textContent = formatCost(totalCost);
+    }
+    
+    // Update the tooltip to show the current rate
+    const costLabel = document.querySelector('.price-item .metric-label i');
+    if (costLabel) {
+        const serviceNames = {
+            'aoi': 'Area of Interest Analysis',
+            'analysis': 'Area of Interest Analysis',
+            'reports': 'Detailed Reports',
+            'modeling': 'Advanced Risk Modeling',
+            'planning': 'Mitigation Planning',
+            'mitigation': 'Mitigation Planning'
+        };
+        const serviceName = serviceNames[service] || 'Area of Interest Analysis';
+        costLabel.title = `Based on ${serviceName} rate ($${rate.toLocaleString()}/km²)`;
+    }
+    
+    // Update the analysis panel title to show the service
+    const panelTitle = document.querySelector('.analysis-panel .panel-title');
+    if (panelTitle) {
+        const serviceNames = {
+            'aoi': 'Area of Interest Analysis',
+            'analysis': 'Area of Interest Analysis',
+            'reports': 'Detailed Reports',
+            'modeling': 'Advanced Risk Modeling',
+            'planning': 'Mitigation Planning',
+            'mitigation': 'Mitigation Planning'
+        };
+        const serviceName = serviceNames[service] || 'Area of Interest Analysis';
+        panelTitle.innerHTML = `<i class="fas fa-chart-line"></i> ${serviceName} - $${rate.toLocaleString()}/km²`;
+    }
+}
+
+function getServiceRate() {
+    const service = getSelectedService();
+    
+    const serviceRates = {
+        'aoi': 2500,
+        'analysis': 2500,
+        'reports': 5000,
+        'modeling': 8500,
+        'planning': 15000,
+        'mitigation': 15000
+    };
+    
+    return serviceRates[service] || 2500; // Default to AOI rate
+}
+
+function updateDrawingStatus(message, autoHide = false) {
+    const status = document.getElementById('drawingStatus');
+    status.innerHTML = `<i class="fas fa-info-circle"></i><span>${message}</span>`;
+    
+    // Always show the status first
+    status.style.display = 'flex';
+    status.style.opacity = '1';
+    
+    // Auto-hide after 2 seconds for all drawing-related messages
+    setTimeout(() => {
+        status.style.opacity = '0';
+        setTimeout(() => {
+            status.style.display = 'none';
+        }, 300); // Wait for fade out animation
+    }, 2000);
+}
+
+function showAnalysisPanel() {
+    const panel = document.getElementById('analysisPanel');
+    panel.classList.add('active');
+    panel.style.display = 'flex';
+    
+    // Check if panel has scrollable content and add scroll listener
+    setTimeout(() => {
+        if (panel.scrollHeight > panel.clientHeight) {
+            panel.classList.add('scrollable');
+            
+            // Add scroll listener to show/hide gradient fade with throttling
+            const updateScrollIndicator = throttle(() => {
+                const isAtBottom = panel.scrollTop + panel.clientHeight >= panel.scrollHeight - 10;
+                if (isAtBottom) {
+                    panel.classList.remove('scrollable');
+                } else {
+                    panel.classList.add('scrollable');
+                }
+            }, 16); // ~60fps
+            
+            panel.addEventListener('scroll', updateScrollIndicator);
+        }
+    }, 100);
+}
+
+function closeAnalysis() {
+    const panel = document.getElementById('analysisPanel');
+    panel.classList.remove('active', 'scrollable');
+    panel.style.display = 'none';
+}
+
+// Internal callers that replace the AOI straight away pass { record: false } and record
+// the whole replacement as one step
+function clearMap(options = {}) {
+    if (shapeDrawing) stopShapeDrawing();
+    if (isEditing) stopEditing();
+    if (isCuttingHole) stopCuttingHole();
+    drawnItems.clearLayers();
+    aoiPolygons = [];
+    activePolygonId = null;
+    libraryAreaId = null;
+    libraryAreaCommand = null;
+    polygonPoints = [];
+    currentPolygon = null;
+    vertexMarkers = [];
+    midpointMarkers = [];
+    aoiSource = null;
+    updateAoiSummary();
+    stopDrawing();
+    closeAnalysis();
+    
+    // Hide the drawing status popup
+    const status = document.getElementById('drawingStatus');
+    status.style.display = 'none';
+    
+    if (options.record !== false) recordAoiCommand('Clear all');
+    showNotification('Map cleared successfully', 'info');
+}
+
+function submitRequest() {
+    const polygons = getCompletePolygons();
+    if (polygons.length === 0) {
+        showNotification('Please draw an area first by clicking on the map to create at least 3 points.', 'warning');
+        return;
+    }
+
+    // Self-intersecting outlines have no meaningful area, so they cannot be priced
+    const invalidPolygons = polygons.filter(polygon => !analyzePolygonGeometry(polygon).valid);
+    if (invalidPolygons.length > 0) {
+        updateAoiSummary();
+        showNotification(`Your AOI has invalid geometry (${invalidPolygons.map(polygon => describeGeometryIssues(polygon.issues)).join('; ')}). Use Repair in the analysis panel or edit the highlighted vertices before submitting.`, 'error');
+        return;
+    }
+
+    // Check minimum area requirement (1 km²) against the combined AOI
+    const area = getTotalAoiArea();
+    if (area < 1.0) {
+        const currentAreaText = formatArea(area);
+        
+        showNotification(`Minimum area requirement is 1 km² (100 hectares or 1,000,000 m²). Your current area is ${currentAreaText}. Please draw a larger area.`, 'warning');
+        return;
+    }
+
+    // Check if user is logged in
+    if (!isLoggedIn()) {
+        showRegisterModal();
+        return;
+    }
+
+    // If logged in, proceed with submission
+    proceedWithSubmission();
+}
+
+function showRegistrationModal() {
+    const modal = document.createElement('div');
+    modal.className = 'registration-modal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-user-plus"></i> Create Account Required</h3>
+                <button class="modal-close">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p>To submit your AOI request, you need to create an account. This allows us to:</p>
+                <ul class="benefits-list">
+                    <li><i class="fas fa-check"></i> Track your request status</li>
+                    <li><i class="fas fa-check"></i> Send you analysis results</li>
+                    <li><i class="fas fa-check"></i> Save your areas for future reference</li>
+                    <li><i class="fas fa-check"></i> Access your request history</li>
+                </ul>
+                <form class="registration-form" id="registrationForm">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="firstName">First Name *</label>
+                            <input type="text" id="firstName" name="firstName" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="lastName">Last Name *</label>
+                            <input type="text" id="lastName" name="lastName" required>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="email">Email Address *</label>
+                        <input type="email" id="email" name="email" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="password">Password *</label>
+                        <input type="password" id="password" name="password" required minlength="8">
+                    </div>
+                    <div class="form-group">
+                        <label for="confirmPassword">Confirm Password *</label>
+                        <input type="password" id="confirmPassword" name="confirmPassword" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="organization">Organization (Optional)</label>
+                        <input type="text" id="organization" name="organization">
+                    </div>
+                    <div class="form-group">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="terms" name="terms" required>
+                            <span class="checkmark"></span>
+                            I agree to the <a href="#" class="terms-link">Terms of Service</a> and <a href="#" class="terms-link">Privacy Policy</a> *
+                        </label>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn-secondary" onclick="this.closest('.registration-modal').remove()">
+                            <i class="fas fa-times"></i> Cancel
+                        </button>
+                        <button type="submit" class="btn-primary">
+                            <i class="fas fa-user-plus"></i> Create Account & Submit
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+    
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+        animation: fadeIn 0.3s ease;
+        padding: 20px;
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Handle form submission
+    modal.querySelector('#registrationForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        handleRegistration(this);
+    });
+    
+    // Close modal handlers
+    modal.querySelector('.modal-close').onclick = () => modal.remove();
+    modal.onclick = (e) => {
+        if (e.target === modal) modal.remove();
+    };
+}
+
+function handleRegistration(form) {
+    const formData = new FormData(form);
+    const data = Object.fromEntries(formData);
+    
+    // Validate passwords match
+    if (data.password !== data.confirmPassword) {
+        showNotification('Passwords do not match. Please try again.', 'error');
+        return;
+    }
+    
+    // Validate password strength
+    if (data.password.length < 8) {
+        showNotification('Password must be at least 8 characters long.', 'error');
+        return;
+    }
+    
+    // Show loading state
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const originalText = submitBtn.innerHTML;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Creating Account...';
+    submitBtn.disabled = true;
+    
+    // Simulate account creation
+    setTimeout(() => {
+        // Store user as logged in
+        localStorage.setItem('userLoggedIn', 'true');
+        localStorage.setItem('userEmail', data.email);
+        localStorage.setItem('userName', `${data.firstName} ${data.lastName}`);
+        
+        showNotification('Account created successfully! Proceeding with your request...', 'success');
+        
+        // Close modal and proceed with submission
+        form.closest('.registration-modal').remove();
+        proceedWithSubmission();
+        
+    }, 2000);
+}
+
+function getTotalAoiArea() {
+    return getCompletePolygons().reduce((sum, polygon) => sum + getPolygonArea(polygon), 0);
+}
+
+function getTotalAoiPerimeter() {
+    return getCompletePolygons().reduce((sum, polygon) => sum + getPolygonPerimeter(polygon), 0);
+}
+
+function proceedWithSubmission() {
+    const polygons = getCompletePolygons();
+    
+    // Prepare request data; all polygons travel together as one MultiPolygon AOI
+    const requestData = {
+        aoi: buildAoiMultiPolygon(polygons),
+        polygonCount: polygons.length,
+        area: getTotalAoiArea(),
+        perimeter: getTotalAoiPerimeter(),
+        bounds: getAoiBounds(),
+        timestamp: new Date().toISOString(),
+        mapCenter: map.getCenter(),
+        zoomLevel: map.getZoom(),
+        requestId: 'REQ-' + Date.now(),
+        userEmail: localStorage.getItem('userEmail'),
+        userName: localStorage.getItem('userName'),
+        coordinateSource: aoiSource,
+        heuristicCorrection: Boolean(aoiSource && aoiSource.heuristicCorrection)
+    };
+
+    console.log('Request data to send to backend:', requestData);
+    
+    // Show loading state
+    const submitBtn = document.getElementById('submitRequest');
+    const originalText = submitBtn.innerHTML;
+    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Submitting...</span>';
+    submitBtn.disabled = true;
+    
+    // Simulate API call
+    setTimeout(() => {
+        showNotification('Request submitted successfully! You will receive a confirmation email shortly and detailed results within 2-5 business days.', 'success');
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = false;
+        
+        // Update stats
+        areaCount++;
+        updateStats();
+        
+        // Save request to user dashboard
+        const userRequests = JSON.parse(localStorage.getItem(USER_REQUESTS_KEY) || '[]');
+        const serviceName = getServiceNameFromUrl() || 'Area of Interest Analysis';
+        
+        userRequests.push({
+            requestId: requestData.requestId,
+            serviceName: serviceName,
+            area: requestData.area,
+            perimeter: requestData.perimeter,
+            aoi: requestData.aoi,
+            polygonCount: requestData.polygonCount,
+            coordinateSource: requestData.coordinateSource,
+            heuristicCorrection: requestData.heuristicCorrection,
+            timestamp: requestData.timestamp,
+            status: 'pending'
+        });
+        
+        localStorage.setItem(USER_REQUESTS_KEY, JSON.stringify(userRequests));
+        
+        // Show confirmation modal
+        showRequestConfirmation(requestData);
+        
+    }, 2000);
+}
+
+function saveDraft() {
+    const polygons = getCompletePolygons();
+    if (polygons.length === 0) {
+        showNotification('Please draw an area first by clicking on the map to create at least 3 points.', 'warning');
+        return;
+    }
+
+    draftSession.autosaved = false;
+    storeDraft()
+        .then(draftData => {
+            showNotification('Draft saved successfully! You can continue working on it later from Drafts.', 'success');
+            console.log('Draft saved:', draftData);
+            warnIfStorageNearlyFull();
+        })
+        .catch(error => showNotification(`Could not save the draft: ${describeStorageError(error)}`, 'error'));
+}
+
+function showServiceSelectionModal() {
+    const modal = document.createElement('div');
+    modal.className = 'service-selection-modal';
+    modal.innerHTML = `
+        <div class="service-modal-overlay">
+            <div class="service-modal-content">
+                <div class="service-modal-header">
+                    <h3><i class="fas fa-cogs"></i> Select Service Type</h3>
+                    <p>Choose the type of flood risk analysis you need for your uploaded area</p>
+                    <button class="service-modal-close" onclick="this.closest('.service-selection-modal').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                
+                <div class="service-modal-body">
+                    <div class="service-options">
+                        <div class="service-option" data-service="aoi">
+                            <div class="service-option-content">
+                                <div class="service-option-name">Area of Interest Analysis</div>
+                                <div class="service-option-rate">$2,500/km²</div>
+                                <div class="service-option-desc">Basic flood risk assessment and area analysis</div>
+                            </div>
+                        </div>
+                        
+                        <div class="service-option" data-service="reports">
+                            <div class="service-option-content">
+                                <div class="service-option-name">Detailed Reports</div>
+                                <div class="service-option-rate">$5,000/km²</div>
+                                <div class="service-option-desc">Comprehensive flood risk reports with detailed analysis</div>
+                            </div>
+                        </div>
+                        
+                        <div class="service-option" data-service="modeling">
+                            <div class="service-option-content">
+                                <div class="service-option-name">Advanced Risk Modeling</div>
+                                <div class="service-option-rate">$8,500/km²</div>
+                                <div class="service-option-desc">Advanced hydrological modeling and risk assessment</div>
+                            </div>
+                        </div>
+                        
+                        <div class="service-option" data-service="planning">
+                            <div class="service-option-content">
+                                <div class="service-option-name">Mitigation Planning</div>
+                                <div class="service-option-rate">$15,000/km²</div>
+                                <div class="service-option-desc">Complete flood mitigation strategies and planning</div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="service-modal-actions">
+                    <button class="service-modal-btn primary" id="confirmServiceSelection">
+                        <i class="fas fa-check"></i>
+                        <span>Select Service</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 3000;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        animation: fadeIn 0.3s ease;
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Add event listeners
+    const serviceOptions = modal.querySelectorAll('.service-option');
+    let selectedService = 'aoi'; // Default selection
+    
+    serviceOptions.forEach(option => {
+        option.addEventListener('click', () => {
+            // Remove previous selection
+            serviceOptions.forEach(opt => opt.classList.remove('selected'));
+            // Add selection to clicked option
+            option.classList.add('selected');
+            selectedService = option.dataset.service;
+        });
+    });
+    
+    // Set default selection
+    serviceOptions[0].classList.add('selected');
+    
+    const confirmBtn = modal.querySelector('#confirmServiceSelection');
+    confirmBtn.addEventListener('click', () => {
+        setSelectedService(selectedService);
+        
+        // Show analysis panel
+        showAnalysisPanel();
+        
+        // Remove modal
+        modal.remove();
+        
+        showNotification(`Service selected: ${getServiceName(selectedService)}`, 'success');
+    });
+}
+
+function getServiceName(service) {
+    const serviceNames = {
+        'aoi': 'Area of Interest Analysis',
+        'reports': 'Detailed Reports',
+        'modeling': 'Advanced Risk Modeling',
+        'planning': 'Mitigation Planning',
+        'monitoring': 'Real-time Monitoring'
+    };
+    return serviceNames[service] || 'Area of Interest Analysis';
+}
+
+function getServiceNameFromUrl() {
+    return getServiceName(getSelectedService());
+}
+
+function getSelectedService() {
+    return new URLSearchParams(window.location.search).get('service');
+}
+
+// The service is kept in the URL so it survives a reload
+function setSelectedService(service) {
+    const url = new URL(window.location);
+    url.searchParams.set('service', service);
+    window.history.replaceState({}, '', url);
+    updateEstimatedCost(getTotalAoiArea());
+}
+
+function showRequestConfirmation(requestData) {
+    const user = getCurrentUser();
+    const modal = document.createElement('div');
+    modal.className = 'request-confirmation-modal';
+    modal.innerHTML = `
+        <div class="confirmation-modal-overlay">
+            <div class="confirmation-modal-content">
+                <div class="confirmation-header">
+                    <div class="success-icon">
+                        <i class="fas fa-check-circle"></i>
+                    </div>
+                    <h2 class="confirmation-title">Request Submitted Successfully!</h2>
+                    <p class="confirmation-subtitle">Your flood risk assessment request has been received</p>
+                </div>
+                
+                <div class="confirmation-body">
+                    <div class="request-summary">
+                        <div class="summary-item">
+                            <div class="summary-icon">
+                                <i class="fas fa-hashtag"></i>
+                            </div>
+                            <div class="summary-content">
+                                <div class="summary-label">Request ID</div>
+                                <div class="summary-value">${requestData.requestId}</div>
+                            </div>
+                        </div>
+                        
+                        <div class="summary-item">
+                            <div class="summary-icon">
+                                <i class="fas fa-user"></i>
+                            </div>
+                            <div class="summary-content">
+                                <div class="summary-label">Submitted by</div>
+                                <div class="summary-value">${user ? user.name : 'Guest User'}</div>
+                            </div>
+                        </div>
+                        
+                        <div class="summary-item">
+                            <div class="summary-icon">
+                                <i class="fas fa-envelope"></i>
+                            </div>
+                            <div class="summary-content">
+                                <div class="summary-label">Email</div>
+                                <div class="summary-value">${user ? user.email : 'N/A'}</div>
+                            </div>
+                        </div>
+                        
+                        <div class="summary-item highlight">
+                            <div class="summary-icon">
+                                <i class="fas fa-map-marked-alt"></i>
+                            </div>
+                            <div class="summary-content">
+                                <div class="summary-label">Area Size</div>
+                                <div class="summary-value">${requestData.area.toFixed(2)} km²</div>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="processing-info">
+                        <div class="info-note">
+                            <i class="fas fa-clock"></i>
+                            <span>Results will be delivered via email within 2-5 business days</span>
+                        </div>
+                    </div>
+                    
+                    <div class="contact-info">
+                        <div class="contact-item">
+                            <i class="fas fa-phone"></i>
+                            <span>Questions? Contact: robert@proforcegalaxies.com</span>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="confirmation-actions">
+                    <button class="confirmation-btn primary" onclick="this.closest('.request-confirmation-modal').remove()">
+                        <i class="fas fa-check"></i>
+                        <span>Continue</span>
+                    </button>
+                    <button class="confirmation-btn secondary" onclick="window.location.href='services.html'">
+                        <i class="fas fa-plus"></i>
+                        <span>Submit Another Request</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 10000;
+        animation: fadeIn 0.3s ease;
+    `;
+    
+    document.body.appendChild(modal);
+    
+    // Close modal handlers
+    modal.querySelector('.modal-close').onclick = () => modal.remove();
+    modal.onclick = (e) => {
+        if (e.target === modal) modal.remove();
+    };
+}
+
+function updateRiskIndicators() {
+    // Simulate risk assessment results
+    const riskLevels = ['Low', 'Medium', 'High'];
+    const responseTimes = ['24+ hours', '4-8 hours', '2-4 hours'];
+    
+    const randomRisk = riskLevels[Math.floor(Math.random() * riskLevels.length)];
+    const randomTime = responseTimes[Math.floor(Math.random() * responseTimes.length)];
+    
+    // Update risk indicators in the UI
+    const riskItems = document.querySelectorAll('.risk-item');
+    if (riskItems.length >= 2) {
+        riskItems[0].querySelector('.risk-value').textContent = randomRisk;
+        riskItems[1].querySelector('.risk-value').textContent = randomTime;
+        
+        // Update risk icon color
+        const riskIcon = riskItems[0].querySelector('.risk-icon');
+        riskIcon.className = `risk-icon ${randomRisk.toLowerCase()}`;
+    }
+}
+
+
+// Area library: saved areas and drafts live in IndexedDB, which has room for detailed
+// boundaries where localStorage stops at about 5 MB. Saves from older versions, kept in
+// localStorage under savedAreas / savedDrafts, are moved across when it first opens.
+// Every save of an area also keeps its polygons in the versions store (see putAreaVersion).
+const AREA_DB_NAME = 'pf-fra-library';
+const AREA_DB_VERSION = 2;
+const AREA_STORE = 'areas';
+const DRAFT_STORE = 'drafts';
+const VERSION_STORE = 'versions';
+const LEGACY_STORAGE_KEYS = { savedAreas: AREA_STORE, savedDrafts: DRAFT_STORE };
+const THUMBNAIL_SIZE = 64;
+
+let areaDatabasePromise = null;
+// Library area the AOI on the map was loaded from or last saved as, so saving again adds a version
+let libraryAreaId = null;
+// History command that put that area on the map; undoing it unlinks the AOI from the area
+let libraryAreaCommand = null;
+
+function linkLibraryArea(id) {
+    // Saving again as the same area keeps the command it was first loaded or saved at
+    if (id !== libraryAreaId || !libraryAreaCommand) {
+        libraryAreaCommand = aoiHistory.commands[aoiHistory.position - 1] || null;
+    }
+    libraryAreaId = id;
+}
+
+// The AOI no longer holds the library area once history moves back before the command
+// that loaded it, so saving then starts a new area instead of a version of that one
+function unlinkUndoneLibraryArea() {
+    if (libraryAreaId && libraryAreaCommand && aoiHistory.commands.indexOf(libraryAreaCommand) >= aoiHistory.position) {
+        libraryAreaId = null;
+        libraryAreaCommand = null;
+    }
+}
+
+function openAreaDatabase() {
+    if (!areaDatabasePromise) {
+        areaDatabasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('This browser has no IndexedDB storage.'));
+                return;
+            }
+            
+            const request = indexedDB.open(AREA_DB_NAME, AREA_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(AREA_STORE)) db.createObjectStore(AREA_STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(DRAFT_STORE)) db.createObjectStore(DRAFT_STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(VERSION_STORE)) {
+                    db.createObjectStore(VERSION_STORE, { keyPath: 'id' }).createIndex('areaId', 'areaId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(db => migrateLegacyAreas(db).then(() => db));
+        
+        // A failed open is retried on the next call
+        areaDatabasePromise.catch(() => {
+            areaDatabasePromise = null;
+        });
+    }
+    return areaDatabasePromise;
+}
+
+// Runs work(transaction) over one or more stores; resolves once the transaction commits
+function runLibraryTransaction(storeNames, mode, work) {
+    return openAreaDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        work(transaction);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('The library update was cancelled.'));
+    }));
+}
+
+// Runs one request in its own transaction; resolves with its result once committed
+function runLibraryRequest(storeName, mode, createRequest) {
+    let request;
+    return runLibraryTransaction(storeName, mode, transaction => {
+        request = createRequest(transaction.objectStore(storeName));
+    }).then(() => request.result);
+}
+
+function getAllLibraryRecords(storeName) {
+    return runLibraryRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function getLibraryRecord(storeName, id) {
+    return runLibraryRequest(storeName, 'readonly', store => store.get(id));
+}
+
+function putLibraryRecord(storeName, record) {
+    return runLibraryRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+function deleteLibraryRecord(storeName, id) {
+    return runLibraryRequest(storeName, 'readwrite', store => store.delete(id));
+}
+
+function describeStorageError(error) {
+    if (error && error.name === 'QuotaExceededError') {
+        return 'Browser storage is full. Delete some saved areas or drafts and try again.';
+    }
+    return (error && error.message) || 'Unknown storage error';
+}
+
+function createRecordId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function toBoundsArray(bounds) {
+    return bounds ? [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]] : null;
+}
+
+// Library record for a set of { points, holes } polygons. Metadata is
+// { name, tags, notes, client }; area and perimeter are in km.
+function createLibraryRecord(polygons, metadata, view = {}) {
+    const now = new Date().toISOString();
+    const points = polygons.flatMap(polygon => polygon.points);
+    
+    return {
+        id: createRecordId(),
+        name: metadata.name,
+        tags: metadata.tags || [],
+        notes: metadata.notes || '',
+        client: metadata.client || '',
+        created: metadata.created || now,
+        modified: metadata.modified || now,
+        polygons,
+        area: polygons.reduce((sum, polygon) => sum + getPolygonArea(polygon), 0),
+        perimeter: polygons.reduce((sum, polygon) => sum + getPolygonPerimeter(polygon), 0),
+        bounds: toBoundsArray(points.length > 0 ? L.latLngBounds(points) : null),
+        mapCenter: view.mapCenter || null,
+        zoomLevel: view.zoomLevel === undefined ? null : view.zoomLevel,
+        thumbnail: createAreaThumbnail(polygons)
+    };
+}
+
+function createAoiLibraryRecord(metadata) {
+    const center = map.getCenter();
+    return createLibraryRecord(serializeAoiPolygons(), metadata, {
+        mapCenter: [center.lat, center.lng],
+        zoomLevel: map.getZoom()
+    });
+}
+
+// Version `version` of a library area: a copy of its polygons as they were saved
+function createVersionRecord(area, version) {
+    return {
+        id: `${area.id}@${version}`,
+        areaId: area.id,
+        version,
+        saved: area.modified,
+        polygons: area.polygons,
+        area: area.area,
+        perimeter: area.perimeter
+    };
+}
+
+// Versions of an area, oldest first. Areas saved before versions were kept have none
+// stored; their current polygons count as version 1.
+function getAreaVersions(area) {
+    return runLibraryRequest(VERSION_STORE, 'readonly', store => store.index('areaId').getAll(area.id))
+        .then(versions => versions.length > 0
+            ? versions.sort((a, b) => a.version - b.version)
+            : [createVersionRecord(area, area.version || 1)]);
+}
+
+// Writes an area together with its version record, plus any earlier versions given
+function putAreaVersion(area, earlierVersions = []) {
+    return runLibraryTransaction([AREA_STORE, VERSION_STORE], 'readwrite', transaction => {
+        transaction.objectStore(AREA_STORE).put(area);
+        [...earlierVersions, createVersionRecord(area, area.version)]
+            .forEach(version => transaction.objectStore(VERSION_STORE).put(version));
+    }).then(() => area);
+}
+
+function areaPolygonsEqual(a, b) {
+    const ringsEqual = (x, y) => x.length === y.length && x.every((point, i) => point[0] === y[i][0] && point[1] === y[i][1]);
+    return a.length === b.length && a.every((polygon, i) =>
+        ringsEqual(polygon.points, b[i].points) &&
+        polygon.holes.length === b[i].holes.length &&
+        polygon.holes.every((hole, j) => ringsEqual(hole, b[i].holes[j])));
+}
+
+// Saves `record` as the next version of `area`, keeping the area's id and creation date
+function saveNextAreaVersion(area, record) {
+    const next = { ...record, id: area.id, created: area.created, version: (area.version || 1) + 1 };
+    const earlier = area.version ? [] : [createVersionRecord(area, 1)];
+    return putAreaVersion(next, earlier);
+}
+
+// Old localStorage entries hold polygons as { points, holes } or, in the oldest
+// saves, a single coordinates ring
+function convertLegacyRecord(entry, isDraft) {
+    const polygons = (entry.polygons || [entry.coordinates])
+        .filter(Boolean)
+        .map(polygon => Array.isArray(polygon) ? { points: polygon, holes: [] } : { points: polygon.points || [], holes: polygon.holes || [] })
+        .filter(polygon => polygon.points.length >= 3);
+    if (polygons.length === 0) return null;
+    
+    const timestamp = entry.timestamp || new Date().toISOString();
+    const record = createLibraryRecord(polygons, {
+        name: entry.name || `Draft ${new Date(timestamp).toLocaleString()}`,
+        created: timestamp,
+        modified: timestamp
+    }, {
+        mapCenter: entry.mapCenter ? [entry.mapCenter.lat, entry.mapCenter.lng] : null,
+        zoomLevel: entry.zoomLevel
+    });
+    if (entry.id) record.id = String(entry.id);
+    if (isDraft) record.status = 'draft';
+    return record;
+}
+
+function migrateLegacyAreas(db) {
+    const legacy = Object.keys(LEGACY_STORAGE_KEYS)
+        .filter(key => localStorage.getItem(key) !== null)
+        .map(key => {
+            let entries = [];
+            try {
+                entries = JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                console.error(`Unreadable ${key} in localStorage:`, error);
+            }
+            
+            // Old ids were Date.now() values, which can collide
+            const ids = new Set();
+            const records = (Array.isArray(entries) ? entries : [])
+                .map(entry => convertLegacyRecord(entry, key === 'savedDrafts'))
+                .filter(Boolean);
+            records.forEach(record => {
+                if (ids.has(record.id)) record.id = createRecordId();
+                ids.add(record.id);
+            });
+            return { key, storeName: LEGACY_STORAGE_KEYS[key], records };
+        });
+    if (legacy.length === 0) return Promise.resolve();
+    
+    return new Promise(resolve => {
+        const transaction = db.transaction([AREA_STORE, DRAFT_STORE], 'readwrite');
+        legacy.forEach(({ storeName, records }) => {
+            records.forEach(record => transaction.objectStore(storeName).put(record));
+        });
+        
+        transaction.oncomplete = () => {
+            legacy.forEach(({ key }) => localStorage.removeItem(key));
+            const moved = legacy
+                .filter(({ records }) => records.length > 0)
+                .map(({ key, records }) => `${records.length} ${key === 'savedDrafts' ? 'draft' : 'saved area'}${records.length === 1 ? '' : 's'}`);
+            if (moved.length > 0) {
+                showNotification(`Moved ${moved.join(' and ')} to the area library.`, 'info');
+            }
+            resolve();
+        };
+        // The old entries stay in localStorage, so the move is tried again next time
+        transaction.onabort = () => {
+            console.error('Could not move saved areas to IndexedDB:', transaction.error);
+            resolve();
+        };
+    });
+}
+
+// SVG path of the polygons scaled into a THUMBNAIL_SIZE square, for the library list.
+// Vertices that land on the same 0.5 px are dropped, so detailed boundaries stay small.
+function createAreaThumbnail(polygons) {
+    const points = polygons.flatMap(polygon => polygon.points);
+    if (points.length === 0) return '';
+    
+    const bounds = L.latLngBounds(points);
+    const cosLat = Math.cos(bounds.getCenter().lat * Math.PI / 180);
+    const width = (bounds.getEast() - bounds.getWest()) * cosLat;
+    const height = bounds.getNorth() - bounds.getSouth();
+    const scale = (THUMBNAIL_SIZE - 4) / Math.max(width, height, 1e-12);
+    const offsetX = (THUMBNAIL_SIZE - width * scale) / 2;
+    const offsetY = (THUMBNAIL_SIZE - height * scale) / 2;
+    const round = value => Math.round(value * 2) / 2;
+    
+    const toPath = ring => {
+        const parts = [];
+        ring.forEach(point => {
+            const part = `${round(offsetX + (point[1] - bounds.getWest()) * cosLat * scale)},${round(offsetY + (bounds.getNorth() - point[0]) * scale)}`;
+            if (part !== parts[parts.length - 1]) parts.push(part);
+        });
+        return parts.length >= 3 ? `M${parts.join('L')}Z` : '';
+    };
+    return polygons.flatMap(polygon => [polygon.points, ...polygon.holes]).map(toPath).join('');
+}
+
+function renderAreaThumbnail(path) {
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNamespace, 'svg');
+    svg.setAttribute('class', 'area-thumbnail');
+    svg.setAttribute('viewBox', `0 0 ${THUMBNAIL_SIZE} ${THUMBNAIL_SIZE}`);
+    svg.setAttribute('aria-hidden', 'true');
+    
+    const shape = document.createElementNS(svgNamespace, 'path');
+    shape.setAttribute('d', path || '');
+    svg.appendChild(shape);
+    return svg;
+}
+
+function getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return Promise.resolve(null);
+    return navigator.storage.estimate().catch(() => null);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+function describeStorageEstimate(estimate) {
+    if (!estimate || !estimate.quota) return 'Storage usage is not available in this browser.';
+    const percent = estimate.usage / estimate.quota * 100;
+    return `Using ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available (${percent < 0.1 ? '<0.1' : percent.toFixed(1)}%)`;
+}
+
+// Called after each save so a filling disk is noticed before a save fails
+function warnIfStorageNearlyFull() {
+    getStorageEstimate().then(estimate => {
+        if (estimate && estimate.quota && estimate.usage / estimate.quota > 0.8) {
+            showNotification(`Browser storage is nearly full. ${describeStorageEstimate(estimate)}. Delete old areas or drafts to make room.`, 'warning');
+        }
+    });
+}
+
+function parseTags(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+function saveArea() {
+    if (getCompletePolygons().length === 0) {
+        showNotification('Please draw an area first by clicking on the map to create at least 3 points.', 'warning');
+        return;
+    }
+
+    // An AOI loaded from the library can be saved as that area's next version
+    const loadedArea = libraryAreaId ? getLibraryRecord(AREA_STORE, libraryAreaId).catch(() => null) : Promise.resolve(null);
+    loadedArea.then(area => showSaveAreaModal(area || null));
+}
+
+function showSaveAreaModal(existingArea) {
+    const modal = document.createElement('div');
+    modal.className = 'save-area-modal';
+    modal.innerHTML = `
+        <div class="modal-overlay">
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-save"></i> Save Area</h3>
+                    <button class="modal-close" onclick="this.closest('.save-area-modal').remove()">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group save-mode" hidden>
+                        <label class="save-mode-option">
+                            <input type="radio" name="saveMode" value="version" checked>
+                            <span class="save-mode-version"></span>
+                        </label>
+                        <label class="save-mode-option">
+                            <input type="radio" name="saveMode" value="new">
+                            <span>Save as a new area</span>
+                        </label>
                     </div>
                     <div class="form-group">
-                        <label for="password">Password *</label>
-                        <input type="password" id="password" name="password" required minlength="8">
+                        <label for="areaName">Area Name</label>
+                        <input type="text" id="areaName" placeholder="Enter a name for this area" value="Area_${new Date().toLocaleDateString()}">
                     </div>
                     <div class="form-group">
-                        <label for="confirmPassword">Confirm Password *</label>
-                        <input type="password" id="confirmPassword" name="confirmPassword" required>
+                        <label for="areaClient">Client</label>
+                        <input type="text" id="areaClient" placeholder="Who the area is for (optional)">
                     </div>
                     <div class="form-group">
-                        <label for="organization">Organization (Optional)</label>
-                        <input type="text" id="organization" name="organization">
+                        <label for="areaTags">Tags</label>
+                        <input type="text" id="areaTags" placeholder="Comma-separated, e.g. flood, 2024 survey">
                     </div>
                     <div class="form-group">
-                        <label class="checkbox-label">
-                            <input type="checkbox" id="terms" name="terms" required>
-                            <span class="checkmark"></span>
-                            I agree to the <a href="#" class="terms-link">Terms of Service</a> and <a href="#" class="terms-link">Privacy Policy</a> *
-                        </label>
+                        <label for="areaNotes">Notes</label>
+                        <textarea id="areaNotes" rows="3" placeholder="Optional notes"></textarea>
                     </div>
-                    <div class="form-actions">
-                        <button type="button" class="btn-secondary" onclick="this.closest('.registration-modal').remove()">
-                            <i class="fas fa-times"></i> Cancel
-                        </button>
-                        <button type="submit" class="btn-primary">
-                            <i class="fas fa-user-plus"></i> Create Account & Submit
-                        </button>
+                    <div class="area-preview">
+                        <div class="preview-item">
+                            <span class="preview-label">Area Size:</span>
+                            <span class="preview-value">${getTotalAoiArea().toFixed(2)} km²</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Perimeter:</span>
+                            <span class="preview-value">${getTotalAoiPerimeter().toFixed(2)} km</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Polygons:</span>
+                            <span class="preview-value">${getCompletePolygons().length}</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Points:</span>
+                            <span class="preview-value">${getCompletePolygons().reduce((sum, polygon) => sum + polygon.points.length, 0)}</span>
+                        </div>
                     </div>
-                </form>
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-primary" id="confirmSave">
+                        <i class="fas fa-save"></i>
+                        <span>Save Area</span>
+                    </button>
+                    <button class="btn-secondary" onclick="this.closest('.save-area-modal').remove()">
+                        <i class="fas fa-times"></i>
+                        <span>Cancel</span>
+                    </button>
+                </div>
             </div>
         </div>
     `;
@@ -1328,205 +5431,219 @@ function showRegistrationModal() {
         position: fixed;
         top: 0;
         left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.8);
+        width: 100%;
+        height: 100%;
+        z-index: 3000;
         display: flex;
         align-items: center;
         justify-content: center;
-        z-index: 10000;
         animation: fadeIn 0.3s ease;
-        padding: 20px;
     `;
     
     document.body.appendChild(modal);
     
-    // Handle form submission
-    modal.querySelector('#registrationForm').addEventListener('submit', function(e) {
-        e.preventDefault();
-        handleRegistration(this);
-    });
-    
-    // Close modal handlers
-    modal.querySelector('.modal-close').onclick = () => modal.remove();
-    modal.onclick = (e) => {
-        if (e.target === modal) modal.remove();
-    };
-}
-
-function handleRegistration(form) {
-    const formData = new FormData(form);
-    const data = Object.fromEntries(formData);
-    
-    // Validate passwords match
-    if (data.password !== data.confirmPassword) {
-        showNotification('Passwords do not match. Please try again.', 'error');
-        return;
-    }
-    
-    // Validate password strength
-    if (data.password.length < 8) {
-        showNotification('Password must be at least 8 characters long.', 'error');
-        return;
+    if (existingArea) {
+        modal.querySelector('.save-mode').hidden = false;
+        modal.querySelector('.save-mode-version').textContent = `Save as version ${(existingArea.version || 1) + 1} of "${existingArea.name}"`;
+        modal.querySelector('#areaName').value = existingArea.name;
+        modal.querySelector('#areaClient').value = existingArea.client;
+        modal.querySelector('#areaTags').value = existingArea.tags.join(', ');
+        modal.querySelector('#areaNotes').value = existingArea.notes;
     }
     
-    // Show loading state
-    const submitBtn = form.querySelector('button[type="submit"]');
-    const originalText = submitBtn.innerHTML;
-    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Creating Account...';
-    submitBtn.disabled = true;
-    
-    // Simulate account creation
-    setTimeout(() => {
-        // Store user as logged in
-        localStorage.setItem('userLoggedIn', 'true');
-        localStorage.setItem('userEmail', data.email);
-        localStorage.setItem('userName', `${data.firstName} ${data.lastName}`);
-        
-        showNotification('Account created successfully! Proceeding with your request...', 'success');
-        
-        // Close modal and proceed with submission
-        form.closest('.registration-modal').remove();
-        proceedWithSubmission();
+    const confirmBtn = modal.querySelector('#confirmSave');
+    confirmBtn.addEventListener('click', () => {
+        const areaName = modal.querySelector('#areaName').value.trim() || `Area_${new Date().toLocaleDateString()}`;
+        const record = createAoiLibraryRecord({
+            name: areaName,
+            client: modal.querySelector('#areaClient').value.trim(),
+            tags: parseTags(modal.querySelector('#areaTags').value),
+            notes: modal.querySelector('#areaNotes').value.trim()
+        });
+        const asVersion = existingArea && modal.querySelector('input[name="saveMode"]:checked').value === 'version';
         
-    }, 2000);
+        confirmBtn.disabled = true;
+        const write = asVersion
+            ? getAreaVersions(existingArea).then(versions => {
+                // An unchanged shape only updates the area's details; a version holds a new shape
+                if (!areaPolygonsEqual(versions[versions.length - 1].polygons, record.polygons)) {
+                    return saveNextAreaVersion(existingArea, record);
+                }
+                const area = { ...existingArea, name: record.name, client: record.client, tags: record.tags, notes: record.notes };
+                return putLibraryRecord(AREA_STORE, area).then(() => ({ ...area, unchanged: true }));
+            })
+            : putAreaVersion({ ...record, version: 1 });
+        write
+            .then(saved => {
+                linkLibraryArea(saved.id);
+                refreshSnapReferences();
+                let message = `Area "${escapeHtml(areaName)}" saved successfully!`;
+                if (saved.unchanged) {
+                    message = `The shape of "${escapeHtml(areaName)}" has not changed since version ${saved.version || 1}, so no new version was added. Its details were updated.`;
+                } else if (asVersion) {
+                    message = `Saved version ${saved.version} of "${escapeHtml(areaName)}".`;
+                }
+                showNotification(message, saved.unchanged ? 'info' : 'success');
+                modal.remove();
+                warnIfStorageNearlyFull();
+            })
+            .catch(error => {
+                confirmBtn.disabled = false;
+                showNotification(`Could not save "${escapeHtml(areaName)}": ${describeStorageError(error)}`, 'error');
+            });
+    });
 }
 
-function proceedWithSubmission() {
-    // Prepare request data
-    const requestData = {
-        coordinates: polygonPoints,
-        area: calculatePolygonArea(polygonPoints),
-        perimeter: calculatePolygonPerimeter(polygonPoints),
-        bounds: currentPolygon ? currentPolygon.getBounds() : null,
-        timestamp: new Date().toISOString(),
-        mapCenter: map.getCenter(),
-        zoomLevel: map.getZoom(),
-        requestId: 'REQ-' + Date.now(),
-        userEmail: localStorage.getItem('userEmail'),
-        userName: localStorage.getItem('userName')
-    };
+function loadArea() {
+    getAllLibraryRecords(AREA_STORE)
+        .then(savedAreas => {
+            if (savedAreas.length === 0) {
+                showNotification('No saved areas found. Please save an area first.', 'warning');
+                return;
+            }
+            
+            showLoadAreaModal(savedAreas);
+        })
+        .catch(error => showNotification(`Could not open the area library: ${describeStorageError(error)}`, 'error'));
+}
 
-    console.log('Request data to send to backend:', requestData);
-    
-    // Show loading state
-    const submitBtn = document.getElementById('submitRequest');
-    const originalText = submitBtn.innerHTML;
-    submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Submitting...</span>';
-    submitBtn.disabled = true;
+const LIBRARY_SORTS = {
+    modified: (a, b) => b.modified.localeCompare(a.modified),
+    created: (a, b) => b.created.localeCompare(a.created),
+    name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }),
+    area: (a, b) => b.area - a.area
+};
+
+// Builds an element holding plain text; saved names and notes never go through innerHTML
+function createTextElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+// One row of the area library or drafts list. Details are elements for the line under
+// the name; actions are { action, className, icon, label, title } buttons.
+function createLibraryItem(record, details, actions) {
+    const item = createTextElement('div', 'area-item');
+    item.dataset.id = record.id;
+    
+    const info = createTextElement('div', 'area-info');
+    const detailLine = createTextElement('div', 'area-details');
+    detailLine.append(...details);
+    info.append(createTextElement('div', 'area-name', record.name), detailLine);
+    
+    const buttons = createTextElement('div', 'area-actions');
+    actions.forEach(({ action, className, icon, label, title }) => {
+        const button = createTextElement('button', className, label);
+        button.type = 'button';
+        button.dataset.action = action;
+        if (title) button.title = title;
+        button.prepend(createTextElement('i', `fas ${icon}`));
+        buttons.appendChild(button);
+    });
     
-    // Simulate API call
-    setTimeout(() => {
-        showNotification('Request submitted successfully! You will receive a confirmation email shortly and detailed results within 2-5 business days.', 'success');
-        submitBtn.innerHTML = originalText;
-        submitBtn.disabled = false;
-        
-        // Update stats
-        areaCount++;
-        updateStats();
+    item.append(renderAreaThumbnail(record.thumbnail), info, buttons);
+    return item;
+}
+
+// Swaps a name for a text input. Resolves with the new name once Enter is pressed or
+// the input loses focus, or with null when Escape is pressed or the name is unchanged.
+function editNameInPlace(nameElement, name) {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'area-name-input';
+        input.value = name;
+        input.maxLength = 100;
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
         
-        // Save request to user dashboard
-        const userRequests = JSON.parse(localStorage.getItem('userRequests') || '[]');
-        const serviceName = getServiceNameFromUrl() || 'Area of Interest Analysis';
+        let finished = false;
+        const finish = save => {
+            if (finished) return;
+            finished = true;
+            
+            const newName = input.value.trim();
+            input.replaceWith(nameElement);
+            resolve(save && newName && newName !== name ? newName : null);
+        };
         
-        userRequests.push({
-            requestId: requestData.requestId,
-            serviceName: serviceName,
-            area: requestData.area,
-            perimeter: requestData.perimeter,
-            coordinates: requestData.coordinates,
-            timestamp: requestData.timestamp,
-            status: 'pending'
+        input.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(false);
+            }
         });
-        
-        localStorage.setItem('userRequests', JSON.stringify(userRequests));
-        
-        // Show confirmation modal
-        showRequestConfirmation(requestData);
-        
-    }, 2000);
+        input.addEventListener('blur', () => finish(true));
+    });
 }
 
-function saveDraft() {
-    if (polygonPoints.length < 3) {
-        showNotification('Please draw an area first by clicking on the map to create at least 3 points.', 'warning');
-        return;
-    }
-
-    const draftData = {
-        coordinates: polygonPoints,
-        area: calculatePolygonArea(polygonPoints),
-        perimeter: calculatePolygonPerimeter(polygonPoints),
-        bounds: currentPolygon ? currentPolygon.getBounds() : null,
-        timestamp: new Date().toISOString(),
-        mapCenter: map.getCenter(),
-        zoomLevel: map.getZoom(),
-        status: 'draft'
-    };
-
-    // Save to localStorage
-    const savedDrafts = JSON.parse(localStorage.getItem('savedDrafts') || '[]');
-    savedDrafts.push(draftData);
-    localStorage.setItem('savedDrafts', JSON.stringify(savedDrafts));
-
-    showNotification('Draft saved successfully! You can continue working on it later.', 'success');
-    console.log('Draft saved:', draftData);
+// Street map for previewing library areas inside a modal
+function createPreviewMap(container) {
+    const previewMap = L.map(container, {
+        zoomControl: false,
+        attributionControl: false,
+        scrollWheelZoom: false
+    });
+    L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', { maxZoom: 18 }).addTo(previewMap);
+    return previewMap;
 }
 
-function showServiceSelectionModal() {
+const previewAreaStyle = {
+    color: '#0ea5e9',
+    weight: 2,
+    fillColor: '#0ea5e9',
+    fillOpacity: 0.25
+};
+
+// Area library browser: search over name, client, tags and notes, sorting, a preview
+// of the selected area, rename in place and deleting several areas at once
+function showLoadAreaModal(savedAreas) {
     const modal = document.createElement('div');
-    modal.className = 'service-selection-modal';
+    modal.className = 'load-area-modal';
     modal.innerHTML = `
-        <div class="service-modal-overlay">
-            <div class="service-modal-content">
-                <div class="service-modal-header">
-                    <h3><i class="fas fa-cogs"></i> Select Service Type</h3>
-                    <p>Choose the type of flood risk analysis you need for your uploaded area</p>
-                    <button class="service-modal-close" onclick="this.closest('.service-selection-modal').remove()">
+        <div class="modal-overlay">
+            <div class="modal-content library-modal">
+                <div class="modal-header">
+                    <h3><i class="fas fa-folder-open"></i> Area Library</h3>
+                    <button class="modal-close" data-action="close">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
-                
-                <div class="service-modal-body">
-                    <div class="service-options">
-                        <div class="service-option" data-service="aoi">
-                            <div class="service-option-content">
-                                <div class="service-option-name">Area of Interest Analysis</div>
-                                <div class="service-option-rate">$2,500/km²</div>
-                                <div class="service-option-desc">Basic flood risk assessment and area analysis</div>
-                            </div>
-                        </div>
-                        
-                        <div class="service-option" data-service="reports">
-                            <div class="service-option-content">
-                                <div class="service-option-name">Detailed Reports</div>
-                                <div class="service-option-rate">$5,000/km²</div>
-                                <div class="service-option-desc">Comprehensive flood risk reports with detailed analysis</div>
-                            </div>
-                        </div>
-                        
-                        <div class="service-option" data-service="modeling">
-                            <div class="service-option-content">
-                                <div class="service-option-name">Advanced Risk Modeling</div>
-                                <div class="service-option-rate">$8,500/km²</div>
-                                <div class="service-option-desc">Advanced hydrological modeling and risk assessment</div>
-                            </div>
-                        </div>
-                        
-                        <div class="service-option" data-service="planning">
-                            <div class="service-option-content">
-                                <div class="service-option-name">Mitigation Planning</div>
-                                <div class="service-option-rate">$15,000/km²</div>
-                                <div class="service-option-desc">Complete flood mitigation strategies and planning</div>
-                            </div>
-                        </div>
+                <div class="modal-body">
+                    <div class="library-preview">
+                        <div class="library-preview-map"></div>
+                        <div class="library-preview-info">Select an area to preview it.</div>
                     </div>
-                </div>
-                
-                <div class="service-modal-actions">
-                    <button class="service-modal-btn primary" id="confirmServiceSelection">
-                        <i class="fas fa-check"></i>
-                        <span>Select Service</span>
+                    <div class="library-toolbar">
+                        <input type="checkbox" id="librarySelectAll" title="Select all shown">
+                        <input type="search" id="librarySearch" placeholder="Search name, client, tags or notes">
+                        <select id="librarySort" title="Sort by">
+                            <option value="modified">Last modified</option>
+                            <option value="created">Date created</option>
+                            <option value="name">Name</option>
+                            <option value="area">Largest area</option>
+                        </select>
+                    </div>
+                    <div class="saved-areas-list"></div>
+                    <div class="library-storage">Checking storage…</div>
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-secondary library-delete-selected" data-action="delete-selected" disabled>
+                        <i class="fas fa-trash"></i>
+                        <span>Delete selected</span>
+                    </button>
+                    <button class="btn-secondary" data-action="close">
+                        <i class="fas fa-times"></i>
+                        <span>Cancel</span>
+                    </button>
+                    <button class="btn-primary" data-action="load" disabled>
+                        <i class="fas fa-download"></i>
+                        <span>Load</span>
                     </button>
                 </div>
             </div>
@@ -1548,237 +5665,592 @@ function showServiceSelectionModal() {
     
     document.body.appendChild(modal);
     
-    // Add event listeners
-    const serviceOptions = modal.querySelectorAll('.service-option');
-    let selectedService = 'aoi'; // Default selection
+    let areas = savedAreas;
+    let selectedId = null; // area shown in the preview
+    const checkedIds = new Set(); // areas ticked for deletion
+    let previewMap = null;
+    let previewLayer = null;
+    
+    const list = modal.querySelector('.saved-areas-list');
+    const search = modal.querySelector('#librarySearch');
+    const sort = modal.querySelector('#librarySort');
+    const selectAll = modal.querySelector('#librarySelectAll');
+    const deleteSelectedButton = modal.querySelector('[data-action="delete-selected"]');
+    const loadButton = modal.querySelector('.modal-actions [data-action="load"]');
+    const previewInfo = modal.querySelector('.library-preview-info');
+    
+    const close = () => {
+        if (previewMap) previewMap.remove();
+        modal.remove();
+    };
     
-    serviceOptions.forEach(option => {
-        option.addEventListener('click', () => {
-            // Remove previous selection
-            serviceOptions.forEach(opt => opt.classList.remove('selected'));
-            // Add selection to clicked option
-            option.classList.add('selected');
-            selectedService = option.dataset.service;
-        });
-    });
+    const getMatches = () => {
+        const query = search.value.trim().toLowerCase();
+        return areas
+            .filter(area => !query || [area.name, area.client, area.notes, ...area.tags].some(text => text.toLowerCase().includes(query)))
+            .sort(LIBRARY_SORTS[sort.value]);
+    };
     
-    // Set default selection
-    serviceOptions[0].classList.add('selected');
+    const createItem = area => {
+        const details = [
+            createTextElement('span', 'area-size', formatArea(area.area)),
+            createTextElement('span', 'area-date', new Date(area.modified).toLocaleDateString())
+        ];
+        details[1].title = `Created ${new Date(area.created).toLocaleString()}`;
+        if (area.client) {
+            const client = createTextElement('span', 'area-client', ` ${area.client}`);
+            client.prepend(createTextElement('i', 'fas fa-user'));
+            details.push(client);
+        }
+        
+        const item = createLibraryItem(area, details, [
+            { action: 'versions', className: 'btn-rename', icon: 'fa-clock-rotate-left', title: 'Versions' },
+            { action: 'rename', className: 'btn-rename', icon: 'fa-pen', title: 'Rename' },
+            { action: 'delete', className: 'btn-delete', icon: 'fa-trash', title: 'Delete' }
+        ]);
+        item.classList.toggle('selected', area.id === selectedId);
+        
+        const checkbox = createTextElement('input', 'area-select');
+        checkbox.type = 'checkbox';
+        checkbox.title = 'Select';
+        checkbox.checked = checkedIds.has(area.id);
+        item.prepend(checkbox);
+        
+        const info = item.querySelector('.area-info');
+        if (area.tags.length > 0) {
+            const tags = createTextElement('div', 'area-tags');
+            tags.append(...area.tags.map(tag => createTextElement('span', 'area-tag', tag)));
+            info.appendChild(tags);
+        }
+        if (area.notes) info.appendChild(createTextElement('div', 'area-notes', area.notes));
+        return item;
+    };
     
-    const confirmBtn = modal.querySelector('#confirmServiceSelection');
-    confirmBtn.addEventListener('click', () => {
-        // Update the URL with the selected service
-        const url = new URL(window.location);
-        url.searchParams.set('service', selectedService);
-        window.history.replaceState({}, '', url);
+    const updateSelectionControls = () => {
+        const matches = getMatches();
+        const checkedShown = matches.filter(area => checkedIds.has(area.id)).length;
+        selectAll.checked = matches.length > 0 && checkedShown === matches.length;
+        selectAll.indeterminate = checkedShown > 0 && checkedShown < matches.length;
+        deleteSelectedButton.disabled = checkedIds.size === 0;
+        deleteSelectedButton.querySelector('span').textContent = checkedIds.size > 0 ? `Delete selected (${checkedIds.size})` : 'Delete selected';
+        loadButton.disabled = selectedId === null;
+    };
+    
+    const render = () => {
+        const matches = getMatches();
+        if (matches.length === 0) {
+            list.replaceChildren(createTextElement('div', 'library-empty', areas.length === 0 ? 'The library is empty.' : 'No saved areas match your search.'));
+        } else {
+            list.replaceChildren(...matches.map(createItem));
+        }
+        updateSelectionControls();
+    };
+    
+    const showPreview = area => {
+        selectedId = area ? area.id : null;
+        list.querySelectorAll('.area-item').forEach(item => item.classList.toggle('selected', item.dataset.id === selectedId));
+        updateSelectionControls();
         
-        // Show analysis panel
-        showAnalysisPanel();
+        if (!area) {
+            if (previewLayer) previewLayer.clearLayers();
+            previewInfo.textContent = 'Select an area to preview it.';
+            return;
+        }
         
-        // Remove modal
-        modal.remove();
+        if (!previewMap) {
+            previewMap = createPreviewMap(modal.querySelector('.library-preview-map'));
+            previewLayer = L.featureGroup().addTo(previewMap);
+        }
         
-        showNotification(`Service selected: ${getServiceName(selectedService)}`, 'success');
+        previewLayer.clearLayers();
+        area.polygons.forEach(polygon => L.polygon([polygon.points, ...polygon.holes], previewAreaStyle).addTo(previewLayer));
+        previewMap.fitBounds(previewLayer.getBounds(), { padding: [16, 16] });
+        
+        const polygonCount = area.polygons.length === 1 ? '1 polygon' : `${area.polygons.length} polygons`;
+        previewInfo.textContent = `${area.name}: ${formatArea(area.area)}, perimeter ${formatPerimeter(area.perimeter)}, ${polygonCount}`;
+    };
+    
+    const updateStorage = () => {
+        getStorageEstimate().then(estimate => {
+            modal.querySelector('.library-storage').textContent = describeStorageEstimate(estimate);
+        });
+    };
+    
+    const remove = toDelete => {
+        deleteAreas(toDelete).then(deleted => {
+            if (!deleted) return;
+            const ids = new Set(toDelete.map(area => area.id));
+            areas = areas.filter(area => !ids.has(area.id));
+            ids.forEach(id => checkedIds.delete(id));
+            if (ids.has(selectedId)) showPreview(null);
+            render();
+            updateStorage();
+        });
+    };
+    
+    const load = () => {
+        const area = areas.find(item => item.id === selectedId);
+        if (!area) return;
+        loadAreaData(area);
+        linkLibraryArea(area.id);
+        close();
+    };
+    
+    modal.querySelectorAll('[data-action="close"]').forEach(button => button.addEventListener('click', close));
+    loadButton.addEventListener('click', load);
+    deleteSelectedButton.addEventListener('click', () => remove(areas.filter(area => checkedIds.has(area.id))));
+    search.addEventListener('input', debounce(render, 150));
+    sort.addEventListener('change', render);
+    selectAll.addEventListener('change', () => {
+        getMatches().forEach(area => {
+            if (selectAll.checked) checkedIds.add(area.id);
+            else checkedIds.delete(area.id);
+        });
+        render();
+    });
+    
+    list.addEventListener('change', e => {
+        if (!e.target.classList.contains('area-select')) return;
+        const id = e.target.closest('.area-item').dataset.id;
+        if (e.target.checked) checkedIds.add(id);
+        else checkedIds.delete(id);
+        updateSelectionControls();
+    });
+    
+    list.addEventListener('click', e => {
+        const item = e.target.closest('.area-item');
+        if (!item || e.target.closest('input')) return;
+        
+        const area = areas.find(other => other.id === item.dataset.id);
+        const button = e.target.closest('button[data-action]');
+        if (!button) {
+            showPreview(area);
+        } else if (button.dataset.action === 'versions') {
+            close();
+            showAreaVersionsModal(area);
+        } else if (button.dataset.action === 'rename') {
+            editNameInPlace(item.querySelector('.area-name'), area.name).then(name => {
+                if (!name) return;
+                const renamed = { ...area, name };
+                putLibraryRecord(AREA_STORE, renamed)
+                    .then(() => {
+                        areas = areas.map(other => other === area ? renamed : other);
+                        render();
+                        if (selectedId === area.id) showPreview(renamed);
+                    })
+                    .catch(error => showNotification(`Could not rename "${escapeHtml(area.name)}": ${describeStorageError(error)}`, 'error'));
+            });
+        } else {
+            remove([area]);
+        }
+    });
+    
+    // Double-clicking an area loads it straight away
+    list.addEventListener('dblclick', e => {
+        const item = e.target.closest('.area-item');
+        if (!item || e.target.closest('button, input')) return;
+        showPreview(areas.find(other => other.id === item.dataset.id));
+        load();
     });
+    
+    render();
+    updateStorage();
 }
 
-function getServiceName(service) {
-    const serviceNames = {
-        'aoi': 'Area of Interest Analysis',
-        'reports': 'Detailed Reports',
-        'modeling': 'Advanced Risk Modeling',
-        'planning': 'Mitigation Planning',
-        'monitoring': 'Real-time Monitoring'
+// Deletes the areas and their versions in one transaction, so either all of them go
+// or none do. Resolves with whether they were deleted.
+function deleteAreas(areas) {
+    return runLibraryTransaction([AREA_STORE, VERSION_STORE], 'readwrite', transaction => {
+        areas.forEach(area => {
+            transaction.objectStore(AREA_STORE).delete(area.id);
+            transaction.objectStore(VERSION_STORE).delete(IDBKeyRange.bound(`${area.id}@`, `${area.id}@\uffff`));
+        });
+    })
+        .then(() => {
+            refreshSnapReferences();
+            showNotification(areas.length === 1
+                ? `Area "${escapeHtml(areas[0].name)}" deleted successfully!`
+                : `${areas.length} areas deleted successfully!`, 'success');
+            return true;
+        })
+        .catch(error => {
+            const subject = areas.length === 1 ? `"${escapeHtml(areas[0].name)}"` : `${areas.length} areas`;
+            showNotification(`Could not delete ${subject}: ${describeStorageError(error)}`, 'error');
+            return false;
+        });
+}
+
+const versionDiffStyles = {
+    kept: { color: '#64748b', weight: 1, fillColor: '#94a3b8', fillOpacity: 0.25 },
+    added: { color: '#16a34a', weight: 2, fillColor: '#22c55e', fillOpacity: 0.45 },
+    removed: { color: '#dc2626', weight: 2, fillColor: '#ef4444', fillOpacity: 0.45 }
+};
+
+// Regions of `to` not in `from` (added), of `from` not in `to` (removed) and in both
+// (kept), as MultiPolygon coordinates, with the area of each in km²
+function compareAreaVersions(from, to) {
+    if (typeof polygonClipping === 'undefined') {
+        throw new Error('Geometry library failed to load. Please refresh the page and try again.');
+    }
+    
+    const before = buildAoiMultiPolygon(from.polygons).coordinates;
+    const after = buildAoiMultiPolygon(to.polygons).coordinates;
+    const regions = {
+        kept: polygonClipping.intersection(before, after),
+        added: polygonClipping.difference(after, before),
+        removed: polygonClipping.difference(before, after)
     };
-    return serviceNames[service] || 'Area of Interest Analysis';
+    
+    return Object.fromEntries(Object.entries(regions).map(([key, coordinates]) => [key, {
+        coordinates,
+        area: getGeometryArea({ type: 'MultiPolygon', coordinates })
+    }]));
 }
 
-function getServiceNameFromUrl() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const service = urlParams.get('service');
-    return getServiceName(service);
+function formatAreaChange(km2) {
+    return `${km2 < 0 ? '−' : '+'}${formatArea(Math.abs(km2))}`;
 }
 
-function showRequestConfirmation(requestData) {
-    const user = getCurrentUser();
-    const modal = document.createElement('div');
-    modal.className = 'request-confirmation-modal';
-    modal.innerHTML = `
-        <div class="confirmation-modal-overlay">
-            <div class="confirmation-modal-content">
-                <div class="confirmation-header">
-                    <div class="success-icon">
-                        <i class="fas fa-check-circle"></i>
-                    </div>
-                    <h2 class="confirmation-title">Request Submitted Successfully!</h2>
-                    <p class="confirmation-subtitle">Your flood risk assessment request has been received</p>
-                </div>
-                
-                <div class="confirmation-body">
-                    <div class="request-summary">
-                        <div class="summary-item">
-                            <div class="summary-icon">
-                                <i class="fas fa-hashtag"></i>
-                            </div>
-                            <div class="summary-content">
-                                <div class="summary-label">Request ID</div>
-                                <div class="summary-value">${requestData.requestId}</div>
-                            </div>
-                        </div>
-                        
-                        <div class="summary-item">
-                            <div class="summary-icon">
-                                <i class="fas fa-user"></i>
-                            </div>
-                            <div class="summary-content">
-                                <div class="summary-label">Submitted by</div>
-                                <div class="summary-value">${user ? user.name : 'Guest User'}</div>
-                            </div>
-                        </div>
-                        
-                        <div class="summary-item">
-                            <div class="summary-icon">
-                                <i class="fas fa-envelope"></i>
-                            </div>
-                            <div class="summary-content">
-                                <div class="summary-label">Email</div>
-                                <div class="summary-value">${user ? user.email : 'N/A'}</div>
-                            </div>
+// Versions of a library area: overlays any two of them with added and removed regions
+// highlighted, and restores an older one as a new version
+function showAreaVersionsModal(area) {
+    getAreaVersions(area)
+        .then(versions => {
+            const modal = document.createElement('div');
+            modal.className = 'area-versions-modal';
+            modal.innerHTML = `
+                <div class="modal-overlay">
+                    <div class="modal-content library-modal">
+                        <div class="modal-header">
+                            <h3><i class="fas fa-clock-rotate-left"></i> <span class="versions-title"></span></h3>
+                            <button class="modal-close" data-action="close">
+                                <i class="fas fa-times"></i>
+                            </button>
                         </div>
-                        
-                        <div class="summary-item highlight">
-                            <div class="summary-icon">
-                                <i class="fas fa-map-marked-alt"></i>
+                        <div class="modal-body">
+                            <div class="library-toolbar version-compare">
+                                <label for="versionFrom">Compare</label>
+                                <select id="versionFrom"></select>
+                                <label for="versionTo">with</label>
+                                <select id="versionTo"></select>
                             </div>
-                            <div class="summary-content">
-                                <div class="summary-label">Area Size</div>
-                                <div class="summary-value">${requestData.area.toFixed(2)} km²</div>
+                            <div class="library-preview">
+                                <div class="library-preview-map"></div>
+                                <div class="version-legend">
+                                    <span class="version-legend-added">Added</span>
+                                    <span class="version-legend-removed">Removed</span>
+                                    <span class="version-legend-kept">Unchanged</span>
+                                </div>
+                                <div class="version-delta"></div>
                             </div>
+                            <div class="saved-areas-list version-list"></div>
                         </div>
-                    </div>
-                    
-                    <div class="processing-info">
-                        <div class="info-note">
-                            <i class="fas fa-clock"></i>
-                            <span>Results will be delivered via email within 2-5 business days</span>
-                        </div>
-                    </div>
-                    
-                    <div class="contact-info">
-                        <div class="contact-item">
-                            <i class="fas fa-phone"></i>
-                            <span>Questions? Contact: robert@proforcegalaxies.com</span>
+                        <div class="modal-actions">
+                            <button class="btn-secondary" data-action="close">
+                                <i class="fas fa-times"></i>
+                                <span>Close</span>
+                            </button>
                         </div>
                     </div>
                 </div>
+            `;
+            
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                z-index: 3000;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                animation: fadeIn 0.3s ease;
+            `;
+            
+            document.body.appendChild(modal);
+            modal.querySelector('.versions-title').textContent = `Versions of "${area.name}"`;
+            
+            const latest = versions[versions.length - 1];
+            const fromSelect = modal.querySelector('#versionFrom');
+            const toSelect = modal.querySelector('#versionTo');
+            const delta = modal.querySelector('.version-delta');
+            const previewMap = createPreviewMap(modal.querySelector('.library-preview-map'));
+            const diffLayer = L.featureGroup().addTo(previewMap);
+            
+            const close = () => {
+                previewMap.remove();
+                modal.remove();
+            };
+            
+            [fromSelect, toSelect].forEach(select => {
+                select.append(...versions.map((version, index) => {
+                    const option = createTextElement('option', '', `Version ${version.version} (${new Date(version.saved).toLocaleDateString()})`);
+                    option.value = index;
+                    return option;
+                }));
+            });
+            // Start with the latest change
+            fromSelect.value = Math.max(versions.length - 2, 0);
+            toSelect.value = versions.length - 1;
+            
+            const compare = () => {
+                const from = versions[fromSelect.value];
+                const to = versions[toSelect.value];
+                diffLayer.clearLayers();
                 
-                <div class="confirmation-actions">
-                    <button class="confirmation-btn primary" onclick="this.closest('.request-confirmation-modal').remove()">
-                        <i class="fas fa-check"></i>
-                        <span>Continue</span>
-                    </button>
-                    <button class="confirmation-btn secondary" onclick="window.location.href='services.html'">
-                        <i class="fas fa-plus"></i>
-                        <span>Submit Another Request</span>
-                    </button>
-                </div>
-            </div>
-        </div>
-    `;
-    
-    modal.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.8);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        z-index: 10000;
-        animation: fadeIn 0.3s ease;
-    `;
-    
-    document.body.appendChild(modal);
+                const change = to.area - from.area;
+                const percent = from.area > 0 ? ` (${change < 0 ? '−' : '+'}${Math.abs(change / from.area * 100).toFixed(1)}%)` : '';
+                let text = `Area ${formatArea(from.area)} → ${formatArea(to.area)}: ${formatAreaChange(change)}${percent}.`;
+                
+                try {
+                    const regions = compareAreaVersions(from, to);
+                    ['kept', 'removed', 'added'].forEach(key => {
+                        if (regions[key].coordinates.length > 0) {
+                            L.polygon(L.GeoJSON.coordsToLatLngs(regions[key].coordinates, 2), versionDiffStyles[key]).addTo(diffLayer);
+                        }
+                    });
+                    text += ` Added ${formatArea(regions.added.area)}, removed ${formatArea(regions.removed.area)}.`;
+                } catch (error) {
+                    // Self-intersecting outlines cannot be clipped; show both as they are
+                    [from, to].forEach((version, index) => version.polygons.forEach(polygon => {
+                        L.polygon([polygon.points, ...polygon.holes], index === 0 ? versionDiffStyles.removed : versionDiffStyles.added).addTo(diffLayer);
+                    }));
+                    text += ` The changed regions could not be worked out: ${error.message}`;
+                }
+                
+                if (from === to) {
+                    text = versions.length === 1
+                        ? `Only one version so far (${formatArea(to.area)}). Saving this area again after editing it adds the next one.`
+                        : `Both sides show version ${to.version} (${formatArea(to.area)}).`;
+                }
+                delta.textContent = text;
+                if (diffLayer.getLayers().length > 0) {
+                    previewMap.fitBounds(diffLayer.getBounds(), { padding: [16, 16] });
+                }
+            };
+            
+            const restore = version => {
+                const record = createLibraryRecord(version.polygons, area, {
+                    mapCenter: area.mapCenter,
+                    zoomLevel: area.zoomLevel
+                });
+                record.modified = new Date().toISOString();
+                
+                saveNextAreaVersion(area, record)
+                    .then(saved => {
+                        close();
+                        loadAreaData(saved, { label: `Restore version ${version.version} of`, notify: false });
+                        linkLibraryArea(saved.id);
+                        refreshSnapReferences();
+                        showNotification(`Version ${version.version} of "${escapeHtml(area.name)}" restored as version ${saved.version}.`, 'success');
+                    })
+                    .catch(error => showNotification(`Could not restore version ${version.version}: ${describeStorageError(error)}`, 'error'));
+            };
+            
+            const list = modal.querySelector('.version-list');
+            list.append(...versions.slice().reverse().map(version => {
+                const item = createTextElement('div', 'area-item version-item');
+                const info = createTextElement('div', 'area-info');
+                const details = createTextElement('div', 'area-details');
+                details.append(
+                    createTextElement('span', 'area-size', formatArea(version.area)),
+                    createTextElement('span', 'area-date', new Date(version.saved).toLocaleString())
+                );
+                info.append(createTextElement('div', 'area-name', `Version ${version.version}`), details);
+                item.append(renderAreaThumbnail(createAreaThumbnail(version.polygons)), info);
+                
+                if (version === latest) {
+                    item.appendChild(createTextElement('span', 'draft-current', 'Current'));
+                } else {
+                    const button = createTextElement('button', 'btn-load', 'Restore');
+                    button.type = 'button';
+                    button.prepend(createTextElement('i', 'fas fa-rotate-left'));
+                    button.addEventListener('click', () => restore(version));
+                    item.appendChild(button);
+                }
+                return item;
+            }));
+            
+            modal.querySelectorAll('[data-action="close"]').forEach(button => button.addEventListener('click', close));
+            fromSelect.addEventListener('change', compare);
+            toSelect.addEventListener('change', compare);
+            compare();
+        })
+        .catch(error => showNotification(`Could not open the versions of "${escapeHtml(area.name)}": ${describeStorageError(error)}`, 'error'));
+}
+
+// Drafts: work in progress kept by Save Draft and by autosave. The draft session
+// tracks which draft the AOI on the map is written to, so later saves update that
+// draft instead of adding another one each time.
+const AUTOSAVE_INTERVAL_MS = 5000;
+// beforeunload cannot wait for an IndexedDB write, so the last changes are also kept here
+const UNLOAD_DRAFT_KEY = 'unsavedDraft';
+// Autosave starts a draft for every area put on the map, so only the most recent ones
+// are kept; drafts saved with Save Draft are never pruned
+const MAX_AUTOSAVED_DRAFTS = 10;
+
+const draftSession = {
+    id: null,
+    name: null,
+    created: null,
+    savedState: null, // aoiHistory.current when the draft was last written
+    savedService: null,
+    autosaved: true, // false once the user saves the draft themselves
+    failed: false
+};
+
+// Starts writing to `draft`, or to a new draft once the AOI next changes when null
+function startDraftSession(draft) {
+    draftSession.id = draft ? draft.id : null;
+    draftSession.name = draft ? draft.name : null;
+    draftSession.created = draft ? draft.created : null;
+    draftSession.autosaved = draft ? draft.autosaved === true : true;
+    draftSession.savedState = aoiHistory.current;
+    draftSession.savedService = getSelectedService();
+}
+
+function isDraftDirty() {
+    return aoiHistory.current !== draftSession.savedState || getSelectedService() !== draftSession.savedService;
+}
+
+function createDraftRecord() {
+    if (!draftSession.id) {
+        draftSession.id = createRecordId();
+        draftSession.name = `Draft ${new Date().toLocaleString()}`;
+        draftSession.created = new Date().toISOString();
+    }
     
-    // Close modal handlers
-    modal.querySelector('.modal-close').onclick = () => modal.remove();
-    modal.onclick = (e) => {
-        if (e.target === modal) modal.remove();
+    const active = getActivePolygon();
+    return {
+        ...createAoiLibraryRecord({ name: draftSession.name, created: draftSession.created }),
+        id: draftSession.id,
+        status: 'draft',
+        autosaved: draftSession.autosaved,
+        service: getSelectedService(),
+        // Index of the polygon being drawn, so resuming carries on drawing it
+        drawingIndex: isDrawing && active ? getCompletePolygons().indexOf(active) : -1
     };
 }
 
-function updateRiskIndicators() {
-    // Simulate risk assessment results
-    const riskLevels = ['Low', 'Medium', 'High'];
-    const responseTimes = ['24+ hours', '4-8 hours', '2-4 hours'];
-    
-    const randomRisk = riskLevels[Math.floor(Math.random() * riskLevels.length)];
-    const randomTime = responseTimes[Math.floor(Math.random() * responseTimes.length)];
-    
-    // Update risk indicators in the UI
-    const riskItems = document.querySelectorAll('.risk-item');
-    if (riskItems.length >= 2) {
-        riskItems[0].querySelector('.risk-value').textContent = randomRisk;
-        riskItems[1].querySelector('.risk-value').textContent = randomTime;
-        
-        // Update risk icon color
-        const riskIcon = riskItems[0].querySelector('.risk-icon');
-        riskIcon.className = `risk-icon ${randomRisk.toLowerCase()}`;
+function storeDraft() {
+    const record = createDraftRecord();
+    const state = aoiHistory.current;
+    return putLibraryRecord(DRAFT_STORE, record).then(() => {
+        draftSession.savedState = state;
+        draftSession.savedService = record.service;
+        draftSession.failed = false;
+        return record;
+    });
+}
+
+function autosaveDraft() {
+    if (getCompletePolygons().length === 0) {
+        // Clearing the AOI ends the draft; the next area starts a new one
+        if (draftSession.id) startDraftSession(null);
+        return;
     }
+    if (!isDraftDirty()) return;
+    
+    const isNew = !draftSession.id;
+    storeDraft().then(record => {
+        if (isNew && record.autosaved) {
+            pruneAutosavedDrafts().catch(error => console.error('Could not prune autosaved drafts:', error));
+        }
+    }, error => {
+        // Autosave retries every few seconds, so a failure is only reported once
+        if (!draftSession.failed) showNotification(`Autosave failed: ${describeStorageError(error)}`, 'error');
+        draftSession.failed = true;
+    });
+}
+
+// Deletes the oldest autosaved drafts beyond MAX_AUTOSAVED_DRAFTS
+function pruneAutosavedDrafts() {
+    return getAllLibraryRecords(DRAFT_STORE).then(drafts => {
+        const stale = drafts
+            .filter(draft => draft.autosaved === true && draft.id !== draftSession.id)
+            .sort((a, b) => b.modified.localeCompare(a.modified))
+            .slice(MAX_AUTOSAVED_DRAFTS - 1);
+        return Promise.all(stale.map(draft => deleteLibraryRecord(DRAFT_STORE, draft.id)));
+    });
 }
 
+function saveDraftBeforeUnload() {
+    if (getCompletePolygons().length === 0 || !isDraftDirty()) return;
+    
+    const record = createDraftRecord();
+    try {
+        localStorage.setItem(UNLOAD_DRAFT_KEY, JSON.stringify(record));
+    } catch (error) {
+        console.error('Could not keep unsaved changes:', error);
+    }
+    putLibraryRecord(DRAFT_STORE, record).catch(() => {});
+}
 
-function saveArea() {
-    if (polygonPoints.length < 3) {
-        showNotification('Please draw an area first by clicking on the map to create at least 3 points.', 'warning');
-        return;
+// Moves a draft kept by saveDraftBeforeUnload into the library; resolves with it, or null
+function recoverUnloadDraft() {
+    const saved = localStorage.getItem(UNLOAD_DRAFT_KEY);
+    if (saved === null) return Promise.resolve(null);
+    
+    let record;
+    try {
+        record = JSON.parse(saved);
+    } catch (error) {
+        console.error(`Unreadable ${UNLOAD_DRAFT_KEY} in localStorage:`, error);
+        localStorage.removeItem(UNLOAD_DRAFT_KEY);
+        return Promise.resolve(null);
     }
+    return putLibraryRecord(DRAFT_STORE, record).then(() => {
+        localStorage.removeItem(UNLOAD_DRAFT_KEY);
+        return record;
+    });
+}
+
+function startAutosave() {
+    startDraftSession(null);
+    setInterval(autosaveDraft, AUTOSAVE_INTERVAL_MS);
+    window.addEventListener('beforeunload', saveDraftBeforeUnload);
+    
+    recoverUnloadDraft()
+        .then(record => {
+            if (record) showNotification(`Unsaved changes from your last visit were kept as "${escapeHtml(record.name)}". Open Drafts to resume.`, 'info');
+        })
+        .catch(error => console.error('Could not recover unsaved changes:', error));
+}
 
-    showSaveAreaModal();
+function openDrafts() {
+    getAllLibraryRecords(DRAFT_STORE)
+        .then(drafts => {
+            if (drafts.length === 0) {
+                showNotification('No drafts yet. Use Save Draft, or just keep drawing: work in progress is saved automatically.', 'info');
+                return;
+            }
+            
+            showDraftsModal(drafts);
+        })
+        .catch(error => showNotification(`Could not open drafts: ${describeStorageError(error)}`, 'error'));
 }
 
-function showSaveAreaModal() {
+function showDraftsModal(savedDrafts) {
     const modal = document.createElement('div');
-    modal.className = 'save-area-modal';
+    modal.className = 'drafts-modal';
     modal.innerHTML = `
         <div class="modal-overlay">
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3><i class="fas fa-save"></i> Save Area</h3>
-                    <button class="modal-close" onclick="this.closest('.save-area-modal').remove()">
+                    <h3><i class="fas fa-file-pen"></i> Drafts</h3>
+                    <button class="modal-close" data-action="close">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
                 <div class="modal-body">
-                    <div class="form-group">
-                        <label for="areaName">Area Name</label>
-                        <input type="text" id="areaName" placeholder="Enter a name for this area" value="Area_${new Date().toLocaleDateString()}">
-                    </div>
-                    <div class="area-preview">
-                        <div class="preview-item">
-                            <span class="preview-label">Area Size:</span>
-                            <span class="preview-value">${calculatePolygonArea(polygonPoints).toFixed(2)} km²</span>
-                        </div>
-                        <div class="preview-item">
-                            <span class="preview-label">Perimeter:</span>
-                            <span class="preview-value">${calculatePolygonPerimeter(polygonPoints).toFixed(2)} km</span>
-                        </div>
-                        <div class="preview-item">
-                            <span class="preview-label">Points:</span>
-                            <span class="preview-value">${polygonPoints.length}</span>
-                        </div>
-                    </div>
+                    <p class="drafts-hint">Work in progress is saved here automatically every few seconds. Only the last ${MAX_AUTOSAVED_DRAFTS} autosaved drafts are kept; use Save Draft to keep one for good.</p>
+                    <div class="saved-areas-list"></div>
                 </div>
                 <div class="modal-actions">
-                    <button class="btn-primary" id="confirmSave">
-                        <i class="fas fa-save"></i>
-                        <span>Save Area</span>
-                    </button>
-                    <button class="btn-secondary" onclick="this.closest('.save-area-modal').remove()">
+                    <button class="btn-secondary" data-action="close">
                         <i class="fas fa-times"></i>
-                        <span>Cancel</span>
+                        <span>Close</span>
                     </button>
                 </div>
             </div>
@@ -1800,83 +6272,470 @@ function showSaveAreaModal() {
     
     document.body.appendChild(modal);
     
-    const confirmBtn = modal.querySelector('#confirmSave');
-    confirmBtn.addEventListener('click', () => {
-        const areaName = modal.querySelector('#areaName').value.trim() || `Area_${new Date().toLocaleDateString()}`;
+    let drafts = savedDrafts;
+    const list = modal.querySelector('.saved-areas-list');
+    modal.querySelectorAll('[data-action="close"]').forEach(button => button.addEventListener('click', () => modal.remove()));
+    
+    const createItem = draft => {
+        const details = [
+            createTextElement('span', 'area-size', formatArea(draft.area)),
+            createTextElement('span', 'area-date', new Date(draft.modified).toLocaleString())
+        ];
+        details[1].title = `Created ${new Date(draft.created).toLocaleString()}`;
+        if (draft.service) details.push(createTextElement('span', 'area-service', getServiceName(draft.service)));
+        if (draft.id === draftSession.id) details.push(createTextElement('span', 'draft-current', 'On the map'));
         
-        const areaData = {
-            id: Date.now().toString(),
-            name: areaName,
-            coordinates: polygonPoints,
-            area: calculatePolygonArea(polygonPoints),
-            perimeter: calculatePolygonPerimeter(polygonPoints),
-            bounds: currentPolygon ? currentPolygon.getBounds() : null,
-            timestamp: new Date().toISOString(),
-            mapCenter: map.getCenter(),
-            zoomLevel: map.getZoom()
-        };
+        return createLibraryItem(draft, details, [
+            { action: 'resume', className: 'btn-load', icon: 'fa-play', label: 'Resume' },
+            { action: 'rename', className: 'btn-rename', icon: 'fa-pen', title: 'Rename' },
+            { action: 'delete', className: 'btn-delete', icon: 'fa-trash', title: 'Delete' }
+        ]);
+    };
+    
+    const render = () => {
+        if (drafts.length === 0) {
+            list.replaceChildren(createTextElement('div', 'library-empty', 'No drafts left.'));
+        } else {
+            list.replaceChildren(...drafts.slice().sort(LIBRARY_SORTS.modified).map(createItem));
+        }
+    };
+    
+    const rename = (draft, item) => {
+        editNameInPlace(item.querySelector('.area-name'), draft.name).then(name => {
+            if (!name) return;
+            const renamed = { ...draft, name };
+            putLibraryRecord(DRAFT_STORE, renamed)
+                .then(() => {
+                    drafts = drafts.map(other => other === draft ? renamed : other);
+                    if (draftSession.id === draft.id) draftSession.name = name;
+                    render();
+                })
+                .catch(error => showNotification(`Could not rename the draft: ${describeStorageError(error)}`, 'error'));
+        });
+    };
+    
+    list.addEventListener('click', e => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const item = button.closest('.area-item');
+        const draft = drafts.find(other => other.id === item.dataset.id);
+        if (button.dataset.action === 'resume') {
+            resumeDraft(draft);
+            modal.remove();
+        } else if (button.dataset.action === 'rename') {
+            rename(draft, item);
+        } else {
+            deleteLibraryRecord(DRAFT_STORE, draft.id)
+                .then(() => {
+                    if (draftSession.id === draft.id) startDraftSession(null);
+                    drafts = drafts.filter(other => other !== draft);
+                    render();
+                })
+                .catch(error => showNotification(`Could not delete "${escapeHtml(draft.name)}": ${describeStorageError(error)}`, 'error'));
+        }
+    });
+    
+    render();
+}
 
-        // Save to localStorage
-        const savedAreas = JSON.parse(localStorage.getItem('savedAreas') || '[]');
-        savedAreas.push(areaData);
-        localStorage.setItem('savedAreas', JSON.stringify(savedAreas));
+// Puts a draft back on the map with its service and map view, and keeps saving to it
+function resumeDraft(draft) {
+    if (draft.service) setSelectedService(draft.service);
+    loadAreaData(draft, { label: 'Resume', restoreView: true, notify: false });
+    startDraftSession(draft);
+    
+    // Carry on drawing the polygon that was in progress
+    const drawing = aoiPolygons[draft.drawingIndex];
+    if (drawing) {
+        selectPolygon(drawing.id);
+        enterDrawingMode();
+        updateDrawingStatus('Click on the map to continue the polygon. Double-click to finish.');
+    }
+    
+    showNotification(`Draft "${escapeHtml(draft.name)}" resumed.`, 'success');
+}
 
-        showNotification(`Area "${areaName}" saved successfully!`, 'success');
-        modal.remove();
+// Library backup: one JSON archive holding every saved area with its versions, the
+// drafts, the request history and the snapping and simplify preferences. Restoring
+// merges an archive into this browser by ID. Where both sides hold a different record
+// under one ID, the local one is kept and the backup's area or draft is added next to
+// it as a copy, so nothing is lost; every such conflict is listed in the report.
+const BACKUP_FORMAT = 'pf-fra-library-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const USER_REQUESTS_KEY = 'userRequests';
+const BACKUP_PREFERENCES = {
+    [SNAP_SETTINGS_KEY]: 'Snapping settings',
+    [SIMPLIFY_SETTINGS_KEY]: 'Simplify settings'
+};
+
+// Parsed localStorage value, or undefined when it is missing or unreadable
+function readStoredJson(key) {
+    const value = localStorage.getItem(key);
+    if (value === null) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error(`Unreadable ${key} in localStorage:`, error);
+        return undefined;
+    }
+}
+
+function createLibraryBackup() {
+    return Promise.all([AREA_STORE, VERSION_STORE, DRAFT_STORE].map(getAllLibraryRecords))
+        .then(([areas, versions, drafts]) => ({
+            format: BACKUP_FORMAT,
+            version: BACKUP_FORMAT_VERSION,
+            created: new Date().toISOString(),
+            areas,
+            versions,
+            drafts,
+            userRequests: readStoredJson(USER_REQUESTS_KEY) || [],
+            preferences: Object.fromEntries(Object.keys(BACKUP_PREFERENCES)
+                .map(key => [key, readStoredJson(key)])
+                .filter(([, value]) => value !== undefined))
+        }));
+}
+
+function backupLibrary() {
+    createLibraryBackup()
+        .then(backup => {
+            const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+            downloadBlob(blob, `pf-fra-library-${backup.created.slice(0, 10)}.json`);
+            showNotification(`Library backed up: ${backup.areas.length} areas, ${backup.drafts.length} drafts and ${backup.userRequests.length} requests.`, 'success');
+        })
+        .catch(error => showNotification(`Could not back up the library: ${describeStorageError(error)}`, 'error'));
+}
+
+// Backup records are checked field by field before anything is merged: a record the
+// library list or the map cannot show would break them for every later visit.
+// Missing optional fields get the values a new record would have; a field of the
+// wrong type rejects the whole archive.
+function isBackupDate(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+function isBackupPoint(point) {
+    return Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]) &&
+        Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180;
+}
+
+function isBackupRing(ring) {
+    return Array.isArray(ring) && ring.length >= 3 && ring.every(isBackupPoint);
+}
+
+// { points, holes } copies of a record's polygons; older saves hold bare rings
+function normalizeBackupPolygons(polygons) {
+    if (!Array.isArray(polygons) || polygons.length === 0) throw new Error('has no polygons');
+    
+    return polygons.map(polygon => {
+        const points = Array.isArray(polygon) ? polygon : polygon && polygon.points;
+        const holes = Array.isArray(polygon) ? [] : (polygon && polygon.holes) || [];
+        if (!isBackupRing(points)) throw new Error('has a polygon with fewer than 3 valid points');
+        if (!Array.isArray(holes) || !holes.every(isBackupRing)) throw new Error('has a hole with fewer than 3 valid points');
+        return Array.isArray(polygon) ? { points, holes } : { ...polygon, points, holes };
     });
 }
 
-function loadArea() {
-    const savedAreas = JSON.parse(localStorage.getItem('savedAreas') || '[]');
+function normalizeBackupMeasure(value, fallback, field) {
+    if (value === undefined || value === null) return fallback();
+    if (!Number.isFinite(value) || value < 0) throw new Error(`has an invalid ${field}`);
+    return value;
+}
+
+// Normalised copy of a stored area or draft; throws with what is wrong with it
+function normalizeBackupArea(record) {
+    if (!record || typeof record !== 'object' || typeof record.id !== 'string' || !record.id) {
+        throw new Error('has no ID');
+    }
+    if (typeof record.name !== 'string' || !record.name.trim()) throw new Error('has no name');
     
-    if (savedAreas.length === 0) {
-        showNotification('No saved areas found. Please save an area first.', 'warning');
-        return;
+    const text = field => {
+        if (record[field] === undefined || record[field] === null) return '';
+        if (typeof record[field] !== 'string') throw new Error(`has invalid ${field}`);
+        return record[field];
+    };
+    const tags = record.tags === undefined || record.tags === null ? [] : record.tags;
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) throw new Error('has invalid tags');
+    if (!isBackupDate(record.created)) throw new Error('has an invalid created date');
+    const modified = record.modified === undefined ? record.created : record.modified;
+    if (!isBackupDate(modified)) throw new Error('has an invalid modified date');
+    
+    const polygons = normalizeBackupPolygons(record.polygons);
+    const mapCenter = isBackupPoint(record.mapCenter) ? record.mapCenter.slice(0, 2) : null;
+    const bounds = Array.isArray(record.bounds) && record.bounds.length === 2 && record.bounds.every(isBackupPoint)
+        ? record.bounds
+        : toBoundsArray(L.latLngBounds(polygons.flatMap(polygon => polygon.points)));
+    
+    return {
+        ...record,
+        tags,
+        notes: text('notes'),
+        client: text('client'),
+        modified,
+        polygons,
+        area: normalizeBackupMeasure(record.area, () => polygons.reduce((sum, polygon) => sum + getPolygonArea(polygon), 0), 'area'),
+        perimeter: normalizeBackupMeasure(record.perimeter, () => polygons.reduce((sum, polygon) => sum + getPolygonPerimeter(polygon), 0), 'perimeter'),
+        bounds,
+        mapCenter,
+        zoomLevel: mapCenter && Number.isFinite(record.zoomLevel) ? record.zoomLevel : null,
+        thumbnail: typeof record.thumbnail === 'string' ? record.thumbnail : createAreaThumbnail(polygons)
+    };
+}
+
+function normalizeBackupDraft(record) {
+    const draft = normalizeBackupArea(record);
+    if (draft.service !== undefined && draft.service !== null && typeof draft.service !== 'string') {
+        throw new Error('has an invalid service');
+    }
+    
+    return {
+        ...draft,
+        status: 'draft',
+        autosaved: draft.autosaved === true,
+        service: draft.service || null,
+        drawingIndex: Number.isInteger(draft.drawingIndex) && draft.drawingIndex < draft.polygons.length ? draft.drawingIndex : -1
+    };
+}
+
+function normalizeBackupVersion(record) {
+    if (!record || typeof record !== 'object' || typeof record.areaId !== 'string' || !record.areaId) {
+        throw new Error('belongs to no area');
     }
+    if (!Number.isInteger(record.version) || record.version < 1) throw new Error('has an invalid version number');
+    if (record.id !== `${record.areaId}@${record.version}`) throw new Error('has an ID that does not match its area');
+    if (!isBackupDate(record.saved)) throw new Error('has an invalid saved date');
+    
+    const polygons = normalizeBackupPolygons(record.polygons);
+    return {
+        ...record,
+        polygons,
+        area: normalizeBackupMeasure(record.area, () => polygons.reduce((sum, polygon) => sum + getPolygonArea(polygon), 0), 'area'),
+        perimeter: normalizeBackupMeasure(record.perimeter, () => polygons.reduce((sum, polygon) => sum + getPolygonPerimeter(polygon), 0), 'perimeter')
+    };
+}
 
-    showLoadAreaModal(savedAreas);
+// Requests are listed in the dashboard, which formats the area and the date
+function isBackupRequest(request) {
+    return request && typeof request === 'object' &&
+        typeof request.requestId === 'string' && typeof request.serviceName === 'string' &&
+        typeof request.status === 'string' && Number.isFinite(request.area) && isBackupDate(request.timestamp);
 }
 
-function showLoadAreaModal(savedAreas) {
+// Throws when `backup` is not an archive this version can restore. Fills in missing
+// lists and replaces every record with its normalised copy.
+function validateLibraryBackup(backup, fileName) {
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error(`${fileName} is not a library backup.`);
+    }
+    if (!(backup.version <= BACKUP_FORMAT_VERSION)) {
+        throw new Error(`${fileName} was made by a newer version of this app. Please update and try again.`);
+    }
+    
+    ['areas', 'versions', 'drafts', 'userRequests'].forEach(key => {
+        if (backup[key] === undefined) backup[key] = [];
+        if (!Array.isArray(backup[key])) throw new Error(`${fileName} is damaged: ${key} is not a list.`);
+    });
+    if (!backup.preferences || typeof backup.preferences !== 'object') backup.preferences = {};
+    
+    const normalizeAll = (key, label, normalize) => {
+        backup[key] = backup[key].map((record, index) => {
+            try {
+                return normalize(record);
+            } catch (error) {
+                const name = record && typeof record.name === 'string' ? ` "${record.name}"` : '';
+                throw new Error(`${fileName} is damaged: ${label} ${index + 1}${name} ${error.message}.`);
+            }
+        });
+    };
+    normalizeAll('areas', 'area', normalizeBackupArea);
+    normalizeAll('drafts', 'draft', normalizeBackupDraft);
+    normalizeAll('versions', 'version', normalizeBackupVersion);
+    
+    const badRequest = backup.userRequests.findIndex(request => !isBackupRequest(request));
+    if (badRequest !== -1) {
+        throw new Error(`${fileName} is damaged: request ${badRequest + 1} is incomplete.`);
+    }
+    const badPreference = Object.keys(BACKUP_PREFERENCES).find(key => backup.preferences[key] !== undefined &&
+        (!backup.preferences[key] || typeof backup.preferences[key] !== 'object' || Array.isArray(backup.preferences[key])));
+    if (badPreference) {
+        throw new Error(`${fileName} is damaged: ${BACKUP_PREFERENCES[badPreference].toLowerCase()} are not valid.`);
+    }
+}
+
+function sameStoredRecord(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// A copy added by an earlier restore of the same backup means the record is already here
+function hasRestoredCopy(records, record) {
+    return records.some(other => other.name === `${record.name} (from backup)` &&
+        sameStoredRecord({ ...other, id: record.id, name: record.name }, record));
+}
+
+// Merges a validated backup; resolves with { added, unchanged, conflicts } for the report
+function mergeLibraryBackup(backup) {
+    const report = {
+        added: { areas: 0, drafts: 0, requests: 0, preferences: 0 },
+        unchanged: 0,
+        conflicts: []
+    };
+    
+    return Promise.all([AREA_STORE, VERSION_STORE, DRAFT_STORE].map(getAllLibraryRecords))
+        .then(([areas, versions, drafts]) => {
+            const localAreas = new Map(areas.map(area => [area.id, area]));
+            const localDrafts = new Map(drafts.map(draft => [draft.id, draft]));
+            const localVersionIds = new Set(versions.map(version => version.id));
+            const writes = { [AREA_STORE]: [], [VERSION_STORE]: [], [DRAFT_STORE]: [] };
+            
+            const versionsByArea = new Map();
+            backup.versions.forEach(version => {
+                if (!versionsByArea.has(version.areaId)) versionsByArea.set(version.areaId, []);
+                versionsByArea.get(version.areaId).push(version);
+            });
+            
+            backup.areas.forEach(area => {
+                const local = localAreas.get(area.id);
+                const areaVersions = versionsByArea.get(area.id) || [];
+                if (!local) {
+                    writes[AREA_STORE].push(area);
+                    writes[VERSION_STORE].push(...areaVersions);
+                    report.added.areas++;
+                } else if (sameStoredRecord(local, area)) {
+                    writes[VERSION_STORE].push(...areaVersions.filter(version => !localVersionIds.has(version.id)));
+                    report.unchanged++;
+                } else if (hasRestoredCopy(areas, area)) {
+                    report.unchanged++;
+                } else {
+                    const copy = { ...area, id: createRecordId(), name: `${area.name} (from backup)` };
+                    writes[AREA_STORE].push(copy);
+                    writes[VERSION_STORE].push(...areaVersions.map(version => ({ ...version, id: `${copy.id}@${version.version}`, areaId: copy.id })));
+                    report.added.areas++;
+                    report.conflicts.push(`Area "${local.name}" differs from the backup. Yours was kept; the backup's was added as "${copy.name}".`);
+                }
+            });
+            
+            backup.drafts.forEach(draft => {
+                const local = localDrafts.get(draft.id);
+                if (!local) {
+                    writes[DRAFT_STORE].push(draft);
+                    report.added.drafts++;
+                } else if (sameStoredRecord(local, draft) || hasRestoredCopy(drafts, draft)) {
+                    report.unchanged++;
+                } else {
+                    const copy = { ...draft, id: createRecordId(), name: `${draft.name} (from backup)` };
+                    writes[DRAFT_STORE].push(copy);
+                    report.added.drafts++;
+                    report.conflicts.push(`Draft "${local.name}" differs from the backup. Yours was kept; the backup's was added as "${copy.name}".`);
+                }
+            });
+            
+            return runLibraryTransaction(Object.keys(writes), 'readwrite', transaction => {
+                Object.entries(writes).forEach(([storeName, records]) => {
+                    records.forEach(record => transaction.objectStore(storeName).put(record));
+                });
+            });
+        })
+        .then(() => {
+            // Requests are matched by request ID; a different local copy is kept as it is
+            const requests = readStoredJson(USER_REQUESTS_KEY) || [];
+            const requestKey = request => request.requestId || JSON.stringify(request);
+            const localRequests = new Map(requests.map(request => [requestKey(request), request]));
+            backup.userRequests.forEach(request => {
+                const local = localRequests.get(requestKey(request));
+                if (!local) {
+                    requests.push(request);
+                    report.added.requests++;
+                } else if (sameStoredRecord(local, request)) {
+                    report.unchanged++;
+                } else {
+                    report.conflicts.push(`Request ${request.requestId} differs from the backup. Yours was kept.`);
+                }
+            });
+            if (report.added.requests > 0) localStorage.setItem(USER_REQUESTS_KEY, JSON.stringify(requests));
+            
+            // Preferences only fill in what this browser has not set
+            Object.entries(backup.preferences)
+                .filter(([key]) => BACKUP_PREFERENCES[key])
+                .forEach(([key, value]) => {
+                    const local = readStoredJson(key);
+                    if (local === undefined) {
+                        localStorage.setItem(key, JSON.stringify(value));
+                        report.added.preferences++;
+                    } else if (sameStoredRecord(local, value)) {
+                        report.unchanged++;
+                    } else {
+                        report.conflicts.push(`${BACKUP_PREFERENCES[key]} differ from the backup. Yours were kept.`);
+                    }
+                });
+            
+            Object.assign(snapSettings, getSnapSettings());
+            updateSnapControls();
+            return report;
+        });
+}
+
+function restoreLibrary(file) {
+    file.text()
+        .then(text => {
+            let backup;
+            try {
+                backup = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`${file.name} is not a library backup.`);
+            }
+            validateLibraryBackup(backup, file.name);
+            return mergeLibraryBackup(backup);
+        })
+        .then(report => {
+            showRestoreReport(report);
+            warnIfStorageNearlyFull();
+        })
+        .catch(error => showNotification(`Could not restore the library: ${escapeHtml(describeStorageError(error))}`, 'error'));
+}
+
+function showRestoreReport(report) {
     const modal = document.createElement('div');
-    modal.className = 'load-area-modal';
+    modal.className = 'restore-report-modal';
     modal.innerHTML = `
         <div class="modal-overlay">
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3><i class="fas fa-folder-open"></i> Load Saved Area</h3>
-                    <button class="modal-close" onclick="this.closest('.load-area-modal').remove()">
+                    <h3><i class="fas fa-box-open"></i> Library Restored</h3>
+                    <button class="modal-close" data-action="close">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
                 <div class="modal-body">
-                    <div class="saved-areas-list">
-                        ${savedAreas.map((area, index) => `
-                            <div class="area-item" data-index="${index}">
-                                <div class="area-info">
-                                    <div class="area-name">${area.name}</div>
-                                    <div class="area-details">
-                                        <span class="area-size">${area.area.toFixed(2)} km²</span>
-                                        <span class="area-date">${new Date(area.timestamp).toLocaleDateString()}</span>
-                                    </div>
-                                </div>
-                                <div class="area-actions">
-                                    <button class="btn-load" onclick="loadAreaData(${JSON.stringify(area).replace(/"/g, '&quot;')}); this.closest('.load-area-modal').remove();">
-                                        <i class="fas fa-download"></i>
-                                        Load
-                                    </button>
-                                    <button class="btn-delete" onclick="deleteArea(${index}); this.closest('.load-area-modal').remove();">
-                                        <i class="fas fa-trash"></i>
-                                    </button>
-                                </div>
-                            </div>
-                        `).join('')}
+                    <div class="area-preview">
+                        <div class="preview-item">
+                            <span class="preview-label">Areas added:</span>
+                            <span class="preview-value">${report.added.areas}</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Drafts added:</span>
+                            <span class="preview-value">${report.added.drafts}</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Requests added:</span>
+                            <span class="preview-value">${report.added.requests}</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Preferences restored:</span>
+                            <span class="preview-value">${report.added.preferences}</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Already here:</span>
+                            <span class="preview-value">${report.unchanged}</span>
+                        </div>
                     </div>
+                    <h4 class="restore-conflicts-title">${report.conflicts.length === 0 ? 'No conflicts' : `Conflicts (${report.conflicts.length})`}</h4>
+                    <ul class="restore-conflicts"></ul>
                 </div>
                 <div class="modal-actions">
-                    <button class="btn-secondary" onclick="this.closest('.load-area-modal').remove()">
-                        <i class="fas fa-times"></i>
-                        <span>Cancel</span>
+                    <button class="btn-primary" data-action="close">
+                        <i class="fas fa-check"></i>
+                        <span>Done</span>
                     </button>
                 </div>
             </div>
@@ -1896,206 +6755,479 @@ function showLoadAreaModal(savedAreas) {
         animation: fadeIn 0.3s ease;
     `;
     
-    document.body.appendChild(modal);
+    document.body.appendChild(modal);
+    modal.querySelector('.restore-conflicts').append(...report.conflicts.map(conflict => createTextElement('li', '', conflict)));
+    modal.querySelectorAll('[data-action="close"]').forEach(button => button.addEventListener('click', () => modal.remove()));
+}
+
+// Options: label for the history entry, restoreView to return to the saved map view
+// instead of fitting the area, and notify: false to skip the "loaded" message
+function loadAreaData(areaData, options = {}) {
+    // Clear current drawing
+    clearMap({ record: false });
+    
+    // Load the area (older saves hold a single coordinates ring)
+    const polygons = areaData.polygons || [areaData.coordinates];
+    
+    // Recreate the polygons, selecting the last one
+    polygons.forEach(polygon => {
+        const points = Array.isArray(polygon) ? polygon : polygon.points;
+        const holes = Array.isArray(polygon) ? [] : (polygon.holes || []);
+        const entry = createAoiPolygon(points.map(point => [point[0], point[1]]), {
+            holes: holes.map(hole => hole.map(point => [point[0], point[1]])),
+            showVertices: points.length <= MAX_NUMBERED_VERTICES
+        });
+        activePolygonId = entry.id;
+        addPolygonLayer(entry);
+    });
+    
+    // Add markers for the selected polygon and update info display
+    selectPolygon(activePolygonId);
+    recordAoiCommand(`${options.label || 'Load'} "${areaData.name}"`);
+    
+    // Fit map to the area
+    const bounds = getAoiBounds();
+    if (options.restoreView && areaData.mapCenter) {
+        map.setView(areaData.mapCenter, areaData.zoomLevel === null ? map.getZoom() : areaData.zoomLevel);
+    } else if (bounds) {
+        map.fitBounds(bounds, {padding: [20, 20]});
+    }
+    
+    // Show analysis panel
+    showAnalysisPanel();
+    
+    // Edits from here on go to a new draft rather than over the one last autosaved
+    startDraftSession(null);
+    
+    if (options.notify !== false) showNotification(`Area "${escapeHtml(areaData.name)}" loaded successfully!`, 'success');
+}
+
+function exportData() {
+    if (getCompletePolygons().length === 0) {
+        showNotification('Please draw an area first to export data.', 'warning');
+        return;
+    }
+    
+    showExportModal();
+}
+
+// Measurement attributes written with every exported polygon. Keys are at most
+// ten characters so the same names work as shapefile DBF columns.
+const EXPORT_PROPERTY_FIELDS = [
+    { key: 'name', type: 'C', length: 50 },
+    { key: 'area_km2', type: 'N', length: 19, decimals: 6 },
+    { key: 'area_ha', type: 'N', length: 19, decimals: 4 },
+    { key: 'perim_km', type: 'N', length: 19, decimals: 6 },
+    { key: 'cent_lat', type: 'N', length: 19, decimals: 8 },
+    { key: 'cent_lng', type: 'N', length: 19, decimals: 8 },
+    { key: 'min_lat', type: 'N', length: 19, decimals: 8 },
+    { key: 'min_lng', type: 'N', length: 19, decimals: 8 },
+    { key: 'max_lat', type: 'N', length: 19, decimals: 8 },
+    { key: 'max_lng', type: 'N', length: 19, decimals: 8 },
+    { key: 'holes', type: 'N', length: 5, decimals: 0 },
+    { key: 'vertices', type: 'N', length: 9, decimals: 0 }
+];
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const EXPORT_FORMATS = [
+    {
+        id: 'geojson',
+        label: 'GeoJSON',
+        description: 'RFC 7946 FeatureCollection',
+        extension: 'geojson',
+        build: features => new Blob([JSON.stringify(buildAoiFeatureCollection(features), null, 2)], { type: 'application/geo+json' })
+    },
+    {
+        id: 'kml',
+        label: 'KML',
+        description: 'Google Earth, with ExtendedData',
+        extension: 'kml',
+        build: features => new Blob([buildAoiKML(features)], { type: 'application/vnd.google-earth.kml+xml' })
+    },
+    {
+        id: 'gpx',
+        label: 'GPX',
+        description: 'One closed track per polygon',
+        extension: 'gpx',
+        build: features => new Blob([buildAoiGPX(features)], { type: 'application/gpx+xml' })
+    },
+    {
+        id: 'shapefile',
+        label: 'Shapefile',
+        description: 'Zipped .shp/.shx/.dbf/.prj (WGS84)',
+        extension: 'zip',
+        build: buildAoiShapefileZip
+    },
+    {
+        id: 'wkt',
+        label: 'WKT',
+        description: 'CSV with a WKT geometry column',
+        extension: 'csv',
+        suffix: '_wkt',
+        build: features => new Blob([buildAoiWKTCsv(features)], { type: 'text/csv' })
+    },
+    {
+        id: 'csv',
+        label: 'Vertex CSV',
+        description: 'One row per vertex',
+        extension: 'csv',
+        suffix: '_vertices',
+        build: features => new Blob([buildAoiVertexCsv(features)], { type: 'text/csv' })
+    }
+];
+
+// One entry per AOI polygon with the measurement properties every format carries
+function getAoiExportFeatures(polygons) {
+    return polygons.map((polygon, index) => {
+        const area = getPolygonArea(polygon);
+        const centroid = calculateCentroid(polygon.points);
+        const bounds = calculateBoundingBox(polygon.points);
+        
+        return {
+            polygon,
+            properties: {
+                name: `Polygon ${index + 1}`,
+                area_km2: area,
+                area_ha: area * 100,
+                perim_km: getPolygonPerimeter(polygon),
+                cent_lat: centroid[0],
+                cent_lng: centroid[1],
+                min_lat: bounds.minLat,
+                min_lng: bounds.minLng,
+                max_lat: bounds.maxLat,
+                max_lng: bounds.maxLng,
+                holes: polygon.holes.length,
+                vertices: polygon.points.length
+            }
+        };
+    });
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Closed ring in [lat, lng] points, wound as the caller asks
+function getOrientedRing(points, clockwise) {
+    const ring = openRing(points).slice();
+    const isClockwise = planarRingArea(latLngsToPositions([...ring, ring[0]])) < 0;
+    if (isClockwise !== clockwise) ring.reverse();
+    ring.push(ring[0]);
+    return ring;
+}
+
+function buildAoiKML(features) {
+    const ringToKML = ring => latLngsToPositions(ring).map(position => position.join(',')).join(' ');
+    
+    const placemarks = features.map(({ polygon, properties }) => `
+    <Placemark>
+      <name>${escapeHtml(properties.name)}</name>
+      <description>${escapeHtml(`Area: ${formatArea(properties.area_km2)}, Perimeter: ${formatPerimeter(properties.perim_km)}`)}</description>
+      <styleUrl>#aoi</styleUrl>
+      <ExtendedData>
+${EXPORT_PROPERTY_FIELDS.map(field => `        <Data name="${field.key}"><value>${escapeHtml(properties[field.key])}</value></Data>`).join('\n')}
+      </ExtendedData>
+      <Polygon>
+        <outerBoundaryIs><LinearRing><coordinates>${ringToKML(getOrientedRing(polygon.points, false))}</coordinates></LinearRing></outerBoundaryIs>
+${polygon.holes.map(hole => `        <innerBoundaryIs><LinearRing><coordinates>${ringToKML(getOrientedRing(hole, true))}</coordinates></LinearRing></innerBoundaryIs>`).join('\n')}
+      </Polygon>
+    </Placemark>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>PF-FRA Area of Interest</name>
+    <Style id="aoi">
+      <LineStyle><color>ffe9a50e</color><width>3</width></LineStyle>
+      <PolyStyle><color>33e9a50e</color></PolyStyle>
+    </Style>${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function buildAoiGPX(features) {
+    const tracks = features.map(({ polygon, properties }) => {
+        const segments = [getOrientedRing(polygon.points, false), ...polygon.holes.map(hole => getOrientedRing(hole, true))]
+            .map(ring => `      <trkseg>
+${ring.map(point => `        <trkpt lat="${point[0]}" lon="${point[1]}"></trkpt>`).join('\n')}
+      </trkseg>`).join('\n');
+        
+        return `  <trk>
+    <name>${escapeHtml(properties.name)}</name>
+    <desc>${escapeHtml(`Area: ${formatArea(properties.area_km2)}, Perimeter: ${formatPerimeter(properties.perim_km)}`)}</desc>
+    <extensions>
+${EXPORT_PROPERTY_FIELDS.filter(field => field.key !== 'name').map(field => `      <aoi:${field.key}>${escapeHtml(properties[field.key])}</aoi:${field.key}>`).join('\n')}
+    </extensions>
+${segments}
+  </trk>`;
+    }).join('\n');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="PF-FRA AOI Tool" xmlns="http://www.topografix.com/GPX/1/1" xmlns:aoi="https://pf-fra.proforcegalaxies.com/xmlschemas/aoi/1">
+  <metadata>
+    <name>PF-FRA Area of Interest</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${tracks}
+</gpx>
+`;
+}
+
+function toWKTPolygon(polygon) {
+    const ringToWKT = ring => `(${latLngsToPositions(ring).map(position => position.join(' ')).join(', ')})`;
+    return `POLYGON (${[getOrientedRing(polygon.points, false), ...polygon.holes.map(hole => getOrientedRing(hole, true))].map(ringToWKT).join(', ')})`;
+}
+
+// Loads in QGIS/ArcGIS as delimited text with the WKT column as geometry
+function buildAoiWKTCsv(features) {
+    const header = ['WKT', ...EXPORT_PROPERTY_FIELDS.map(field => field.key)];
+    const rows = features.map(({ polygon, properties }) =>
+        [toWKTPolygon(polygon), ...EXPORT_PROPERTY_FIELDS.map(field => properties[field.key])].map(csvValue).join(','));
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+function buildAoiVertexCsv(features) {
+    const header = ['polygon', 'ring', 'vertex', 'latitude', 'longitude', ...EXPORT_PROPERTY_FIELDS.map(field => field.key)];
+    const rows = [];
+    
+    features.forEach(({ polygon, properties }, polygonIndex) => {
+        const propertyValues = EXPORT_PROPERTY_FIELDS.map(field => properties[field.key]);
+        [polygon.points, ...polygon.holes].forEach((ring, ringIndex) => {
+            ring.forEach((point, vertexIndex) => {
+                rows.push([
+                    polygonIndex + 1,
+                    ringIndex === 0 ? 'outer' : `hole ${ringIndex}`,
+                    vertexIndex + 1,
+                    point[0],
+                    point[1],
+                    ...propertyValues
+                ].map(csvValue).join(','));
+            });
+        });
+    });
+    
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+function buildAoiShapefileZip(features) {
+    if (typeof JSZip === 'undefined') {
+        return Promise.reject(new Error('Zip support failed to load. Please refresh the page and try again.'));
+    }
+    
+    const { shp, shx } = writeShp(features.map(({ polygon }) => [
+        getOrientedRing(polygon.points, true),
+        ...polygon.holes.map(hole => getOrientedRing(hole, false))
+    ]));
+    
+    const zip = new JSZip();
+    zip.file('aoi.shp', shp);
+    zip.file('aoi.shx', shx);
+    zip.file('aoi.dbf', writeDbf(features.map(feature => feature.properties), EXPORT_PROPERTY_FIELDS));
+    zip.file('aoi.prj', WGS84_PRJ);
+    zip.file('aoi.cpg', 'UTF-8');
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+}
+
+// Polygon shapefile (type 5) from rings of [lat, lng] points; outer rings must be
+// clockwise and holes counter-clockwise, all closed
+function writeShp(polygons) {
+    const records = polygons.map(rings => {
+        const points = rings.flat();
+        const contentLength = 44 + 4 * rings.length + 16 * points.length;
+        return { rings, points, contentLength, bounds: calculateBoundingBox(points) };
+    });
+    
+    const shpLength = 100 + records.reduce((sum, record) => sum + 8 + record.contentLength, 0);
+    const shxLength = 100 + 8 * records.length;
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(shxLength));
+    const allBounds = calculateBoundingBox(records.flatMap(record => record.points));
+    
+    [[shp, shpLength], [shx, shxLength]].forEach(([view, length]) => {
+        view.setInt32(0, 9994);
+        view.setInt32(24, length / 2);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, 5, true);
+        view.setFloat64(36, allBounds.minLng, true);
+        view.setFloat64(44, allBounds.minLat, true);
+        view.setFloat64(52, allBounds.maxLng, true);
+        view.setFloat64(60, allBounds.maxLat, true);
+    });
+    
+    let offset = 100;
+    records.forEach((record, index) => {
+        shx.setInt32(100 + index * 8, offset / 2);
+        shx.setInt32(104 + index * 8, record.contentLength / 2);
+        
+        shp.setInt32(offset, index + 1);
+        shp.setInt32(offset + 4, record.contentLength / 2);
+        
+        let pos = offset + 8;
+        shp.setInt32(pos, 5, true);
+        shp.setFloat64(pos + 4, record.bounds.minLng, true);
+        shp.setFloat64(pos + 12, record.bounds.minLat, true);
+        shp.setFloat64(pos + 20, record.bounds.maxLng, true);
+        shp.setFloat64(pos + 28, record.bounds.maxLat, true);
+        shp.setInt32(pos + 36, record.rings.length, true);
+        shp.setInt32(pos + 40, record.points.length, true);
+        pos += 44;
+        
+        let start = 0;
+        record.rings.forEach(ring => {
+            shp.setInt32(pos, start, true);
+            pos += 4;
+            start += ring.length;
+        });
+        record.points.forEach(point => {
+            shp.setFloat64(pos, point[1], true);
+            shp.setFloat64(pos + 8, point[0], true);
+            pos += 16;
+        });
+        
+        offset += 8 + record.contentLength;
+    });
+    
+    return { shp: shp.buffer, shx: shx.buffer };
 }
 
-function deleteArea(index) {
-    const savedAreas = JSON.parse(localStorage.getItem('savedAreas') || '[]');
-    const deletedArea = savedAreas.splice(index, 1)[0];
-    localStorage.setItem('savedAreas', JSON.stringify(savedAreas));
-    showNotification(`Area "${deletedArea.name}" deleted successfully!`, 'success');
+function writeDbf(rows, fields) {
+    const encoder = new TextEncoder();
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+    const bytes = new Uint8Array(headerLength + rows.length * recordLength + 1);
+    const view = new DataView(bytes.buffer);
+    const now = new Date();
+    
+    bytes[0] = 0x03;
+    bytes[1] = now.getFullYear() - 1900;
+    bytes[2] = now.getMonth() + 1;
+    bytes[3] = now.getDate();
+    view.setUint32(4, rows.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+    
+    fields.forEach((field, index) => {
+        const pos = 32 + index * 32;
+        bytes.set(encoder.encode(field.key.toUpperCase()).subarray(0, 10), pos);
+        bytes[pos + 11] = field.type.charCodeAt(0);
+        bytes[pos + 16] = field.length;
+        bytes[pos + 17] = field.decimals || 0;
+    });
+    bytes[headerLength - 1] = 0x0D;
+    
+    rows.forEach((row, rowIndex) => {
+        let pos = headerLength + rowIndex * recordLength;
+        bytes.fill(0x20, pos, pos + recordLength);
+        pos++;
+        
+        fields.forEach(field => {
+            const value = row[field.key];
+            let encoded;
+            if (field.type === 'N') {
+                const text = typeof value === 'number' && isFinite(value) ? value.toFixed(field.decimals || 0) : '';
+                encoded = encoder.encode(text.padStart(field.length).slice(-field.length));
+            } else {
+                encoded = encoder.encode(String(value === null || value === undefined ? '' : value)).subarray(0, field.length);
+            }
+            bytes.set(encoded, pos);
+            pos += field.length;
+        });
+    });
+    bytes[bytes.length - 1] = 0x1A;
+    
+    return bytes.buffer;
 }
 
-function showFileConversionHelp() {
+function showExportModal() {
+    const features = getAoiExportFeatures(getCompletePolygons());
+    const totalArea = features.reduce((sum, feature) => sum + feature.properties.area_km2, 0);
+    
     const modal = document.createElement('div');
-    modal.className = 'file-help-modal';
+    modal.className = 'export-modal';
     modal.innerHTML = `
         <div class="modal-overlay">
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3><i class="fas fa-info-circle"></i> File Format Help</h3>
-                    <button class="modal-close" onclick="this.closest('.file-help-modal').remove()">
+                    <h3><i class="fas fa-download"></i> Export AOI</h3>
+                    <button class="modal-close" onclick="this.closest('.export-modal').remove()">
                         <i class="fas fa-times"></i>
                     </button>
                 </div>
                 <div class="modal-body">
-                    <div class="help-section">
-                        <h4>Supported Formats</h4>
-                        <div class="format-list">
-                            <div class="format-item">
-                                <i class="fas fa-file-code"></i>
-                                <span>GeoJSON (.geojson, .json)</span>
-                            </div>
-                            <div class="format-item">
-                                <i class="fas fa-map"></i>
-                                <span>KML (.kml)</span>
-                            </div>
-                            <div class="format-item">
-                                <i class="fas fa-route"></i>
-                                <span>GPX (.gpx)</span>
-                            </div>
-                        </div>
+                    <div class="form-group">
+                        <label for="exportFileName">File Name</label>
+                        <input type="text" id="exportFileName" value="aoi_export_${new Date().toISOString().split('T')[0]}">
                     </div>
-                    
-                    <div class="help-section">
-                        <h4>Converting Shapefiles</h4>
-                        <p>To convert Shapefiles (.shp) to GeoJSON:</p>
-                        <div class="conversion-steps">
-                            <div class="step">
-                                <span class="step-number">1</span>
-                                <span>Visit <a href="https://mapshaper.org" target="_blank">mapshaper.org</a></span>
-                            </div>
-                            <div class="step">
-                                <span class="step-number">2</span>
-                                <span>Upload your .shp file (include .dbf and .shx files)</span>
-                            </div>
-                            <div class="step">
-                                <span class="step-number">3</span>
-                                <span>Click "Export" and select "GeoJSON"</span>
-                            </div>
-                            <div class="step">
-                                <span class="step-number">4</span>
-                                <span>Download and upload the .geojson file here</span>
-                            </div>
-                        </div>
+                    <div class="export-format-list">
+                        ${EXPORT_FORMATS.map((format, index) => `
+                            <label class="export-format-option">
+                                <input type="radio" name="exportFormat" value="${format.id}" ${index === 0 ? 'checked' : ''}>
+                                <span class="export-format-name">${format.label}</span>
+                                <span class="export-format-description">${format.description}</span>
+                            </label>
+                        `).join('')}
                     </div>
-                    
-                    <div class="help-section">
-                        <h4>Alternative Tools</h4>
-                        <ul class="tool-list">
-                            <li><a href="https://qgis.org" target="_blank">QGIS</a> - Free GIS software</li>
-                            <li><a href="https://geojson.io" target="_blank">GeoJSON.io</a> - Online GeoJSON editor</li>
-                            <li><a href="https://ogr2ogr.com" target="_blank">OGR2OGR</a> - Command line converter</li>
-                        </ul>
+                    <div class="area-preview">
+                        <div class="preview-item">
+                            <span class="preview-label">Polygons:</span>
+                            <span class="preview-value">${features.length}</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Total Area:</span>
+                            <span class="preview-value">${formatArea(totalArea)}</span>
+                        </div>
+                        <div class="preview-item">
+                            <span class="preview-label">Attributes:</span>
+                            <span class="preview-value">${EXPORT_PROPERTY_FIELDS.map(field => field.key).join(', ')}</span>
+                        </div>
                     </div>
                 </div>
                 <div class="modal-actions">
-                    <button class="btn-primary" onclick="this.closest('.file-help-modal').remove()">
-                        <i class="fas fa-check"></i>
-                        <span>Got it!</span>
+                    <button class="btn-primary" id="confirmExport">
+                        <i class="fas fa-download"></i>
+                        <span>Export</span>
+                    </button>
+                    <button class="btn-secondary" onclick="this.closest('.export-modal').remove()">
+                        <i class="fas fa-times"></i>
+                        <span>Cancel</span>
                     </button>
                 </div>
             </div>
         </div>
     `;
     
-    modal.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        z-index: 3000;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        animation: fadeIn 0.3s ease;
-    `;
-    
     document.body.appendChild(modal);
-}
-
-function loadAreaData(areaData) {
-    // Clear current drawing
-    clearMap();
-    
-    // Load the area
-    polygonPoints = areaData.coordinates;
-    
-    // Recreate the polygon
-    currentPolygon = L.polygon(polygonPoints, {
-        color: '#0ea5e9',
-        fillColor: '#0ea5e9',
-        fillOpacity: 0.2,
-        weight: 3,
-        opacity: 0.8
-    }).addTo(drawnItems);
     
-    // Add markers for each point
-    polygonPoints.forEach((point, index) => {
-        L.marker(point, {
-            icon: L.divIcon({
-                className: 'custom-marker',
-                html: `<div style="
-                    background: var(--primary-500);
-                    color: white;
-                    border-radius: 50%;
-                    width: 24px;
-                    height: 24px;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    font-size: 12px;
-                    font-weight: bold;
-                    border: 2px solid white;
-                    box-shadow: var(--shadow-lg);
-                ">${index + 1}</div>`,
-                iconSize: [24, 24],
-                iconAnchor: [12, 12]
+    modal.querySelector('#confirmExport').addEventListener('click', () => {
+        const formatId = modal.querySelector('input[name="exportFormat"]:checked').value;
+        const format = EXPORT_FORMATS.find(candidate => candidate.id === formatId);
+        const baseName = modal.querySelector('#exportFileName').value.trim().replace(/[\\/:*?"<>|]+/g, '_') || 'aoi_export';
+        const fileName = `${baseName}${format.suffix || ''}.${format.extension}`;
+        
+        Promise.resolve()
+            .then(() => format.build(features))
+            .then(blob => {
+                downloadBlob(blob, fileName);
+                modal.remove();
+                showNotification(`Exported ${features.length} polygon${features.length === 1 ? '' : 's'} as ${format.label}`, 'success');
             })
-        }).addTo(drawnItems);
+            .catch(error => {
+                console.error('Export failed:', error);
+                showNotification(`Export failed: ${error.message}`, 'error');
+            });
     });
-    
-    // Update info display
-    updateAreaInfo(areaData.area, areaData.perimeter, areaData.coordinates);
-    
-    // Fit map to the area
-    if (currentPolygon) {
-        map.fitBounds(currentPolygon.getBounds(), {padding: [20, 20]});
-    }
-    
-    // Show analysis panel
-    showAnalysisPanel();
-    
-    showNotification(`Area "${areaData.name}" loaded successfully!`, 'success');
-}
-
-function exportData() {
-    if (polygonPoints.length < 3) {
-        showNotification('Please draw an area first to export data.', 'warning');
-        return;
-    }
-    
-    const area = calculatePolygonArea(polygonPoints);
-    const perimeter = calculatePolygonPerimeter(polygonPoints);
-    const centroid = calculateCentroid(polygonPoints);
-    const bbox = calculateBoundingBox(polygonPoints);
-    const aspectRatio = calculateAspectRatio(polygonPoints);
-    
-    const exportData = {
-        coordinates: polygonPoints,
-        measurements: {
-            area: {
-                km2: area,
-                hectares: area * 100,
-                m2: area * 1000000
-            },
-            perimeter: {
-                km: perimeter,
-                meters: perimeter * 1000
-            },
-            centroid: centroid,
-            boundingBox: bbox,
-            aspectRatio: aspectRatio,
-            pointCount: polygonPoints.length
-        },
-        bounds: currentPolygon ? currentPolygon.getBounds() : null,
-        timestamp: new Date().toISOString(),
-        format: 'GeoJSON'
-    };
-    
-    // Create and download JSON file
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], {type: 'application/json'});
-    const url = URL.createObjectURL(dataBlob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `aoi_export_${new Date().toISOString().split('T')[0]}.json`;
-    link.click();
-    
-    URL.revokeObjectURL(url);
-    showNotification('Data exported successfully!', 'success');
 }
 
 function changeBaseLayer(e) {
@@ -2249,715 +7381,1719 @@ function createProgressBar() {
     status.textContent = 'Processing files...';
     status.style.display = 'block';
     
-    progressContainer.appendChild(progressBar);
-    progressContainer.appendChild(status);
+    progressContainer.appendChild(progressBar);
+    progressContainer.appendChild(status);
+    
+    return progressContainer;
+}
+
+function updateProgress(progressContainer, percentage) {
+    const progressBar = progressContainer.querySelector('.upload-progress-bar');
+    const status = progressContainer.querySelector('.upload-status');
+    
+    progressBar.style.width = percentage + '%';
+    status.textContent = `Processing... ${Math.round(percentage)}%`;
+}
+
+function processFile(file, callback) {
+    const fileName = file.name.toLowerCase();
+    const fileExtension = fileName.split('.').pop();
+    
+    // Shapefiles and KMZ archives are binary and parsed asynchronously
+    const binaryParsers = {
+        zip: () => file.arrayBuffer().then(parseShapefileZip),
+        shp: () => parseShapefileParts({ shp: file }),
+        kmz: () => file.arrayBuffer().then(parseKMZ)
+    };
+    
+    if (binaryParsers[fileExtension]) {
+        binaryParsers[fileExtension]()
+            .then(data => {
+                if (!data) throw new Error('No polygon or line features were found');
+                callback(true, data);
+            })
+            .catch(error => {
+                console.error('Error processing file:', error);
+                showNotification(`Error processing ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`, 'error');
+                callback(false, null);
+            });
+        return;
+    }
+    
+    const reader = new FileReader();
+    
+    reader.onload = function(e) {
+        try {
+            let data;
+            
+            switch(fileExtension) {
+                case 'kml':
+                    data = parseKML(e.target.result);
+                    break;
+                case 'geojson':
+                case 'json':
+                    data = reprojectGeoJSONFromCRS(JSON.parse(e.target.result));
+                    break;
+                case 'gpx':
+                    data = parseGPX(e.target.result);
+                    break;
+                default:
+                    showNotification(`Unsupported file format: ${escapeHtml(fileExtension)}`, 'error');
+                    callback(false, null);
+                    return;
+            }
+            
+            if (data) {
+                callback(true, data);
+            } else {
+                callback(false, null);
+            }
+        } catch (error) {
+            console.error('Error processing file:', error);
+            console.error('File content preview:', e.target.result.substring(0, 200));
+            showNotification(`Error processing ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`, 'error');
+            callback(false, null);
+        }
+    };
+    
+    reader.onerror = function() {
+        showNotification(`Error reading ${escapeHtml(file.name)}`, 'error');
+        callback(false, null);
+    };
+    
+    reader.readAsText(file);
+}
+
+// KML reader: every Placemark becomes its own feature with its name, description,
+// folder path and ExtendedData, as GeoJSON with [lng, lat] positions.
+function parseKML(kmlText) {
+    const parser = new DOMParser();
+    const kmlDoc = parser.parseFromString(kmlText, 'text/xml');
+    
+    // Check for parsing errors
+    const parseError = kmlDoc.querySelector('parsererror');
+    if (parseError) {
+        console.error('KML parsing error:', parseError.textContent);
+        return null;
+    }
+    
+    const features = [];
+    const walk = (node, folders) => {
+        Array.from(node.children).forEach(child => {
+            if (child.localName === 'Folder' || child.localName === 'Document') {
+                const name = getKMLChildText(child, 'name');
+                walk(child, child.localName === 'Folder' && name ? [...folders, name] : folders);
+            } else if (child.localName === 'Placemark') {
+                const feature = parseKMLPlacemark(child, folders);
+                if (feature) features.push(feature);
+            }
+        });
+    };
+    walk(kmlDoc.documentElement, []);
+    
+    if (features.length === 0) return null;
+    return { type: 'FeatureCollection', features, fields: collectFeatureFields(features) };
+}
+
+function getKMLChildText(node, localName) {
+    const child = Array.from(node.children).find(element => element.localName === localName);
+    return child ? child.textContent.trim() : '';
+}
+
+// "lng,lat[,alt] lng,lat[,alt] ..." -> [[lng, lat], ...]
+function parseKMLCoordinates(text) {
+    return text.trim()
+        .replace(/\s*,\s*/g, ',')
+        .split(/\s+/)
+        .map(tuple => tuple.split(',').map(parseFloat))
+        .filter(parts => parts.length >= 2 && !isNaN(parts[0]) && !isNaN(parts[1]))
+        .map(parts => [parts[0], parts[1]]);
+}
+
+function parseKMLPlacemark(placemark, folders) {
+    const polygons = Array.from(placemark.querySelectorAll('Polygon')).map(polygon => {
+        const outer = polygon.querySelector('outerBoundaryIs coordinates');
+        const holes = Array.from(polygon.querySelectorAll('innerBoundaryIs coordinates'))
+            .map(inner => parseKMLCoordinates(inner.textContent))
+            .filter(hole => hole.length >= 3);
+        return outer ? [parseKMLCoordinates(outer.textContent), ...holes] : null;
+    }).filter(rings => rings && rings[0].length >= 3);
+    
+    const lines = Array.from(placemark.querySelectorAll('LineString coordinates'))
+        .map(coordinates => parseKMLCoordinates(coordinates.textContent))
+        .filter(line => line.length >= 2);
+    const points = Array.from(placemark.querySelectorAll('Point coordinates'))
+        .map(coordinates => parseKMLCoordinates(coordinates.textContent)[0])
+        .filter(Boolean);
+    
+    // A MultiGeometry keeps all of its parts; lines and points go on to the buffer tool
+    const geometries = [];
+    if (polygons.length > 0) {
+        geometries.push(polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons });
+    }
+    if (lines.length > 0) {
+        geometries.push(lines.length === 1
+            ? { type: 'LineString', coordinates: lines[0] }
+            : { type: 'MultiLineString', coordinates: lines });
+    }
+    if (points.length > 0) {
+        geometries.push(points.length === 1
+            ? { type: 'Point', coordinates: points[0] }
+            : { type: 'MultiPoint', coordinates: points });
+    }
+    
+    if (geometries.length === 0) return null;
+    const geometry = geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries };
+    
+    const properties = {};
+    const name = getKMLChildText(placemark, 'name');
+    const description = getKMLChildText(placemark, 'description');
+    if (name) properties.name = name;
+    if (description) properties.description = description;
+    if (folders.length > 0) properties.folder = folders.join(' / ');
+    
+    placemark.querySelectorAll('ExtendedData Data').forEach(data => {
+        const value = data.querySelector('value');
+        properties[data.getAttribute('name')] = value ? value.textContent.trim() : '';
+    });
+    placemark.querySelectorAll('ExtendedData SimpleData').forEach(data => {
+        properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+    
+    return { type: 'Feature', properties, geometry };
+}
+
+// KMZ is a zip holding doc.kml (or another .kml) plus its images
+function parseKMZ(buffer) {
+    if (typeof JSZip === 'undefined') {
+        return Promise.reject(new Error('Zip support failed to load. Please refresh the page and try again.'));
+    }
+    
+    return JSZip.loadAsync(buffer).then(zip => {
+        const names = Object.keys(zip.files).filter(name => !zip.files[name].dir && name.toLowerCase().endsWith('.kml'));
+        const kmlName = names.find(name => name.toLowerCase() === 'doc.kml') || names[0];
+        if (!kmlName) {
+            throw new Error('No .kml document was found in the KMZ archive');
+        }
+        return zip.file(kmlName).async('string');
+    }).then(parseKML);
+}
+
+// Track segments and routes become lines and waypoints become points; neither
+// encloses an area, so the upload goes on to the buffer tool
+function parseGPX(gpxText) {
+    const parser = new DOMParser();
+    const gpxDoc = parser.parseFromString(gpxText, 'text/xml');
+    
+    const toPositions = points => Array.from(points)
+        .map(point => [parseFloat(point.getAttribute('lon')), parseFloat(point.getAttribute('lat'))]) // GeoJSON position order
+        .filter(position => !isNaN(position[0]) && !isNaN(position[1]));
+    
+    const lines = Array.from(gpxDoc.querySelectorAll('trkseg, rte'))
+        .map(line => toPositions(line.querySelectorAll('trkpt, rtept')))
+        .filter(line => line.length > 0);
+    const waypoints = toPositions(gpxDoc.querySelectorAll('wpt'));
+    
+    const geometries = [];
+    lines.forEach(line => geometries.push(line.length > 1
+        ? { type: 'LineString', coordinates: line }
+        : { type: 'Point', coordinates: line[0] }));
+    if (waypoints.length > 0) {
+        geometries.push({ type: 'MultiPoint', coordinates: waypoints });
+    }
+    
+    if (geometries.length === 0) return null;
+    return geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries };
+}
+
+// Coordinate reference systems. A CRS converts between its own coordinates
+// ([easting, northing] in metres, or [lng, lat] in degrees) and WGS84 [lat, lng].
+const ELLIPSOIDS = {
+    wgs84: { a: WGS84.a, f: WGS84.f },
+    clarke1880rgs: { a: 6378249.145, f: 1 / 293.465 }
+};
+
+// towgs84 is a Helmert transform as in a WKT TOWGS84 clause. No published
+// seven-parameter set covers all of Nigeria, so Minna uses the three-parameter
+// mean shift from NIMA TR8350.2 (EPSG:1167). The note is shown in the CRS picker.
+const DATUMS = {
+    wgs84: { ellipsoid: ELLIPSOIDS.wgs84, towgs84: null },
+    minna: {
+        ellipsoid: ELLIPSOIDS.clarke1880rgs,
+        towgs84: [-92, -93, 122],
+        note: 'Minna is shifted to WGS 84 with the three-parameter NIMA TR8350.2 mean for Nigeria (±3 m, ±6 m, ±5 m per axis), not a seven-parameter Helmert transform. Expect errors of several metres.'
+    }
+};
+
+const WGS84_DATUM_NAMES = ['wgs_1984', 'wgs84', 'world_geodetic_system_1984', 'd_wgs_1984', 'itrf', 'etrs', 'grs_1980', 'nad_1983'];
+
+function utmZoneProjection(zone) {
+    return {
+        method: 'transverse_mercator',
+        centralMeridian: zone * 6 - 183,
+        latitudeOfOrigin: 0,
+        scaleFactor: 0.9996,
+        falseEasting: 500000,
+        falseNorthing: 0
+    };
+}
+
+function nigeriaBeltProjection(centralMeridian, falseEasting) {
+    return {
+        method: 'transverse_mercator',
+        centralMeridian,
+        latitudeOfOrigin: 4,
+        scaleFactor: 0.99975,
+        falseEasting,
+        falseNorthing: 0
+    };
+}
+
+// Supported CRSs. extent is the EPSG area of use as [south, west, north, east];
+// aliases are the names ESRI and other tools write into .prj files.
+const CRS_REGISTRY = [
+    {
+        code: 'EPSG:4326',
+        name: 'WGS 84',
+        datum: 'wgs84',
+        extent: [-90, -180, 90, 180],
+        aliases: ['GCS_WGS_1984', 'WGS84', 'CRS84']
+    },
+    {
+        code: 'EPSG:4263',
+        name: 'Minna',
+        datum: 'minna',
+        extent: [1.92, 2.66, 13.9, 14.65],
+        aliases: ['GCS_Minna']
+    },
+    {
+        code: 'EPSG:32631',
+        name: 'WGS 84 / UTM zone 31N',
+        datum: 'wgs84',
+        projection: utmZoneProjection(31),
+        extent: [0, 0, 84, 6],
+        aliases: ['WGS_1984_UTM_Zone_31N']
+    },
+    {
+        code: 'EPSG:32632',
+        name: 'WGS 84 / UTM zone 32N',
+        datum: 'wgs84',
+        projection: utmZoneProjection(32),
+        extent: [0, 6, 84, 12],
+        aliases: ['WGS_1984_UTM_Zone_32N']
+    },
+    {
+        code: 'EPSG:32633',
+        name: 'WGS 84 / UTM zone 33N',
+        datum: 'wgs84',
+        projection: utmZoneProjection(33),
+        extent: [0, 12, 84, 18],
+        aliases: ['WGS_1984_UTM_Zone_33N']
+    },
+    {
+        code: 'EPSG:26331',
+        name: 'Minna / UTM zone 31N',
+        datum: 'minna',
+        projection: utmZoneProjection(31),
+        extent: [3.57, 2.69, 13.9, 6],
+        aliases: ['Minna_UTM_Zone_31N']
+    },
+    {
+        code: 'EPSG:26332',
+        name: 'Minna / UTM zone 32N',
+        datum: 'minna',
+        projection: utmZoneProjection(32),
+        extent: [3.57, 6, 13.9, 12],
+        aliases: ['Minna_UTM_Zone_32N']
+    },
+    {
+        code: 'EPSG:26391',
+        name: 'Minna / Nigeria West Belt',
+        datum: 'minna',
+        projection: nigeriaBeltProjection(4.5, 230738.26),
+        extent: [3.57, 2.69, 13.9, 6.5],
+        aliases: ['Minna_Nigeria_West_Belt']
+    },
+    {
+        code: 'EPSG:26392',
+        name: 'Minna / Nigeria Mid Belt',
+        datum: 'minna',
+        projection: nigeriaBeltProjection(8.5, 670553.98),
+        extent: [3.57, 6.5, 13.53, 10.51],
+        aliases: ['Minna_Nigeria_Mid_Belt']
+    },
+    {
+        code: 'EPSG:26393',
+        name: 'Minna / Nigeria East Belt',
+        datum: 'minna',
+        projection: nigeriaBeltProjection(12.5, 1110369.7),
+        extent: [6.43, 10.49, 13.72, 14.65],
+        aliases: ['Minna_Nigeria_East_Belt']
+    },
+    {
+        code: 'EPSG:3857',
+        name: 'WGS 84 / Pseudo-Mercator',
+        datum: 'wgs84',
+        projection: {
+            method: 'mercator',
+            spherical: true,
+            centralMeridian: 0,
+            latitudeOfOrigin: 0,
+            scaleFactor: 1,
+            falseEasting: 0,
+            falseNorthing: 0
+        },
+        extent: [-85.06, -180, 85.06, 180],
+        aliases: ['WGS_1984_Web_Mercator_Auxiliary_Sphere', 'WGS_84_Pseudo_Mercator', 'EPSG:900913']
+    }
+];
+
+// Accepts "EPSG:32632", "32632", OGC URNs/URLs and CRS84; returns "EPSG:<n>" or null
+function normalizeCRSCode(value) {
+    const text = String(value || '').trim();
+    if (/crs:?84$/i.test(text)) return 'EPSG:4326';
+    
+    const match = /^(?:epsg:+|urn:ogc:def:crs:epsg:[\d.]*:|https?:\/\/www\.opengis\.net\/def\/crs\/epsg\/[\d.]+\/)?(\d+)$/i.exec(text);
+    if (!match) return null;
+    return match[1] === '900913' ? 'EPSG:3857' : `EPSG:${match[1]}`;
+}
+
+function crsNameKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function getCRSDefinition(codeOrName) {
+    const code = normalizeCRSCode(codeOrName);
+    if (code) return CRS_REGISTRY.find(definition => definition.code === code) || null;
+    
+    const key = crsNameKey(codeOrName);
+    return CRS_REGISTRY.find(definition =>
+        crsNameKey(definition.name) === key || definition.aliases.some(alias => crsNameKey(alias) === key)
+    ) || null;
+}
+
+// Resolves an EPSG code, a CRS name or the WKT text of a .prj file
+function resolveCRS(input) {
+    if (/[[(]/.test(input)) return createCRSFromPrj(input);
+    
+    const definition = getCRSDefinition(input);
+    if (!definition) {
+        throw new Error(`Unsupported coordinate reference system: ${input}`);
+    }
+    return createCRS(definition);
+}
+
+// Builds { code, name, extent, toWGS84([x, y]) -> [lat, lng], fromWGS84([lat, lng]) -> [x, y] }
+function createCRS(definition) {
+    const datum = DATUMS[definition.datum] || DATUMS.wgs84;
+    const ellipsoid = definition.ellipsoid || datum.ellipsoid;
+    const towgs84 = definition.towgs84 !== undefined ? definition.towgs84 : datum.towgs84;
+    const datumTransform = createDatumTransform(towgs84, ellipsoid, definition.helmertConvention);
+    const projection = definition.projection;
+    const unit = definition.unit || 1;
+    const primeMeridian = definition.primeMeridian || 0;
+    
+    let inverse, forward;
+    if (!projection) {
+        inverse = (x, y) => [y, x + primeMeridian];
+        forward = (lat, lng) => [lng - primeMeridian, lat];
+    } else if (projection.method === 'transverse_mercator') {
+        inverse = (x, y) => transverseMercatorInverse(x * unit, y * unit, ellipsoid, projection);
+        forward = (lat, lng) => transverseMercatorForward(lat, lng, ellipsoid, projection).map(value => value / unit);
+    } else if (projection.method === 'mercator') {
+        const mercatorEllipsoid = projection.spherical ? { a: ellipsoid.a, f: 0 } : ellipsoid;
+        inverse = (x, y) => mercatorInverse(x * unit, y * unit, mercatorEllipsoid, projection);
+        forward = (lat, lng) => mercatorForward(lat, lng, mercatorEllipsoid, projection).map(value => value / unit);
+    } else {
+        throw new Error(`Unsupported projection: ${projection.method}`);
+    }
+    
+    return {
+        code: definition.code || null,
+        name: definition.name,
+        extent: definition.extent || null,
+        datumNote: datum.note || null,
+        isGeographic: !projection,
+        toWGS84: point => {
+            const [lat, lng] = inverse(point[0], point[1]);
+            return datumTransform.toWGS84(lat, lng);
+        },
+        fromWGS84: latLng => {
+            const [lat, lng] = datumTransform.fromWGS84(latLng[0], latLng[1]);
+            return forward(lat, lng);
+        }
+    };
+}
+
+function isInsideCRSExtent(latLng, extent, margin = 0) {
+    const [south, west, north, east] = extent;
+    return latLng[0] >= south - margin && latLng[0] <= north + margin &&
+        latLng[1] >= west - margin && latLng[1] <= east + margin;
+}
+
+// Transverse Mercator CRSs whose inverse puts every sampled point inside their
+// area of use; positions are [easting, northing]. Web Mercator is left out as it
+// covers the whole world and so matches any pair of metre values.
+function findCandidateProjectedCRS(positions) {
+    const step = Math.max(1, Math.ceil(positions.length / 20));
+    const samples = positions.filter((_, index) => index % step === 0);
+    
+    return CRS_REGISTRY
+        .filter(definition => definition.projection && definition.projection.method === 'transverse_mercator')
+        .map(createCRS)
+        .filter(crs => samples.every(point => {
+            const latLng = crs.toWGS84(point);
+            return latLng.every(Number.isFinite) && isInsideCRSExtent(latLng, crs.extent, 0.1);
+        }));
+}
+
+// Every position of a GeoJSON object, in file order
+function getGeoJSONPositions(geojson) {
+    const positions = [];
+    const collect = coordinates => {
+        if (typeof coordinates[0] === 'number') {
+            positions.push(coordinates);
+        } else {
+            coordinates.forEach(collect);
+        }
+    };
+    const visit = node => {
+        if (!node) return;
+        if (node.type === 'FeatureCollection') {
+            node.features.forEach(visit);
+        } else if (node.type === 'Feature') {
+            visit(node.geometry);
+        } else if (node.type === 'GeometryCollection') {
+            node.geometries.forEach(visit);
+        } else if (Array.isArray(node.coordinates) && node.coordinates.length > 0) {
+            collect(node.coordinates);
+        }
+    };
+    
+    visit(geojson);
+    return positions;
+}
+
+function isValidLngLat(position) {
+    return Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+        Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+}
+
+// Reprojects every position of a GeoJSON object in place; fn maps [x, y] to [lng, lat]
+function reprojectGeoJSONPositions(geojson, fn) {
+    if (!geojson) return;
     
-    return progressContainer;
+    const mapPositions = coordinates => typeof coordinates[0] === 'number'
+        ? fn(coordinates).concat(coordinates.slice(2))
+        : coordinates.map(mapPositions);
+    
+    if (geojson.type === 'FeatureCollection') {
+        geojson.features.forEach(feature => reprojectGeoJSONPositions(feature, fn));
+    } else if (geojson.type === 'Feature') {
+        reprojectGeoJSONPositions(geojson.geometry, fn);
+    } else if (geojson.type === 'GeometryCollection') {
+        geojson.geometries.forEach(geometry => reprojectGeoJSONPositions(geometry, fn));
+    } else if (Array.isArray(geojson.coordinates)) {
+        geojson.coordinates = mapPositions(geojson.coordinates);
+    }
 }
 
-function updateProgress(progressContainer, percentage) {
-    const progressBar = progressContainer.querySelector('.upload-progress-bar');
-    const status = progressContainer.querySelector('.upload-status');
+// GeoJSON written before RFC 7946 may name its CRS in a "crs" member; such files
+// are converted to WGS84 and the member replaced by the CRS name for display
+function reprojectGeoJSONFromCRS(data) {
+    const name = data && data.crs && data.crs.properties && data.crs.properties.name;
+    if (!name) return data;
     
-    progressBar.style.width = percentage + '%';
-    status.textContent = `Processing... ${Math.round(percentage)}%`;
+    const crs = resolveCRS(name);
+    if (crs.code !== 'EPSG:4326') {
+        reprojectGeoJSONPositions(data, position => crs.toWGS84(position).reverse());
+        showNotification(`Coordinates were converted from ${crs.name} to WGS84`, 'success');
+    }
+    data.crs = crs.name;
+    return data;
 }
 
-function processFile(file, callback) {
-    const fileName = file.name.toLowerCase();
-    const fileExtension = fileName.split('.').pop();
+// Minimal WKT1 reader for .prj files: KEYWORD["name", value, CHILD[...], ...]
+function parseWKT(text) {
+    let pos = 0;
     
-    const reader = new FileReader();
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
     
-    reader.onload = function(e) {
-        try {
-            let data;
-            
-            switch(fileExtension) {
-                case 'kml':
-                    data = parseKML(e.target.result);
-                    break;
-                case 'geojson':
-                case 'json':
-                    data = JSON.parse(e.target.result);
-                    break;
-                case 'gpx':
-                    data = parseGPX(e.target.result);
-                    break;
-                case 'shp':
-                case 'zip':
-                    // For shapefiles, we'd need a library like shpjs
-                    showNotification('Shapefile support requires additional processing. Please convert to GeoJSON first.', 'warning');
-                    showFileConversionHelp();
-                    callback(false, null);
-                    return;
-                default:
-                    showNotification(`Unsupported file format: ${fileExtension}`, 'error');
-                    callback(false, null);
-                    return;
+    const parseNode = () => {
+        skipSpace();
+        const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(pos));
+        if (!match) throw new Error('Invalid .prj file');
+        pos += match[0].length;
+        skipSpace();
+        
+        const node = { keyword: match[0].toUpperCase(), values: [] };
+        if (text[pos] !== '[' && text[pos] !== '(') return node;
+        const close = text[pos] === '[' ? ']' : ')';
+        pos++;
+        
+        while (pos < text.length) {
+            skipSpace();
+            const char = text[pos];
+            if (char === close) {
+                pos++;
+                return node;
             }
-            
-            if (data) {
-                callback(true, data);
+            if (char === ',') {
+                pos++;
+            } else if (char === '"') {
+                const end = text.indexOf('"', pos + 1);
+                node.values.push(text.slice(pos + 1, end));
+                pos = end + 1;
+            } else if (/[-+.\d]/.test(char)) {
+                const number = /^[-+]?[\d.]+(?:[eE][-+]?\d+)?/.exec(text.slice(pos))[0];
+                node.values.push(parseFloat(number));
+                pos += number.length;
             } else {
-                callback(false, null);
+                node.values.push(parseNode());
             }
-        } catch (error) {
-            console.error('Error processing file:', error);
-            console.error('File content preview:', e.target.result.substring(0, 200));
-            showNotification(`Error processing ${file.name}: ${error.message}`, 'error');
-            callback(false, null);
         }
+        
+        throw new Error('Invalid .prj file');
     };
     
-    reader.onerror = function() {
-        showNotification(`Error reading ${file.name}`, 'error');
-        callback(false, null);
-    };
-    
-    reader.readAsText(file);
+    return parseNode();
 }
 
-function parseKML(kmlText) {
-    // Simple KML parser - in production, use a proper KML library
-    const parser = new DOMParser();
-    const kmlDoc = parser.parseFromString(kmlText, 'text/xml');
+function findWKTChild(node, keyword) {
+    return node.values.find(value => value && value.keyword === keyword) || null;
+}
+
+function normalizeWKTName(name) {
+    return String(name || '').toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Builds the CRS described by a .prj file. Known EPSG codes and names use the
+// registry definition; anything else is read from the WKT parameters.
+function createCRSFromPrj(wkt) {
+    const root = parseWKT(wkt);
+    const geogcs = root.keyword === 'GEOGCS' ? root : findWKTChild(root, 'GEOGCS');
+    if (!geogcs || (root.keyword !== 'GEOGCS' && root.keyword !== 'PROJCS')) {
+        throw new Error(`Unsupported coordinate system in .prj: ${root.keyword}`);
+    }
+    
+    const datum = findWKTChild(geogcs, 'DATUM');
+    const towgs84Node = datum && findWKTChild(datum, 'TOWGS84');
+    const towgs84 = towgs84Node ? towgs84Node.values.slice(0, 7) : undefined;
+    
+    const authority = findWKTChild(root, 'AUTHORITY');
+    const known = (authority && /^epsg$/i.test(authority.values[0]) && getCRSDefinition(String(authority.values[1]))) ||
+        getCRSDefinition(root.values[0]);
+    if (known) {
+        return createCRS(towgs84 ? Object.assign({}, known, { towgs84 }) : known);
+    }
+    
+    const spheroid = datum && findWKTChild(datum, 'SPHEROID');
+    const primem = findWKTChild(geogcs, 'PRIMEM');
+    const ellipsoid = spheroid
+        ? { a: spheroid.values[1], f: spheroid.values[2] ? 1 / spheroid.values[2] : 0 }
+        : ELLIPSOIDS.wgs84;
+    const primeMeridian = primem ? primem.values[1] || 0 : 0;
+    const definition = {
+        name: root.values[0],
+        ellipsoid,
+        towgs84: towgs84 || findDatumShift(datum),
+        primeMeridian
+    };
     
-    // Check for parsing errors
-    const parseError = kmlDoc.querySelector('parsererror');
-    if (parseError) {
-        console.error('KML parsing error:', parseError.textContent);
-        return null;
+    if (root.keyword === 'GEOGCS') {
+        return createCRS(definition);
     }
     
-    const coordinates = [];
-    const placemarks = kmlDoc.querySelectorAll('Placemark');
-    
-    placemarks.forEach(placemark => {
-        // Try to find polygon first
-        let polygon = placemark.querySelector('Polygon');
-        if (polygon) {
-            const coordText = polygon.querySelector('coordinates');
-            if (coordText) {
-                const coordPairs = coordText.textContent.trim().split(/\s+/);
-                
-                coordPairs.forEach(pair => {
-                    const parts = pair.split(',');
-                    if (parts.length >= 2) {
-                        const lng = parseFloat(parts[0]); // KML: longitude first
-                        const lat = parseFloat(parts[1]); // KML: latitude second
-                        if (!isNaN(lat) && !isNaN(lng)) {
-                            coordinates.push([lat, lng]); // Leaflet expects [lat, lng]
-                        }
-                    }
-                });
-            }
-        } else {
-            // Try to find LineString
-            const lineString = placemark.querySelector('LineString');
-            if (lineString) {
-                const coordText = lineString.querySelector('coordinates');
-                if (coordText) {
-                    const coordPairs = coordText.textContent.trim().split(/\s+/);
-                    
-                    coordPairs.forEach(pair => {
-                        const parts = pair.split(',');
-                        if (parts.length >= 2) {
-                            const lng = parseFloat(parts[0]); // KML: longitude first
-                            const lat = parseFloat(parts[1]); // KML: latitude second
-                            if (!isNaN(lat) && !isNaN(lng)) {
-                                coordinates.push([lat, lng]); // Leaflet expects [lat, lng]
-                            }
-                        }
-                    });
-                }
-            }
-        }
-    });
+    const projectionNode = findWKTChild(root, 'PROJECTION');
+    const projectionName = normalizeWKTName(projectionNode && projectionNode.values[0]);
+    const unit = findWKTChild(root, 'UNIT');
+    const metres = unit ? unit.values[1] : 1;
     
-    if (coordinates.length > 0) {
-        // Return as Polygon if we have enough points, otherwise as LineString
-        if (coordinates.length >= 3) {
-            return { type: 'Polygon', coordinates: [coordinates] };
-        } else {
-            return { type: 'LineString', coordinates: coordinates };
-        }
+    const params = {};
+    root.values
+        .filter(value => value && value.keyword === 'PARAMETER')
+        .forEach(param => { params[normalizeWKTName(param.values[0])] = param.values[1]; });
+    
+    const projection = {
+        falseEasting: (params.false_easting || 0) * metres,
+        falseNorthing: (params.false_northing || 0) * metres,
+        centralMeridian: (params.central_meridian !== undefined ? params.central_meridian : params.longitude_of_center || 0) + primeMeridian,
+        latitudeOfOrigin: params.latitude_of_origin || params.latitude_of_center || 0,
+        scaleFactor: params.scale_factor !== undefined ? params.scale_factor : 1,
+        standardParallel: params.standard_parallel_1
+    };
+    
+    if (projectionName === 'transverse_mercator' || projectionName === 'gauss_kruger') {
+        projection.method = 'transverse_mercator';
+    } else if (projectionName === 'mercator_auxiliary_sphere' || projectionName === 'popular_visualisation_pseudo_mercator') {
+        projection.method = 'mercator';
+        projection.spherical = true;
+    } else if (projectionName.startsWith('mercator')) {
+        projection.method = 'mercator';
+    } else {
+        throw new Error(`Unsupported projection in .prj: ${projectionNode ? projectionNode.values[0] : 'unknown'}. Please reproject the shapefile to WGS84 or UTM.`);
     }
     
-    return null;
+    return createCRS(Object.assign(definition, { projection, unit: metres }));
 }
 
-function parseGPX(gpxText) {
-    // Simple GPX parser - in production, use a proper GPX library
-    const parser = new DOMParser();
-    const gpxDoc = parser.parseFromString(gpxText, 'text/xml');
+// Shift for a .prj datum without a TOWGS84 clause, or null when it is (close enough to) WGS84
+function findDatumShift(datum) {
+    const name = normalizeWKTName(datum && datum.values[0]).replace(/^d_/, '');
+    const known = Object.keys(DATUMS).find(key => DATUMS[key].towgs84 && name.includes(key));
+    if (known) return DATUMS[known].towgs84;
     
-    const coordinates = [];
-    const trackPoints = gpxDoc.querySelectorAll('trkpt, wpt, rtept');
+    if (!WGS84_DATUM_NAMES.some(candidate => name.startsWith(candidate.replace(/^d_/, '')))) {
+        console.warn(`No WGS84 shift known for datum "${name}"; coordinates are used unshifted`);
+    }
+    return null;
+}
+
+// Returns { toWGS84(lat, lng), fromWGS84(lat, lng) } for a Helmert transform to WGS84
+function createDatumTransform(towgs84, ellipsoid, convention) {
+    if (!towgs84 || towgs84.every(value => !value)) {
+        return {
+            toWGS84: (lat, lng) => [lat, lng],
+            fromWGS84: (lat, lng) => [lat, lng]
+        };
+    }
     
-    trackPoints.forEach(point => {
-        const lat = parseFloat(point.getAttribute('lat'));
-        const lng = parseFloat(point.getAttribute('lon'));
-        
-        if (!isNaN(lat) && !isNaN(lng)) {
-            coordinates.push([lat, lng]);
+    return {
+        toWGS84: (lat, lng) => {
+            const geocentric = applyHelmert(geodeticToGeocentric(lat, lng, ellipsoid), towgs84, convention);
+            return geocentricToGeodetic(...geocentric, ELLIPSOIDS.wgs84);
+        },
+        fromWGS84: (lat, lng) => {
+            const geocentric = invertHelmert(geodeticToGeocentric(lat, lng, ELLIPSOIDS.wgs84), towgs84, convention);
+            return geocentricToGeodetic(...geocentric, ellipsoid);
         }
-    });
+    };
+}
+
+function geodeticToGeocentric(lat, lng, ellipsoid) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const phi = lat * Math.PI / 180;
+    const lambda = lng * Math.PI / 180;
+    const sinPhi = Math.sin(phi);
+    const n = ellipsoid.a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    
+    return [
+        n * Math.cos(phi) * Math.cos(lambda),
+        n * Math.cos(phi) * Math.sin(lambda),
+        n * (1 - e2) * sinPhi
+    ];
+}
+
+function geocentricToGeodetic(x, y, z, ellipsoid) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const p = Math.hypot(x, y);
+    let phi = Math.atan2(z, p * (1 - e2));
     
-    if (coordinates.length > 0) {
-        // Return as Polygon if we have enough points, otherwise as LineString
-        if (coordinates.length >= 3) {
-            return { type: 'Polygon', coordinates: [coordinates] };
-        } else {
-            return { type: 'LineString', coordinates: coordinates };
-        }
+    for (let i = 0; i < 5; i++) {
+        const sinPhi = Math.sin(phi);
+        const n = ellipsoid.a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        phi = Math.atan2(z + e2 * n * sinPhi, p);
     }
     
-    return null;
+    return [phi * 180 / Math.PI, Math.atan2(y, x) * 180 / Math.PI];
+}
+
+// Small-angle rotation matrix for Helmert rotations [rx, ry, rz] in arc-seconds.
+// WKT TOWGS84 uses the position-vector convention; coordinate-frame parameters
+// (EPSG method 9607) have the opposite rotation signs.
+function helmertRotation(params, convention) {
+    const sign = convention === 'coordinate-frame' ? -1 : 1;
+    const toRadians = sign * Math.PI / (180 * 3600);
+    const wx = (params[3] || 0) * toRadians;
+    const wy = (params[4] || 0) * toRadians;
+    const wz = (params[5] || 0) * toRadians;
+    
+    return [
+        [1, -wz, wy],
+        [wz, 1, -wx],
+        [-wy, wx, 1]
+    ];
+}
+
+// Helmert transform: [dx, dy, dz] in metres, optional rotations in arc-seconds
+// and scale in ppm
+function applyHelmert(point, params, convention) {
+    const rotation = helmertRotation(params, convention);
+    const s = 1 + (params[6] || 0) * 1e-6;
+    
+    return rotation.map((row, axis) =>
+        params[axis] + s * (row[0] * point[0] + row[1] * point[1] + row[2] * point[2])
+    );
+}
+
+// Reverses applyHelmert; the transpose inverts the rotation to well below a millimetre
+function invertHelmert(point, params, convention) {
+    const rotation = helmertRotation(params, convention);
+    const s = 1 + (params[6] || 0) * 1e-6;
+    const shifted = point.map((value, axis) => (value - params[axis]) / s);
+    
+    return [0, 1, 2].map(axis =>
+        rotation[0][axis] * shifted[0] + rotation[1][axis] * shifted[1] + rotation[2][axis] * shifted[2]
+    );
+}
+
+function meridianArc(phi, ellipsoid) {
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const e4 = e2 * e2, e6 = e4 * e2;
+    return ellipsoid.a * (
+        (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+        (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+        (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+        (35 * e6 / 3072) * Math.sin(6 * phi)
+    );
+}
+
+// Inverse ellipsoidal Transverse Mercator (Snyder, USGS PP 1395); x/y in metres
+function transverseMercatorInverse(x, y, ellipsoid, projection) {
+    const { a, f } = ellipsoid;
+    const k0 = projection.scaleFactor;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    
+    const m = meridianArc(projection.latitudeOfOrigin * Math.PI / 180, ellipsoid) + (y - projection.falseNorthing) / k0;
+    const mu = m / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+    const phi1 = mu +
+        (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+        (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+        (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+        (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+    
+    const sinPhi1 = Math.sin(phi1);
+    const cosPhi1 = Math.cos(phi1);
+    const tanPhi1 = Math.tan(phi1);
+    const c1 = ep2 * cosPhi1 * cosPhi1;
+    const t1 = tanPhi1 * tanPhi1;
+    const n1 = a / Math.sqrt(1 - e2 * sinPhi1 * sinPhi1);
+    const r1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi1 * sinPhi1, 1.5);
+    const d = (x - projection.falseEasting) / (n1 * k0);
+    
+    const lat = phi1 - (n1 * tanPhi1 / r1) * (
+        d * d / 2 -
+        (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+        (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+    );
+    const lng = (
+        d -
+        (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+        (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+    ) / cosPhi1;
+    
+    return [lat * 180 / Math.PI, projection.centralMeridian + lng * 180 / Math.PI];
+}
+
+// Forward ellipsoidal Transverse Mercator (Snyder, USGS PP 1395); returns [x, y] in metres
+function transverseMercatorForward(lat, lng, ellipsoid, projection) {
+    const { a, f } = ellipsoid;
+    const k0 = projection.scaleFactor;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    
+    const phi = lat * Math.PI / 180;
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const tanPhi = Math.tan(phi);
+    const n = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const t = tanPhi * tanPhi;
+    const c = ep2 * cosPhi * cosPhi;
+    const d = (lng - projection.centralMeridian) * Math.PI / 180 * cosPhi;
+    const m = meridianArc(phi, ellipsoid) - meridianArc(projection.latitudeOfOrigin * Math.PI / 180, ellipsoid);
+    
+    const x = k0 * n * (
+        d +
+        (1 - t + c) * Math.pow(d, 3) / 6 +
+        (5 - 18 * t + t * t + 72 * c - 58 * ep2) * Math.pow(d, 5) / 120
+    );
+    const y = k0 * (m + n * tanPhi * (
+        d * d / 2 +
+        (5 - t + 9 * c + 4 * c * c) * Math.pow(d, 4) / 24 +
+        (61 - 58 * t + t * t + 600 * c - 330 * ep2) * Math.pow(d, 6) / 720
+    ));
+    
+    return [projection.falseEasting + x, projection.falseNorthing + y];
+}
+
+// Scale factor on the equator, from the standard parallel when one is given
+function mercatorScale(ellipsoid, projection) {
+    if (!projection.standardParallel) return projection.scaleFactor;
+    
+    const e2 = ellipsoid.f * (2 - ellipsoid.f);
+    const sinPhi = Math.sin(projection.standardParallel * Math.PI / 180);
+    return Math.cos(projection.standardParallel * Math.PI / 180) / Math.sqrt(1 - e2 * sinPhi * sinPhi);
 }
 
-// Function to detect and fix common coordinate system issues
-function validateAndFixCoordinates(coordinates) {
-    if (!coordinates || coordinates.length === 0) return coordinates;
+// Inverse Mercator; a zero flattening gives the spherical Web Mercator form
+function mercatorInverse(x, y, ellipsoid, projection) {
+    const e = Math.sqrt(ellipsoid.f * (2 - ellipsoid.f));
+    const k0 = mercatorScale(ellipsoid, projection);
     
-    const firstCoord = coordinates[0];
-    let lat = firstCoord[0];
-    let lng = firstCoord[1];
+    const t = Math.exp(-(y - projection.falseNorthing) / (ellipsoid.a * k0));
+    let phi = Math.PI / 2 - 2 * Math.atan(t);
+    for (let i = 0; i < 10 && e > 0; i++) {
+        const eSinPhi = e * Math.sin(phi);
+        phi = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - eSinPhi) / (1 + eSinPhi), e / 2));
+    }
     
-    console.log('Original coordinates:', { lat, lng });
+    const lng = projection.centralMeridian + ((x - projection.falseEasting) / (ellipsoid.a * k0)) * 180 / Math.PI;
+    return [phi * 180 / Math.PI, lng];
+}
+
+function mercatorForward(lat, lng, ellipsoid, projection) {
+    const e = Math.sqrt(ellipsoid.f * (2 - ellipsoid.f));
+    const k0 = mercatorScale(ellipsoid, projection);
+    const phi = lat * Math.PI / 180;
+    const eSinPhi = e * Math.sin(phi);
     
-    // Check if coordinates are in valid WGS84 ranges
-    const isValidWGS84 = Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+    const x = ellipsoid.a * k0 * (lng - projection.centralMeridian) * Math.PI / 180;
+    const y = ellipsoid.a * k0 * Math.log(Math.tan(Math.PI / 4 + phi / 2) * Math.pow((1 - eSinPhi) / (1 + eSinPhi), e / 2));
+    return [projection.falseEasting + x, projection.falseNorthing + y];
+}
+
+// ESRI Shapefile import. A zipped shapefile (or the loose .shp/.shx/.dbf/.prj/.cpg
+// parts) is read into a GeoJSON FeatureCollection, reprojected to WGS84 using the .prj.
+const SHAPE_TYPES = {
+    POLYLINE: [3, 13, 23],
+    POLYGON: [5, 15, 25]
+};
+
+function parseShapefileZip(buffer) {
+    if (typeof JSZip === 'undefined') {
+        return Promise.reject(new Error('Zip support failed to load. Please refresh the page and try again.'));
+    }
     
-    if (!isValidWGS84) {
-        console.warn('Coordinates appear to be out of valid WGS84 ranges');
-        
-        // Check if coordinates might be swapped (common issue)
-        const swappedLat = firstCoord[1];
-        const swappedLng = firstCoord[0];
-        
-        if (Math.abs(swappedLat) <= 90 && Math.abs(swappedLng) <= 180) {
-            console.log('Coordinates were swapped, correcting...');
-            showNotification('Coordinates were automatically corrected (lat/lng were swapped)', 'info');
-            return coordinates.map(coord => [coord[1], coord[0]]);
+    return JSZip.loadAsync(buffer).then(zip => {
+        const names = Object.keys(zip.files).filter(name => !zip.files[name].dir && !name.startsWith('__MACOSX/'));
+        const shpNames = names.filter(name => name.toLowerCase().endsWith('.shp'));
+        if (shpNames.length === 0) {
+            throw new Error('No .shp file was found in the zip archive');
         }
         
-        // Check if coordinates might be in UTM or other projection
-        // UTM coordinates are typically much larger numbers
-        if (Math.abs(lat) > 1000 || Math.abs(lng) > 1000) {
-            console.warn('Coordinates appear to be in UTM or other projection system');
-            
-            // Try simple scaling first (most common issue)
-            const scaledCoords = trySimpleScaling(coordinates);
-            if (scaledCoords) {
-                console.log('Successfully converted coordinates using simple scaling');
-                showNotification('Coordinates were automatically converted using simple scaling', 'success');
-                return scaledCoords;
-            }
-            
-            // Try to detect and convert UTM coordinates
-            const convertedCoords = tryConvertUTMCoordinates(coordinates);
-            if (convertedCoords) {
-                console.log('Successfully converted UTM coordinates to WGS84');
-                showNotification('Coordinates were automatically converted from UTM to WGS84', 'success');
-                return convertedCoords;
-            }
-            
-            // Try to detect and convert Minna Datum coordinates
-            const minnaCoords = tryConvertMinnaDatum(coordinates);
-            if (minnaCoords) {
-                console.log('Successfully converted Minna Datum coordinates to WGS84');
-                showNotification('Coordinates were automatically converted from Minna Datum to WGS84', 'success');
-                return minnaCoords;
-            }
-            
-            // Try generic coordinate transformation
-            const genericCoords = tryGenericCoordinateTransform(coordinates);
-            if (genericCoords) {
-                console.log('Successfully converted coordinates using generic transformation');
-                showNotification('Coordinates were automatically converted to WGS84', 'success');
-                return genericCoords;
-            }
-            
-            showNotification('Error: Coordinates appear to be in UTM or another projection system, not WGS84 latitude/longitude. Please convert your GeoJSON to WGS84 coordinates.', 'error');
-            
-            // Try to provide helpful information
-            const coordRange = {
-                minLat: Math.min(...coordinates.map(c => c[0])),
-                maxLat: Math.max(...coordinates.map(c => c[0])),
-                minLng: Math.min(...coordinates.map(c => c[1])),
-                maxLng: Math.max(...coordinates.map(c => c[1]))
+        // Each .shp is a layer; its sidecar files share the base name
+        return Promise.all(shpNames.map(shpName => {
+            const base = shpName.slice(0, -4).toLowerCase();
+            const read = (extension, type) => {
+                const name = names.find(candidate => candidate.toLowerCase() === base + extension);
+                return name ? zip.file(name).async(type) : Promise.resolve(null);
             };
             
-            console.log('Coordinate ranges:', coordRange);
-            showNotification(`Coordinate ranges: Lat ${coordRange.minLat.toFixed(2)} to ${coordRange.maxLat.toFixed(2)}, Lng ${coordRange.minLng.toFixed(2)} to ${coordRange.maxLng.toFixed(2)}. These appear to be UTM coordinates.`, 'warning');
-            
-            return null; // Return null to prevent display
-        }
-        
-        // Check if coordinates might be in a different geographic system
-        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
-            console.warn('Coordinates appear to be in a different geographic system');
-            showNotification('Warning: Coordinates appear to be in a different coordinate system. Please ensure your GeoJSON uses WGS84 latitude/longitude coordinates.', 'warning');
-        }
-    }
-    
-    // Additional check: if coordinates are valid but seem to be in wrong location
-    // Check if coordinates are reasonable for the current map view
-    if (isValidWGS84) {
-        const mapCenter = map.getCenter();
-        const distanceFromCenter = Math.sqrt(
-            Math.pow(lat - mapCenter.lat, 2) + Math.pow(lng - mapCenter.lng, 2)
-        );
-        
-        if (distanceFromCenter > 20) { // More than 20 degrees from map center
-            console.warn('Coordinates seem far from current map view:', { lat, lng, mapCenter });
-            showNotification(`Warning: Coordinates (${lat.toFixed(4)}, ${lng.toFixed(4)}) appear to be far from the current map view. Please verify the coordinate system.`, 'warning');
-        }
-    }
+            return Promise.all([
+                read('.shp', 'arraybuffer'),
+                read('.shx', 'arraybuffer'),
+                read('.dbf', 'arraybuffer'),
+                read('.prj', 'string'),
+                read('.cpg', 'string')
+            ]).then(([shp, shx, dbf, prj, cpg]) => parseShapefile({
+                name: shpName.split('/').pop().slice(0, -4),
+                shp, shx, dbf, prj, cpg
+            }));
+        })).then(mergeShapefileLayers);
+    });
+}
+
+// Loose parts picked together in the file dialog: { shp: File, dbf: File, ... }
+function parseShapefileParts(files) {
+    const read = (extension, asText) => {
+        const file = files[extension];
+        if (!file) return Promise.resolve(null);
+        return asText ? file.text() : file.arrayBuffer();
+    };
     
-    return coordinates;
+    return Promise.all([read('shp'), read('shx'), read('dbf'), read('prj', true), read('cpg', true)])
+        .then(([shp, shx, dbf, prj, cpg]) => parseShapefile({
+            name: files.shp.name.replace(/\.shp$/i, ''),
+            shp, shx, dbf, prj, cpg
+        }))
+        .then(layer => mergeShapefileLayers([layer]));
 }
 
-// Enhanced coordinate detection and transformation
-function trySimpleScaling(coordinates) {
-    try {
-        const firstCoord = coordinates[0];
-        const x = firstCoord[0];
-        const y = firstCoord[1];
-        
-        console.log('Attempting enhanced coordinate transformation...');
-        console.log('Original coordinates:', { x, y });
-        
-        // Analyze coordinate patterns to determine likely system
-        const coordAnalysis = analyzeCoordinateSystem(coordinates);
-        console.log('Coordinate analysis:', coordAnalysis);
-        
-        // Try different transformation approaches based on analysis
-        const transformations = [
-            // Simple scaling
-            { name: 'Simple Scaling', func: () => tryScalingTransform(coordinates) },
-            // Coordinate swapping
-            { name: 'Coordinate Swap', func: () => trySwapTransform(coordinates) },
-            // Offset correction
-            { name: 'Offset Correction', func: () => tryOffsetTransform(coordinates) },
-            // Mixed transformations
-            { name: 'Mixed Transform', func: () => tryMixedTransform(coordinates) }
-        ];
+function parseShapefile(parts) {
+    const shapes = parseShp(parts.shp, parts.shx);
+    const attributes = parts.dbf ? parseDbf(parts.dbf, parts.cpg) : { fields: [], records: [] };
+    const crs = parts.prj ? createCRSFromPrj(parts.prj) : null;
+    const toPosition = crs
+        ? point => crs.toWGS84(point).reverse()
+        : point => [point[0], point[1]];
+    
+    const features = [];
+    shapes.forEach((shape, index) => {
+        const record = attributes.records[index];
+        if (!shape || (record && record.deleted)) return;
         
-        for (const transform of transformations) {
-            const result = transform.func();
-            if (result) {
-                console.log(`${transform.name} successful:`, result[0]);
-                return result;
-            }
-        }
+        const geometry = shapeToGeometry(shape, toPosition);
+        if (!geometry) return;
         
-        return null;
-    } catch (error) {
-        console.error('Enhanced coordinate transformation failed:', error);
-        return null;
-    }
+        features.push({
+            type: 'Feature',
+            layer: parts.name,
+            properties: record ? record.values : {},
+            geometry
+        });
+    });
+    
+    return {
+        name: parts.name,
+        fields: attributes.fields.map(field => field.name),
+        crs: crs ? crs.name : null,
+        features
+    };
 }
 
-// Analyze coordinate system to determine likely transformation needed
-function analyzeCoordinateSystem(coordinates) {
-    const firstCoord = coordinates[0];
-    const x = firstCoord[0];
-    const y = firstCoord[1];
+function mergeShapefileLayers(layers) {
+    const features = layers.flatMap(layer => layer.features);
+    if (features.length === 0) {
+        throw new Error('The shapefile contains no polygon or line features');
+    }
     
-    const analysis = {
-        isUTM: Math.abs(x) > 100000 && Math.abs(y) > 100000,
-        isProjected: Math.abs(x) > 1000 || Math.abs(y) > 1000,
-        isSwapped: Math.abs(x) <= 90 && Math.abs(y) <= 180,
-        hasOffset: Math.abs(x) > 1000000 || Math.abs(y) > 1000000,
-        range: {
-            minX: Math.min(...coordinates.map(c => c[0])),
-            maxX: Math.max(...coordinates.map(c => c[0])),
-            minY: Math.min(...coordinates.map(c => c[1])),
-            maxY: Math.max(...coordinates.map(c => c[1]))
-        }
-    };
+    const fields = [];
+    layers.forEach(layer => layer.fields.forEach(field => {
+        if (!fields.includes(field)) fields.push(field);
+    }));
+    
+    const crsNames = [...new Set(layers.map(layer => layer.crs || 'No .prj (assumed WGS84)'))];
+    // Without any .prj the CRS is left unset, so the CRS picker asks for it
+    const declared = layers.some(layer => layer.crs);
     
-    return analysis;
+    return {
+        type: 'FeatureCollection',
+        features,
+        fields,
+        layers: layers.map(layer => layer.name),
+        crs: declared ? crsNames.join(', ') : null
+    };
 }
 
-// Try scaling transformation
-function tryScalingTransform(coordinates) {
-    const scaleFactors = [10000000, 1000000, 100000, 10000, 1000, 100, 10];
+function parseShp(buffer, shxBuffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 100 || view.getInt32(0) !== 9994) {
+        throw new Error('The .shp file is not a valid shapefile');
+    }
     
-    for (const scale of scaleFactors) {
-        const scaledCoords = coordinates.map(coord => [
-            coord[0] / scale,
-            coord[1] / scale
-        ]);
-        
-        const firstScaled = scaledCoords[0];
-        if (Math.abs(firstScaled[0]) <= 90 && Math.abs(firstScaled[1]) <= 180) {
-            return scaledCoords;
+    const fileLength = Math.min(view.getInt32(24) * 2, buffer.byteLength);
+    const offsets = [];
+    
+    if (shxBuffer && shxBuffer.byteLength >= 100) {
+        const index = new DataView(shxBuffer);
+        for (let pos = 100; pos + 8 <= shxBuffer.byteLength; pos += 8) {
+            offsets.push(index.getInt32(pos) * 2);
+        }
+    } else {
+        // Without the index the records are walked one after another
+        let pos = 100;
+        while (pos + 8 <= fileLength) {
+            offsets.push(pos);
+            pos += 8 + view.getInt32(pos + 4) * 2;
         }
     }
-    return null;
+    
+    return offsets.map(offset => offset + 12 <= fileLength ? readShpRecord(view, offset + 8) : null);
 }
 
-// Try coordinate swapping transformation
-function trySwapTransform(coordinates) {
-    const swappedCoords = coordinates.map(coord => [coord[1], coord[0]]);
-    const firstSwapped = swappedCoords[0];
+function readShpRecord(view, pos) {
+    const shapeType = view.getInt32(pos, true);
+    const isPolygon = SHAPE_TYPES.POLYGON.includes(shapeType);
+    if (!isPolygon && !SHAPE_TYPES.POLYLINE.includes(shapeType)) {
+        return null; // Null shapes, points and multipatches cannot describe an AOI
+    }
+    
+    const numParts = view.getInt32(pos + 36, true);
+    const numPoints = view.getInt32(pos + 40, true);
+    const partsStart = pos + 44;
+    const pointsStart = partsStart + numParts * 4;
     
-    if (Math.abs(firstSwapped[0]) <= 90 && Math.abs(firstSwapped[1]) <= 180) {
-        return swappedCoords;
+    const starts = [];
+    for (let i = 0; i < numParts; i++) {
+        starts.push(view.getInt32(partsStart + i * 4, true));
     }
-    return null;
+    
+    const parts = starts.map((start, i) => {
+        const end = i + 1 < numParts ? starts[i + 1] : numPoints;
+        const points = [];
+        for (let p = start; p < end; p++) {
+            const offset = pointsStart + p * 16;
+            points.push([view.getFloat64(offset, true), view.getFloat64(offset + 8, true)]);
+        }
+        return points;
+    });
+    
+    return { type: isPolygon ? 'polygon' : 'polyline', parts };
 }
 
-// Try offset correction transformation
-function tryOffsetTransform(coordinates) {
-    const offsets = [10000000, 1000000, 100000, 10000, 1000];
+// Polygon records list outer rings clockwise and holes counter-clockwise.
+// Each hole is attached to the outer ring that contains it.
+function shapeToGeometry(shape, toPosition) {
+    const parts = shape.parts.filter(part => part.length >= 2);
+    if (parts.length === 0) return null;
+    
+    if (shape.type === 'polyline') {
+        return parts.length === 1
+            ? { type: 'LineString', coordinates: parts[0].map(toPosition) }
+            : { type: 'MultiLineString', coordinates: parts.map(part => part.map(toPosition)) };
+    }
+    
+    const rings = parts.filter(part => part.length >= 4).map(part => ({
+        clockwise: planarRingArea(part) < 0,
+        coordinates: part.map(toPosition)
+    }));
+    
+    // Some writers ignore the winding rule; then every ring is treated as an outer ring
+    const hasOuterRings = rings.some(ring => ring.clockwise);
+    const polygons = [];
+    const holes = [];
+    rings.forEach(ring => {
+        if (ring.clockwise || !hasOuterRings) {
+            polygons.push([ring.coordinates]);
+        } else {
+            holes.push(ring.coordinates);
+        }
+    });
     
-    for (const offset of offsets) {
-        const offsetCoords = coordinates.map(coord => [
-            coord[0] - offset,
-            coord[1] - offset
-        ]);
-        
-        const firstOffset = offsetCoords[0];
-        if (Math.abs(firstOffset[0]) <= 90 && Math.abs(firstOffset[1]) <= 180) {
-            return offsetCoords;
+    holes.forEach(hole => {
+        const owner = polygons.find(polygon => isPointInRing(hole[0], polygon[0]));
+        if (owner) {
+            owner.push(hole);
+        } else {
+            polygons.push([hole]);
         }
+    });
+    
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+function planarRingArea(points) {
+    let sum = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+        sum += points[i][0] * points[i + 1][1] - points[i + 1][0] * points[i][1];
     }
-    return null;
+    return sum / 2;
 }
 
-// Try mixed transformation (scaling + swapping)
-function tryMixedTransform(coordinates) {
-    const scaleFactors = [1000000, 100000, 10000, 1000];
+function parseDbf(buffer, codePage) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+    
+    const encoding = codePage && /utf-?8/i.test(codePage) ? 'utf-8' : 'windows-1252';
+    const decoder = new TextDecoder(encoding);
+    const ascii = new TextDecoder('ascii');
+    
+    const fields = [];
+    for (let pos = 32; pos + 32 <= headerLength && bytes[pos] !== 0x0D; pos += 32) {
+        const nameBytes = bytes.subarray(pos, pos + 11);
+        const nameEnd = nameBytes.indexOf(0);
+        fields.push({
+            name: ascii.decode(nameEnd >= 0 ? nameBytes.subarray(0, nameEnd) : nameBytes).trim(),
+            type: String.fromCharCode(bytes[pos + 11]),
+            length: bytes[pos + 16]
+        });
+    }
     
-    for (const scale of scaleFactors) {
-        // Try scaling then swapping
-        const scaledCoords = coordinates.map(coord => [
-            coord[0] / scale,
-            coord[1] / scale
-        ]);
+    const records = [];
+    for (let r = 0; r < recordCount; r++) {
+        const start = headerLength + r * recordLength;
+        if (start + recordLength > buffer.byteLength) break;
         
-        const swappedScaledCoords = scaledCoords.map(coord => [coord[1], coord[0]]);
-        const firstSwappedScaled = swappedScaledCoords[0];
+        const values = {};
+        let offset = start + 1;
+        fields.forEach(field => {
+            const raw = decoder.decode(bytes.subarray(offset, offset + field.length)).trim();
+            values[field.name] = parseDbfValue(raw, field.type);
+            offset += field.length;
+        });
         
-        if (Math.abs(firstSwappedScaled[0]) <= 90 && Math.abs(firstSwappedScaled[1]) <= 180) {
-            return swappedScaledCoords;
-        }
+        records.push({ deleted: bytes[start] === 0x2A, values });
     }
-    return null;
+    
+    return { fields, records };
 }
 
-// Function to attempt UTM to WGS84 conversion
-function tryConvertUTMCoordinates(coordinates) {
-    try {
-        const firstCoord = coordinates[0];
-        const x = firstCoord[0]; // UTM Easting
-        const y = firstCoord[1]; // UTM Northing
-        
-        console.log('Checking UTM coordinates:', { x, y });
-        
-        // Check for UTM coordinates (typically large numbers)
-        if (Math.abs(x) > 100000 && Math.abs(y) > 100000) {
-            console.log('Detected potential UTM coordinates, attempting conversion...');
-            
-            // Try different UTM zones (common ones for different regions)
-            const utmZones = [
-                { zone: 32, centralMeridian: 9 },   // Nigeria, West Africa
-                { zone: 31, centralMeridian: 3 },   // West Africa
-                { zone: 33, centralMeridian: 15 },  // East Africa
-                { zone: 18, centralMeridian: -75 }, // Eastern US
-                { zone: 19, centralMeridian: -69 }, // Eastern US
-                { zone: 10, centralMeridian: -123 }, // Western US
-                { zone: 11, centralMeridian: -117 }, // Western US
-            ];
-            
-            for (const utmZone of utmZones) {
-                const convertedCoords = convertUTMToWGS84(coordinates, utmZone.zone, utmZone.centralMeridian);
-                if (convertedCoords) {
-                    console.log(`UTM Zone ${utmZone.zone} conversion successful:`, convertedCoords[0]);
-                    return convertedCoords;
-                }
-            }
+function parseDbfValue(raw, type) {
+    switch (type) {
+        case 'N':
+        case 'F': {
+            if (raw === '' || /^\*+$/.test(raw)) return null;
+            const value = parseFloat(raw);
+            return isNaN(value) ? null : value;
         }
-        
-        return null;
-    } catch (error) {
-        console.error('UTM conversion failed:', error);
-        return null;
+        case 'L':
+            if (/^[YyTt]$/.test(raw)) return true;
+            if (/^[NnFf]$/.test(raw)) return false;
+            return null;
+        case 'D':
+            return /^\d{8}$/.test(raw) ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}` : (raw || null);
+        default:
+            return raw;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Area of a GeoJSON Polygon/MultiPolygon in km², holes excluded
+// Polygon coordinate arrays of a geometry, including those inside a GeometryCollection
+function getGeometryPolygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(getGeometryPolygons);
+    return [];
+}
+
+function getGeometryArea(geometry) {
+    return getGeometryPolygons(geometry).reduce((sum, rings) => sum + rings.reduce((ringSum, ring, index) => {
+        const area = calculatePolygonArea(openRing(positionsToLatLngs(ring)));
+        return index === 0 ? ringSum + area : ringSum - area;
+    }, 0), 0);
+}
+
+// Property names across all features, in first-seen order
+function collectFeatureFields(features) {
+    const fields = [];
+    features.forEach(feature => Object.keys(feature.properties || {}).forEach(field => {
+        if (!fields.includes(field)) fields.push(field);
+    }));
+    return fields;
+}
+
+// Table cell text: KML descriptions are HTML and can be long
+function formatPropertyValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > 80 ? text.slice(0, 77) + '...' : text;
+}
+
+// Feature picker for multi-feature uploads. Every feature is previewed on the map;
+// the user keeps one or several of them, or dissolves the selection into one shape.
+const featurePreviewStyle = {
+    color: '#f59e0b',
+    fillColor: '#f59e0b',
+    fillOpacity: 0.08,
+    weight: 2,
+    opacity: 0.8,
+    dashArray: '4 4'
+};
+
+const featurePreviewSelectedStyle = {
+    color: '#f97316',
+    fillColor: '#f97316',
+    fillOpacity: 0.3,
+    weight: 3,
+    opacity: 1,
+    dashArray: null
+};
+
+const featurePreviewHoverStyle = {
+    weight: 4,
+    opacity: 1,
+    fillOpacity: 0.4
+};
+
+function createFeaturePreviewLayer(feature) {
+    const geometry = feature.geometry;
+    if (!geometry) return null;
+    
+    if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+        return L.polygon(L.GeoJSON.coordsToLatLngs(geometry.coordinates, geometry.type === 'Polygon' ? 1 : 2), featurePreviewStyle);
+    }
+    if (geometry.type === 'LineString') {
+        return L.polyline(L.GeoJSON.coordsToLatLngs(geometry.coordinates), featurePreviewStyle);
+    }
+    return null;
+}
+
+// Union of Polygon/MultiPolygon geometries as MultiPolygon coordinates
+function dissolveGeometries(geometries) {
+    if (typeof polygonClipping === 'undefined') {
+        throw new Error('Geometry library failed to load. Please refresh the page and try again.');
     }
+    
+    const polygons = geometries.flatMap(getGeometryPolygons);
+    if (polygons.length === 0) return null;
+    
+    return polygonClipping.union(...polygons);
 }
 
-// Improved UTM to WGS84 conversion function
-function convertUTMToWGS84(coordinates, zone, centralMeridian) {
-    try {
-        const convertedCoords = coordinates.map(coord => {
-            const utmX = coord[0];
-            const utmY = coord[1];
-            
-            // UTM parameters
-            const falseEasting = 500000;
-            const falseNorthing = 0;
-            const scaleFactor = 0.9996;
-            const a = 6378137; // WGS84 semi-major axis
-            const e2 = 0.00669438; // WGS84 first eccentricity squared
-            
-            // Remove false easting and northing
-            const x = utmX - falseEasting;
-            const y = utmY - falseNorthing;
-            
-            // Calculate latitude using inverse UTM formulas
-            const mu = y / (a * scaleFactor * (1 - e2/4 - 3*e2*e2/64 - 5*e2*e2*e2/256));
-            const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
-            
-            const lat1 = mu + (3*e1/2 - 27*e1*e1*e1/32) * Math.sin(2*mu) +
-                         (21*e1*e1/16 - 55*e1*e1*e1*e1/32) * Math.sin(4*mu) +
-                         (151*e1*e1*e1/96) * Math.sin(6*mu);
-            
-            // Calculate longitude
-            const lng = centralMeridian + Math.atan2(x, a * scaleFactor * (1 - e2*Math.sin(lat1)*Math.sin(lat1)) * Math.cos(lat1));
-            
-            const lat = lat1 * 180 / Math.PI;
-            const lngDeg = lng * 180 / Math.PI;
-            
-            return [lat, lngDeg];
+function showFeaturePicker(collection, fileName, source) {
+    const maxRows = 500;
+    const features = collection.features;
+    const fields = collection.fields || collectFeatureFields(features);
+    const showLayer = collection.layers && collection.layers.length > 1;
+    const rows = features.map((feature, index) => ({
+        index,
+        feature,
+        area: feature.geometry ? getGeometryArea(feature.geometry) : 0,
+        text: [feature.layer, ...fields.map(field => formatPropertyValue((feature.properties || {})[field]))].join(' ').toLowerCase()
+    }));
+    const selected = new Set();
+    
+    // Preview every feature on the map
+    const previewLayer = L.featureGroup().addTo(map);
+    const previewLayers = features.map((feature, index) => {
+        const layer = createFeaturePreviewLayer(feature);
+        if (!layer) return null;
+        layer.bindTooltip(formatPropertyValue((feature.properties || {}).name) || `Feature ${index + 1}`, { sticky: true });
+        layer.on('click', e => {
+            L.DomEvent.stop(e);
+            toggleFeature(index);
+            const row = tbody.querySelector(`tr[data-index="${index}"]`);
+            if (row) row.scrollIntoView({ block: 'nearest' });
         });
+        return layer.addTo(previewLayer);
+    });
+    
+    if (previewLayer.getLayers().length > 0) {
+        map.fitBounds(previewLayer.getBounds(), { padding: [20, 20] });
+    }
+    
+    const modal = document.createElement('div');
+    modal.className = 'feature-picker-modal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-layer-group"></i> Choose AOI Features</h3>
+                <button class="modal-close" id="closeFeaturePicker">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="feature-picker-info">
+                    <span><strong>${escapeHtml(fileName)}</strong></span>
+                    <span>${features.length} features</span>
+                    <span>Coordinate system: ${escapeHtml(collection.crs || 'WGS84')}</span>
+                </div>
+                <input type="text" class="feature-picker-search" id="featurePickerSearch" placeholder="Search attributes...">
+                <div class="feature-table-wrapper">
+                    <table class="feature-table">
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" id="selectAllFeatures" title="Select all shown features"></th>
+                                <th>#</th>
+                                ${showLayer ? '<th>Layer</th>' : ''}
+                                <th>Area</th>
+                                ${fields.map(field => `<th>${escapeHtml(field)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody id="featureTableBody"></tbody>
+                    </table>
+                </div>
+                <div class="feature-picker-note" id="featurePickerNote"></div>
+                <div class="feature-picker-selection" id="featurePickerSelection"></div>
+            </div>
+            <div class="modal-actions">
+                <button class="btn-primary" id="useSelectedFeatures" disabled>
+                    <i class="fas fa-check"></i>
+                    <span>Use Selected</span>
+                </button>
+                <button class="btn-secondary" id="dissolveSelectedFeatures" disabled title="Merge the selected features into one shape">
+                    <i class="fas fa-object-group"></i>
+                    <span>Dissolve Selected</span>
+                </button>
+                <button class="btn-secondary" id="cancelFeaturePicker">
+                    <i class="fas fa-times"></i>
+                    <span>Cancel</span>
+                </button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const tbody = modal.querySelector('#featureTableBody');
+    const note = modal.querySelector('#featurePickerNote');
+    const selectionInfo = modal.querySelector('#featurePickerSelection');
+    const selectAll = modal.querySelector('#selectAllFeatures');
+    const useButton = modal.querySelector('#useSelectedFeatures');
+    const dissolveButton = modal.querySelector('#dissolveSelectedFeatures');
+    let shownRows = rows;
+    
+    const close = () => {
+        map.removeLayer(previewLayer);
+        modal.remove();
+    };
+    
+    const updateSelection = () => {
+        const chosen = rows.filter(row => selected.has(row.index));
+        const area = chosen.reduce((sum, row) => sum + row.area, 0);
         
-        // Validate converted coordinates
-        const firstConverted = convertedCoords[0];
-        if (Math.abs(firstConverted[0]) <= 90 && Math.abs(firstConverted[1]) <= 180) {
-            return convertedCoords;
+        selectionInfo.textContent = chosen.length > 0
+            ? `${chosen.length} selected · ${formatArea(area)} before dissolving`
+            : 'Select features in the table or click them on the map.';
+        useButton.disabled = chosen.length === 0;
+        dissolveButton.disabled = chosen.filter(row => getGeometryPolygons(row.feature.geometry).length > 0).length < 2;
+        selectAll.checked = shownRows.length > 0 && shownRows.every(row => selected.has(row.index));
+    };
+    
+    const styleFeature = index => {
+        const layer = previewLayers[index];
+        if (!layer) return;
+        layer.setStyle(selected.has(index) ? featurePreviewSelectedStyle : featurePreviewStyle);
+        if (selected.has(index)) layer.bringToFront();
+    };
+    
+    const toggleFeature = (index, state = !selected.has(index)) => {
+        if (state) {
+            selected.add(index);
+        } else {
+            selected.delete(index);
         }
+        styleFeature(index);
         
-        return null;
-    } catch (error) {
-        console.error('UTM conversion failed:', error);
-        return null;
-    }
-}
-
-// Function to attempt Minna Datum to WGS84 conversion
-function tryConvertMinnaDatum(coordinates) {
-    try {
-        // Check if coordinates look like Minna Datum (common for Nigeria)
-        const firstCoord = coordinates[0];
-        const x = firstCoord[0]; // Minna Easting
-        const y = firstCoord[1]; // Minna Northing
-        
-        // Minna Datum bounds for Nigeria
-        const minEasting = 100000;
-        const maxEasting = 900000;
-        const minNorthing = 100000;
-        const maxNorthing = 1200000;
+        const row = tbody.querySelector(`tr[data-index="${index}"]`);
+        if (row) {
+            row.classList.toggle('selected', state);
+            row.querySelector('input').checked = state;
+        }
+        updateSelection();
+    };
+    
+    const renderRows = query => {
+        shownRows = rows.filter(row => !query || row.text.includes(query));
+        tbody.innerHTML = shownRows.slice(0, maxRows).map(row => `
+            <tr data-index="${row.index}" class="${selected.has(row.index) ? 'selected' : ''}">
+                <td><input type="checkbox" ${selected.has(row.index) ? 'checked' : ''}></td>
+                <td>${row.index + 1}</td>
+                ${showLayer ? `<td>${escapeHtml(row.feature.layer)}</td>` : ''}
+                <td>${getGeometryPolygons(row.feature.geometry).length > 0 ? formatArea(row.area) : escapeHtml(row.feature.geometry ? row.feature.geometry.type : 'No geometry')}</td>
+                ${fields.map(field => `<td>${escapeHtml(formatPropertyValue((row.feature.properties || {})[field]))}</td>`).join('')}
+            </tr>
+        `).join('');
         
-        if (x >= minEasting && x <= maxEasting && y >= minNorthing && y <= maxNorthing) {
-            console.log('Detected Minna Datum coordinates, attempting conversion...');
-            
-            // Convert Minna Datum to WGS84
-            const convertedCoords = coordinates.map(coord => {
-                const minnaX = coord[0];
-                const minnaY = coord[1];
-                
-                // Minna Datum parameters
-                const a = 6378249.145; // Minna Datum semi-major axis
-                const e2 = 0.006722670; // Minna Datum first eccentricity squared
-                const falseEasting = 500000;
-                const falseNorthing = 0;
-                const scaleFactor = 0.9996;
-                const centralMeridian = 9; // Central meridian for Minna Datum
-                
-                // Remove false easting and northing
-                const x = minnaX - falseEasting;
-                const y = minnaY - falseNorthing;
-                
-                // Calculate latitude
-                const mu = y / (a * scaleFactor * (1 - e2/4 - 3*e2*e2/64 - 5*e2*e2*e2/256));
-                const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
-                
-                const lat1 = mu + (3*e1/2 - 27*e1*e1*e1/32) * Math.sin(2*mu) +
-                             (21*e1*e1/16 - 55*e1*e1*e1*e1/32) * Math.sin(4*mu) +
-                             (151*e1*e1*e1/96) * Math.sin(6*mu);
-                
-                // Calculate longitude
-                const lng = centralMeridian + Math.atan2(x, a * scaleFactor * (1 - e2*Math.sin(lat1)*Math.sin(lat1)) * Math.cos(lat1));
-                
-                // Convert to WGS84 (approximate transformation)
-                const latWGS84 = lat1 * 180 / Math.PI;
-                const lngWGS84 = lng * 180 / Math.PI;
-                
-                // Apply datum shift (approximate)
-                const latShift = 0.0001; // Small adjustment for datum difference
-                const lngShift = 0.0001;
-                
-                return [latWGS84 + latShift, lngWGS84 + lngShift];
-            });
+        note.textContent = shownRows.length > maxRows
+            ? `Showing the first ${maxRows} of ${shownRows.length} matching features. Refine the search to find others.`
+            : `${shownRows.length} of ${rows.length} features shown. Double-click a row to use only that feature.`;
+        updateSelection();
+    };
+    
+    const finish = geometry => {
+        close();
+        displayUploadedData(geometry, fileName, source);
+    };
+    
+    tbody.addEventListener('click', e => {
+        const row = e.target.closest('tr');
+        if (row) toggleFeature(parseInt(row.dataset.index, 10));
+    });
+    
+    tbody.addEventListener('dblclick', e => {
+        const row = e.target.closest('tr');
+        if (row) finish(features[parseInt(row.dataset.index, 10)].geometry);
+    });
+    
+    tbody.addEventListener('mouseover', e => {
+        const row = e.target.closest('tr');
+        const layer = row && previewLayers[parseInt(row.dataset.index, 10)];
+        if (layer) layer.setStyle(featurePreviewHoverStyle).bringToFront();
+    });
+    
+    tbody.addEventListener('mouseout', e => {
+        const row = e.target.closest('tr');
+        if (row) styleFeature(parseInt(row.dataset.index, 10));
+    });
+    
+    selectAll.addEventListener('change', () => {
+        shownRows.forEach(row => toggleFeature(row.index, selectAll.checked));
+    });
+    
+    modal.querySelector('#featurePickerSearch').addEventListener('input', debounce(e => {
+        renderRows(e.target.value.trim().toLowerCase());
+    }, 200));
+    
+    // Several features become separate polygons of one AOI
+    useButton.addEventListener('click', () => {
+        const geometries = [...selected].sort((a, b) => a - b).map(index => features[index].geometry);
+        finish(geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries });
+    });
+    
+    dissolveButton.addEventListener('click', () => {
+        try {
+            const geometries = [...selected].map(index => features[index].geometry).filter(Boolean);
+            const dissolved = dissolveGeometries(geometries);
+            if (!dissolved || dissolved.length === 0) {
+                showNotification('The selected features could not be dissolved.', 'warning');
+                return;
+            }
             
-            // Validate converted coordinates
-            const firstConverted = convertedCoords[0];
-            if (Math.abs(firstConverted[0]) <= 90 && Math.abs(firstConverted[1]) <= 180) {
-                console.log('Minna Datum conversion successful:', firstConverted);
-                return convertedCoords;
+            const skipped = geometries.filter(geometry => getGeometryPolygons(geometry).length === 0).length;
+            if (skipped > 0) {
+                showNotification(`${skipped} line feature${skipped === 1 ? ' was' : 's were'} left out of the dissolve.`, 'info');
             }
+            finish({ type: 'MultiPolygon', coordinates: dissolved });
+        } catch (error) {
+            console.error('Dissolve failed:', error);
+            showNotification(`Could not dissolve the features: ${error.message}`, 'error');
         }
-        
-        return null;
-    } catch (error) {
-        console.error('Minna Datum conversion failed:', error);
-        return null;
-    }
+    });
+    
+    modal.querySelector('#closeFeaturePicker').addEventListener('click', close);
+    modal.querySelector('#cancelFeaturePicker').addEventListener('click', close);
+    
+    renderRows('');
 }
 
-// Function to attempt generic coordinate transformation
-function tryGenericCoordinateTransform(coordinates) {
-    try {
-        const firstCoord = coordinates[0];
-        const x = firstCoord[0];
-        const y = firstCoord[1];
-        
-        // If coordinates are very large, try to scale them down
-        if (Math.abs(x) > 10000 || Math.abs(y) > 10000) {
-            console.log('Attempting generic coordinate transformation...');
-            
-            // Try different scaling factors
-            const scaleFactors = [1000000, 100000, 10000, 1000, 100];
-            
-            for (const scale of scaleFactors) {
-                const scaledCoords = coordinates.map(coord => [
-                    coord[0] / scale,
-                    coord[1] / scale
-                ]);
-                
-                const firstScaled = scaledCoords[0];
-                
-                // Check if scaled coordinates are in valid WGS84 ranges
-                if (Math.abs(firstScaled[0]) <= 90 && Math.abs(firstScaled[1]) <= 180) {
-                    console.log(`Generic transformation successful with scale factor ${scale}:`, firstScaled);
-                    return scaledCoords;
-                }
-            }
+// Fixes offered next to the CRS list for latitude/longitude written the wrong way.
+// They are guesses, so an AOI loaded with one is flagged when it is submitted.
+function getHeuristicCorrections(positions) {
+    const fits = convert => positions.every(position => isValidLngLat(convert(position)));
+    const corrections = [];
+    
+    const swap = position => [position[1], position[0]];
+    if (fits(swap)) {
+        corrections.push({ id: 'swap', name: 'Latitude and longitude in the wrong order', convert: swap });
+    }
+    
+    // Degrees stored as integers, e.g. 9123456 for 9.123456. Several factors usually
+    // give valid ranges, so each is listed and the preview shows which is right.
+    for (let power = 7; power >= 1; power--) {
+        const factor = Math.pow(10, power);
+        const scale = position => [position[0] / factor, position[1] / factor];
+        const scaleSwapped = position => [position[1] / factor, position[0] / factor];
+        if (fits(scale)) {
+            corrections.push({ id: `scale-${power}`, name: `Degrees multiplied by ${factor.toLocaleString()}`, convert: scale });
         }
-        
-        // Try coordinate swapping with scaling
-        if (Math.abs(x) > 10000 || Math.abs(y) > 10000) {
-            for (const scale of [1000000, 100000, 10000, 1000, 100]) {
-                const swappedScaledCoords = coordinates.map(coord => [
-                    coord[1] / scale, // Swap and scale
-                    coord[0] / scale
-                ]);
-                
-                const firstSwappedScaled = swappedScaledCoords[0];
-                
-                if (Math.abs(firstSwappedScaled[0]) <= 90 && Math.abs(firstSwappedScaled[1]) <= 180) {
-                    console.log(`Generic transformation with swap successful with scale factor ${scale}:`, firstSwappedScaled);
-                    return swappedScaledCoords;
-                }
-            }
+        if (fits(scaleSwapped)) {
+            corrections.push({ id: `scale-swapped-${power}`, name: `Degrees multiplied by ${factor.toLocaleString()}, latitude first`, convert: scaleSwapped });
         }
-        
-        return null;
-    } catch (error) {
-        console.error('Generic coordinate transformation failed:', error);
-        return null;
     }
+    
+    return corrections;
 }
 
-// Aggressive correction function - tries everything to get coordinates working
-function tryAggressiveCorrection(coordinates) {
-    try {
-        console.log('Attempting aggressive coordinate correction...');
-        
-        const firstCoord = coordinates[0];
-        const x = firstCoord[0];
-        const y = firstCoord[1];
-        
-        // Try extreme scaling factors
-        const extremeScales = [10000000, 1000000, 100000, 10000, 1000, 100, 10, 1];
+// Asks for the CRS of an upload whose coordinates are not WGS84 latitude/longitude.
+// The chosen system is previewed on the map and only loaded once accepted.
+// Also shown for shapefiles without a .prj; when their values are valid
+// latitude/longitude WGS 84 is preselected, but the user still confirms it
+function showCrsPicker(data, positions, fileName) {
+    const inDegrees = positions.every(isValidLngLat);
+    const candidates = inDegrees ? [] : findCandidateProjectedCRS(positions).map(crs => crs.code);
+    // Valid degrees divided by 10 are still valid degrees, so only the swap is offered for them
+    const corrections = getHeuristicCorrections(positions).filter(correction => !inDegrees || correction.id === 'swap');
+    const options = [
+        ...CRS_REGISTRY.map(definition => ({
+            id: definition.code,
+            name: definition.name,
+            code: definition.code,
+            search: [definition.name, definition.code, ...definition.aliases].join(' ').toLowerCase(),
+            fits: inDegrees ? definition.code === 'EPSG:4326' : candidates.includes(definition.code),
+            crs: createCRS(definition)
+        })),
+        ...corrections.map(correction => Object.assign(correction, {
+            code: 'Heuristic',
+            search: correction.name.toLowerCase(),
+            heuristic: true
+        }))
+    ].sort((a, b) => (Boolean(b.fits) - Boolean(a.fits)) || (Boolean(b.heuristic) - Boolean(a.heuristic)));
+    
+    const range = positions.reduce((result, position) => ({
+        minX: Math.min(result.minX, position[0]),
+        maxX: Math.max(result.maxX, position[0]),
+        minY: Math.min(result.minY, position[1]),
+        maxY: Math.max(result.maxY, position[1])
+    }), { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity });
+    const formatValue = value => value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+    
+    const introText = inDegrees
+        ? 'This file does not say which coordinate system it uses. Its values are valid WGS84 latitude/longitude, so WGS 84 is selected; check the preview on the map and choose another system if the shape is in the wrong place.'
+        : 'These coordinates are not WGS84 latitude/longitude. Choose the system they were recorded in and check the preview on the map before loading.';
+    let candidateText;
+    if (inDegrees) {
+        candidateText = corrections.length > 0
+            ? 'The values are also valid with latitude and longitude the other way round; if the preview is in the wrong place, try that correction.'
+            : 'The values are only valid as longitude, latitude.';
+    } else {
+        candidateText = candidates.length === 0
+            ? 'None of the supported projected systems places these values inside its area of use.'
+            : `${candidates.length} supported system${candidates.length === 1 ? ' places' : 's place'} these values inside ${candidates.length === 1 ? 'its' : 'their'} area of use.`;
+    }
+    
+    const previewLayer = L.featureGroup().addTo(map);
+    let selected = null;
+    
+    const modal = document.createElement('div');
+    modal.className = 'crs-picker-modal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><i class="fas fa-globe-africa"></i> Choose Coordinate System</h3>
+                <button class="modal-close" id="closeCrsPicker">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="feature-picker-info">
+                    <span><strong>${escapeHtml(fileName)}</strong></span>
+                    <span>${positions.length.toLocaleString()} points</span>
+                </div>
+                <p class="crs-picker-intro">${introText}</p>
+                <div class="crs-ranges">
+                    <div>
+                        <span>First value (X / easting)</span>
+                        <strong>${formatValue(range.minX)} to ${formatValue(range.maxX)}</strong>
+                    </div>
+                    <div>
+                        <span>Second value (Y / northing)</span>
+                        <strong>${formatValue(range.minY)} to ${formatValue(range.maxY)}</strong>
+                    </div>
+                </div>
+                <div class="feature-picker-note">${candidateText}</div>
+                <input type="text" class="feature-picker-search" id="crsPickerSearch" placeholder="Search by name or EPSG code...">
+                <div class="crs-list" id="crsList"></div>
+                <div class="crs-preview-info" id="crsPreviewInfo">Select a coordinate system to preview the result.</div>
+            </div>
+            <div class="modal-actions">
+                <button class="btn-primary" id="acceptCrs" disabled>
+                    <i class="fas fa-check"></i>
+                    <span>Load With This System</span>
+                </button>
+                <button class="btn-secondary" id="crsPickerHelp">
+                    <i class="fas fa-question-circle"></i>
+                    <span>Help</span>
+                </button>
+                <button class="btn-secondary" id="cancelCrsPicker">
+                    <i class="fas fa-times"></i>
+                    <span>Cancel</span>
+                </button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const list = modal.querySelector('#crsList');
+    const info = modal.querySelector('#crsPreviewInfo');
+    const acceptButton = modal.querySelector('#acceptCrs');
+    
+    const close = () => {
+        map.removeLayer(previewLayer);
+        modal.remove();
+    };
+    
+    const getCrsLabel = option => option.heuristic ? `WGS 84 (${option.name})` : `${option.name} (${option.code})`;
+    
+    const preview = option => {
+        const convert = option.crs ? position => option.crs.toWGS84(position).reverse() : option.convert;
+        const converted = JSON.parse(JSON.stringify(data));
+        reprojectGeoJSONPositions(converted, convert);
+        converted.crs = getCrsLabel(option);
+        selected = { option, data: converted };
         
-        for (const scale of extremeScales) {
-            // Try normal scaling
-            const scaledCoords = coordinates.map(coord => [
-                coord[0] / scale,
-                coord[1] / scale
-            ]);
-            
-            const firstScaled = scaledCoords[0];
-            
-            // Check if scaled coordinates are in valid WGS84 ranges
-            if (Math.abs(firstScaled[0]) <= 90 && Math.abs(firstScaled[1]) <= 180) {
-                console.log(`Aggressive scaling successful with scale factor ${scale}:`, firstScaled);
-                return scaledCoords;
-            }
-            
-            // Try swapping coordinates with scaling
-            const swappedScaledCoords = coordinates.map(coord => [
-                coord[1] / scale, // Swap and scale
-                coord[0] / scale
-            ]);
-            
-            const firstSwappedScaled = swappedScaledCoords[0];
-            
-            if (Math.abs(firstSwappedScaled[0]) <= 90 && Math.abs(firstSwappedScaled[1]) <= 180) {
-                console.log(`Aggressive scaling with swap successful with scale factor ${scale}:`, firstSwappedScaled);
-                return swappedScaledCoords;
-            }
-        }
+        list.querySelectorAll('.crs-option').forEach(row => row.classList.toggle('selected', row.dataset.id === option.id));
+        previewLayer.clearLayers();
         
-        // Try offset correction (subtract large numbers)
-        const offsets = [1000000, 100000, 10000, 1000];
-        for (const offset of offsets) {
-            const offsetCoords = coordinates.map(coord => [
-                coord[0] - offset,
-                coord[1] - offset
-            ]);
-            
-            const firstOffset = offsetCoords[0];
-            
-            if (Math.abs(firstOffset[0]) <= 90 && Math.abs(firstOffset[1]) <= 180) {
-                console.log(`Aggressive offset correction successful with offset ${offset}:`, firstOffset);
-                return offsetCoords;
-            }
+        const valid = getGeoJSONPositions(converted).every(isValidLngLat);
+        acceptButton.disabled = !valid;
+        if (!valid) {
+            info.className = 'crs-preview-info invalid';
+            info.textContent = `In ${option.name} these values fall outside valid latitude/longitude ranges.`;
+            return;
         }
         
-        // Last resort: try to preserve relative shape but map to valid coordinates
-        console.log('Last resort: preserving relative shape with valid coordinates');
-        
-        // Calculate the center of the original coordinates
-        const centerX = coordinates.reduce((sum, coord) => sum + coord[0], 0) / coordinates.length;
-        const centerY = coordinates.reduce((sum, coord) => sum + coord[1], 0) / coordinates.length;
-        
-        // Calculate the scale factor to fit within valid ranges
-        const maxX = Math.max(...coordinates.map(c => c[0]));
-        const minX = Math.min(...coordinates.map(c => c[0]));
-        const maxY = Math.max(...coordinates.map(c => c[1]));
-        const minY = Math.min(...coordinates.map(c => c[1]));
-        
-        const rangeX = maxX - minX;
-        const rangeY = maxY - minY;
+        const bounds = L.geoJSON(converted, { style: featurePreviewSelectedStyle }).addTo(previewLayer).getBounds();
+        map.fitBounds(bounds, { padding: [20, 20] });
         
-        // Scale down to fit within valid coordinate ranges while preserving shape
-        const scaleX = rangeX > 0 ? Math.min(10 / rangeX, 1) : 1; // Max 10 degrees spread
-        const scaleY = rangeY > 0 ? Math.min(10 / rangeY, 1) : 1;
+        const center = bounds.getCenter();
+        const width = bounds.getSouthWest().distanceTo(bounds.getSouthEast()) / 1000;
+        const height = bounds.getSouthWest().distanceTo(bounds.getNorthWest()) / 1000;
+        const outside = option.crs && !isInsideCRSExtent([center.lat, center.lng], option.crs.extent, 0.1);
         
-        const correctedCoords = coordinates.map(coord => {
-            // Center the coordinates and scale them down
-            const centeredX = (coord[0] - centerX) * scaleX;
-            const centeredY = (coord[1] - centerY) * scaleY;
-            
-            // Map to a reasonable location (center of Nigeria)
-            const lat = 8.0 + centeredY; // Start from center of Nigeria
-            const lng = 8.0 + centeredX;
-            
-            return [lat, lng];
+        info.className = `crs-preview-info${outside || option.heuristic ? ' warning' : ''}`;
+        info.innerHTML = `
+            <span>Centre ${center.lat.toFixed(5)}, ${center.lng.toFixed(5)}</span>
+            <span>Extent ${width.toFixed(2)} × ${height.toFixed(2)} km</span>
+            ${outside ? `<span>This is outside the area where ${escapeHtml(option.name)} is used.</span>` : ''}
+            ${option.heuristic ? '<span>Heuristic correction: requests using it are flagged for review.</span>' : ''}
+            ${option.crs && option.crs.datumNote ? `<span>${escapeHtml(option.crs.datumNote)}</span>` : ''}
+        `;
+    };
+    
+    const renderOptions = query => {
+        const shown = options.filter(option => !query || option.search.includes(query));
+        list.innerHTML = shown.map(option => `
+            <label class="crs-option${selected && selected.option === option ? ' selected' : ''}" data-id="${escapeHtml(option.id)}">
+                <input type="radio" name="crsOption" ${selected && selected.option === option ? 'checked' : ''}>
+                <span class="crs-option-name">${escapeHtml(option.name)}</span>
+                <span class="crs-option-code">${escapeHtml(option.code)}</span>
+                ${option.fits ? '<span class="crs-badge">Fits data</span>' : ''}
+                ${option.heuristic ? '<span class="crs-badge heuristic">Heuristic</span>' : ''}
+            </label>
+        `).join('') || '<div class="feature-picker-note">No supported coordinate system matches the search.</div>';
+    };
+    
+    list.addEventListener('change', e => {
+        const row = e.target.closest('.crs-option');
+        const option = row && options.find(candidate => candidate.id === row.dataset.id);
+        if (option) preview(option);
+    });
+    
+    modal.querySelector('#crsPickerSearch').addEventListener('input', debounce(e => {
+        renderOptions(e.target.value.trim().toLowerCase());
+    }, 200));
+    
+    acceptButton.addEventListener('click', () => {
+        if (!selected) return;
+        const { option, data: converted } = selected;
+        close();
+        displayUploadedData(converted, fileName, {
+            fileName,
+            crs: getCrsLabel(option),
+            selectedBy: 'user',
+            heuristicCorrection: option.heuristic ? option.name : null
         });
-        
-        console.log('Preserved relative shape with corrected coordinates:', correctedCoords[0]);
-        return correctedCoords;
-        
-    } catch (error) {
-        console.error('Aggressive correction failed:', error);
-        return null;
+    });
+    
+    const cancel = () => {
+        close();
+        showNotification(`${escapeHtml(fileName)} was not loaded. Choose its coordinate system to use it as an AOI.`, 'info');
+    };
+    
+    modal.querySelector('#crsPickerHelp').addEventListener('click', showCoordinateSystemHelp);
+    modal.querySelector('#closeCrsPicker').addEventListener('click', cancel);
+    modal.querySelector('#cancelCrsPicker').addEventListener('click', cancel);
+    
+    renderOptions('');
+    
+    // WGS 84, or a single matching system, is suggested but still has to be accepted
+    const suggested = inDegrees
+        ? options.find(option => option.id === 'EPSG:4326')
+        : candidates.length === 1 ? options[0] : null;
+    if (suggested) {
+        preview(suggested);
+        list.querySelector(`.crs-option[data-id="${suggested.id}"] input[type="radio"]`).checked = true;
+    }
+}
+
+// Uploaded coordinates are WGS84 by the time they get here; warn when they are
+// far from where the user is looking, which often means a wrong source CRS
+function warnIfFarFromView(coordinates) {
+    const [lat, lng] = coordinates[0];
+    const mapCenter = map.getCenter();
+    const distanceFromCenter = Math.sqrt(
+        Math.pow(lat - mapCenter.lat, 2) + Math.pow(lng - mapCenter.lng, 2)
+    );
+    
+    if (distanceFromCenter > 20) { // More than 20 degrees from map center
+        console.warn('Coordinates seem far from current map view:', { lat, lng, mapCenter });
+        showNotification(`Warning: Coordinates (${lat.toFixed(4)}, ${lng.toFixed(4)}) appear to be far from the current map view. Please verify the coordinate system.`, 'warning');
     }
 }
 
@@ -3078,134 +9214,169 @@ function showCoordinateSystemHelp() {
     document.addEventListener('keydown', handleEscape);
 }
 
-function displayUploadedData(data, fileName) {
-    console.log('=== AOI UPLOAD DEBUG ===');
-    console.log('Processing uploaded data:', data);
-    console.log('File name:', fileName);
-    
-    if (!data) {
-        showNotification(`No valid geometry found in ${fileName}`, 'warning');
-        return;
-    }
-    
-    // Clear existing drawing
-    clearMap();
-    
-    let coordinates;
+// Every polygon of an uploaded GeoJSON object as { coordinates: outer ring, holes: [inner rings] }.
+// Input is GeoJSON ([lng, lat] positions); rings are turned into open [lat, lng] rings here.
+// A closed line is read as a boundary; open lines and points are returned in others
+// for the buffer tool.
+function extractUploadedGeometry(data) {
+    const polygons = [];
+    const others = [];
+    const addRings = rings => polygons.push({
+        coordinates: positionsToLatLngs(rings[0]),
+        holes: rings.slice(1).map(positionsToLatLngs)
+    });
+    const isClosedLine = line => line.length >= 4 &&
+        line[0][0] === line[line.length - 1][0] && line[0][1] === line[line.length - 1][1];
+    const addGeometry = geometry => {
+        if (!geometry) return;
+        if (geometry.type === 'Polygon') {
+            addRings(geometry.coordinates);
+        } else if (geometry.type === 'MultiPolygon') {
+            geometry.coordinates.forEach(addRings);
+        } else if (geometry.type === 'LineString' && isClosedLine(geometry.coordinates)) {
+            addRings([geometry.coordinates]);
+        } else if (geometry.type === 'MultiLineString' && geometry.coordinates.some(isClosedLine)) {
+            geometry.coordinates.forEach(line => addGeometry({ type: 'LineString', coordinates: line }));
+        } else if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(addGeometry);
+        } else if (['LineString', 'MultiLineString', 'Point', 'MultiPoint'].includes(geometry.type)) {
+            others.push(geometry);
+        }
+        console.log('Geometry type:', geometry.type);
+    };
     
     // Handle different data structures
-    if (data.type === 'Polygon') {
-        coordinates = data.coordinates[0];
-        console.log('Data type: Polygon');
-    } else if (data.type === 'LineString') {
-        coordinates = data.coordinates;
-        console.log('Data type: LineString');
+    if (['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString', 'Point', 'MultiPoint', 'GeometryCollection'].includes(data.type)) {
+        addGeometry(data);
     } else if (data.type === 'FeatureCollection') {
         console.log('Data type: FeatureCollection');
         // Handle multiple features
         if (data.features && data.features.length > 0) {
             const firstFeature = data.features[0];
             console.log('First feature:', firstFeature);
-            if (firstFeature.geometry) {
-                if (firstFeature.geometry.type === 'Polygon') {
-                    coordinates = firstFeature.geometry.coordinates[0];
-                    console.log('Feature geometry type: Polygon');
-                } else if (firstFeature.geometry.type === 'LineString') {
-                    coordinates = firstFeature.geometry.coordinates;
-                    console.log('Feature geometry type: LineString');
-                }
-            }
+            addGeometry(firstFeature.geometry);
         }
     } else if (data.geometry) {
         console.log('Data type: Feature with geometry');
         // Handle GeoJSON Feature
-        if (data.geometry.type === 'Polygon') {
-            coordinates = data.geometry.coordinates[0];
-            console.log('Geometry type: Polygon');
-        } else if (data.geometry.type === 'LineString') {
-            coordinates = data.geometry.coordinates;
-            console.log('Geometry type: LineString');
+        addGeometry(data.geometry);
+    }
+    
+    polygons.forEach(polygon => {
+        polygon.coordinates = openRing(polygon.coordinates);
+        polygon.holes = polygon.holes.map(openRing).filter(hole => hole.length >= 3);
+    });
+    
+    return { polygons, others };
+}
+
+// GeoJSON is WGS 84 unless it has a legacy crs member (RFC 7946), and KML and GPX are
+// WGS 84 by definition. Only a shapefile without a .prj leaves the CRS unknown, which
+// mergeShapefileLayers marks with crs: null.
+function hasDeclaredCRS(data) {
+    return data.crs !== null;
+}
+
+function displayUploadedData(data, fileName, source) {
+    console.log('=== AOI UPLOAD DEBUG ===');
+    console.log('Processing uploaded data:', data);
+    console.log('File name:', fileName);
+    
+    if (!data) {
+        showNotification(`No valid geometry found in ${escapeHtml(fileName)}`, 'warning');
+        return;
+    }
+    
+    // A direct array of GeoJSON positions is read as one ring
+    if (Array.isArray(data)) {
+        data = { type: 'Polygon', coordinates: [data] };
+    }
+    
+    // The source CRS is settled once per upload. Files with a known CRS load directly
+    // when their coordinates are valid; anything else goes to the CRS picker.
+    if (!source) {
+        const positions = getGeoJSONPositions(data);
+        if (positions.length > 0 && (!hasDeclaredCRS(data) || !positions.every(isValidLngLat))) {
+            showCrsPicker(data, positions, fileName);
+            return;
         }
-    } else if (Array.isArray(data)) {
-        console.log('Data type: Direct coordinate array');
-        // Handle direct coordinate array
-        coordinates = data;
-    }
-    
-    console.log('Extracted coordinates count:', coordinates ? coordinates.length : 0);
-    console.log('First coordinate:', coordinates ? coordinates[0] : 'none');
-    console.log('Last coordinate:', coordinates ? coordinates[coordinates.length - 1] : 'none');
-    
-    if (coordinates && coordinates.length > 0) {
-        const coordRange = {
-            minLat: Math.min(...coordinates.map(c => c[0])),
-            maxLat: Math.max(...coordinates.map(c => c[0])),
-            minLng: Math.min(...coordinates.map(c => c[1])),
-            maxLng: Math.max(...coordinates.map(c => c[1]))
+        
+        source = {
+            fileName,
+            crs: typeof data.crs === 'string' ? data.crs : 'WGS 84',
+            selectedBy: 'file',
+            heuristicCorrection: null
         };
-        console.log('Coordinate ranges:', coordRange);
     }
     
-    // Validate and fix coordinates
-    if (coordinates && coordinates.length > 0) {
-        console.log('=== COORDINATE VALIDATION ===');
-        console.log('Starting coordinate validation...');
-        
-        const validatedCoordinates = validateAndFixCoordinates(coordinates);
+    // Files with several features let the user choose which ones become the AOI
+    if (data.type === 'FeatureCollection' && data.features && data.features.length > 1) {
+        showFeaturePicker(data, fileName, source);
+        return;
+    }
+    
+    // Clear existing drawing
+    clearMap({ record: false });
+    
+    const { polygons, others } = extractUploadedGeometry(data);
+    const coordinates = polygons.flatMap(polygon => [polygon.coordinates, ...polygon.holes].flat());
+    
+    console.log('Extracted polygons:', polygons.length);
+    console.log('Extracted coordinates count:', coordinates.length);
+    console.log('First coordinate:', coordinates.length > 0 ? coordinates[0] : 'none');
+    console.log('Last coordinate:', coordinates.length > 0 ? coordinates[coordinates.length - 1] : 'none');
+    
+    if (coordinates.length > 0) {
+        // Reduced rather than spread: shapefile rings can exceed the argument limit
+        const coordRange = coordinates.reduce((range, c) => ({
+            minLat: Math.min(range.minLat, c[0]),
+            maxLat: Math.max(range.maxLat, c[0]),
+            minLng: Math.min(range.minLng, c[1]),
+            maxLng: Math.max(range.maxLng, c[1])
+        }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+        console.log('Coordinate ranges:', coordRange);
         
-        if (validatedCoordinates === null) {
-            console.log('Standard validation failed, attempting aggressive correction...');
-            // Try one more aggressive approach - force display with warning
-            const aggressiveCoords = tryAggressiveCorrection(coordinates);
-            
-            if (aggressiveCoords) {
-                console.log('Aggressive correction successful');
-                console.log('Aggressive correction result:', aggressiveCoords[0]);
-                showNotification('Coordinates were corrected using aggressive method. The shape has been preserved but location may need verification.', 'warning');
-                coordinates = aggressiveCoords;
-            } else {
-                console.log('All coordinate correction methods failed');
-                // Coordinates are invalid and cannot be displayed
-                showNotification('Cannot display uploaded data: Invalid coordinate system detected. Please convert to WGS84 latitude/longitude.', 'error');
-                
-                // Show coordinate system help
-                setTimeout(() => {
-                    showCoordinateSystemHelp();
-                }, 1000);
-                
-                return;
-            }
-        } else {
-            console.log('Standard validation successful');
-            coordinates = validatedCoordinates;
+        warnIfFarFromView(coordinates);
+    }
+    
+    let validPolygons = polygons
+        .filter(polygon => polygon.coordinates.length >= 3)
+        .map(polygon => ({ points: polygon.coordinates, holes: polygon.holes }));
+    
+    // Very detailed boundaries are simplified straight away; the Simplify panel then
+    // shows what changed and can restore the original
+    const { autoThreshold } = getSimplifySettings();
+    let autoSimplified = null;
+    if (autoThreshold > 0 && countPolygonVertices(validPolygons) > autoThreshold) {
+        try {
+            const { value, polygons: simplified } = findSimplifySliderValue(validPolygons, autoThreshold);
+            autoSimplified = { original: validPolygons, sliderValue: value };
+            validPolygons = simplified;
+        } catch (error) {
+            console.error('Automatic simplification failed:', error);
         }
-        
-        const firstCoord = coordinates[0];
-        console.log('Final coordinates after validation:', firstCoord);
-        console.log('Coordinate validation complete');
     }
     
-    if (coordinates && coordinates.length >= 3) {
-        // Set polygon points
-        polygonPoints = coordinates;
-        
-        // Create polygon
-        currentPolygon = L.polygon(coordinates, {
-            color: '#0ea5e9',
-            fillColor: '#0ea5e9',
-            fillOpacity: 0.2,
-            weight: 3,
-            opacity: 0.8
-        }).addTo(drawnItems);
+    if (validPolygons.length > 0) {
+        // Create polygons without numbered markers (uploads can be very detailed)
+        const entries = validPolygons.map(polygon => {
+            const entry = createAoiPolygon(polygon.points, {
+                showVertices: false,
+                holes: polygon.holes
+            });
+            addPolygonLayer(entry);
+            return entry;
+        });
+        aoiSource = source;
         
         // Calculate area and perimeter
-        const area = calculatePolygonArea(coordinates);
-        const perimeter = calculatePolygonPerimeter(coordinates);
-        updateAreaInfo(area, perimeter, coordinates);
+        selectPolygon(entries[0].id);
+        recordAoiCommand(`Upload ${fileName}`);
         
         // Fit map to the area
-        if (currentPolygon) {
-            map.fitBounds(currentPolygon.getBounds(), {padding: [20, 20]});
+        const bounds = getAoiBounds();
+        if (bounds) {
+            map.fitBounds(bounds, {padding: [20, 20]});
         }
         
         // Show service selection modal for uploaded AOI
@@ -3215,9 +9386,29 @@ function displayUploadedData(data, fileName) {
         const status = document.getElementById('drawingStatus');
         status.style.display = 'none';
         
-        showNotification(`AOI loaded from ${fileName} successfully! Please select your service type.`, 'success');
+        const polygonText = entries.length > 1 ? ` (${entries.length} polygons)` : '';
+        showNotification(`AOI loaded from ${escapeHtml(fileName)}${polygonText} successfully! Please select your service type.`, 'success');
+        
+        if (autoSimplified) {
+            openSimplifyPanel({ ...autoSimplified, entryIds: entries.map(entry => entry.id), applied: true, fileName });
+        }
+        
+        const invalidEntries = entries.filter(entry => entry.issues && !entry.issues.valid);
+        if (invalidEntries.length > 0) {
+            showNotification(`The boundary in ${escapeHtml(fileName)} has ${invalidEntries.map(entry => describeGeometryIssues(entry.issues)).join('; ')}. The problems are highlighted on the map; use Repair in the analysis panel to fix them.`, 'warning');
+        }
+    } else if (others.length > 0) {
+        // Tracks, roads, rivers and sites enclose no area; buffering them makes one
+        const shapes = geometryToBufferShapes({ type: 'GeometryCollection', geometries: others });
+        const bounds = L.latLngBounds([...shapes.points, ...shapes.lines.flat()]);
+        if (bounds.isValid()) map.fitBounds(bounds, { padding: [20, 20] });
+        
+        recordAoiCommand(`Upload ${fileName}`);
+        openBufferPanel({ fileName, source, shapes });
+        showNotification(`${escapeHtml(fileName)} contains lines or points rather than an area. Choose a buffer distance to turn them into an AOI.`, 'info');
     } else {
-        showNotification(`Invalid geometry in ${fileName}. Please ensure it contains valid polygon or line data.`, 'error');
+        recordAoiCommand(`Upload ${fileName}`);
+        showNotification(`Invalid geometry in ${escapeHtml(fileName)}. Please ensure it contains valid polygon or line data.`, 'error');
     }
 }
 
@@ -4009,7 +10200,7 @@ function showUserDashboard() {
 }
 
 function loadUserRequests() {
-    const userRequests = JSON.parse(localStorage.getItem('userRequests') || '[]');
+    const userRequests = JSON.parse(localStorage.getItem(USER_REQUESTS_KEY) || '[]');
     const requestsContainer = document.getElementById('requestsContainer');
     const totalRequestsEl = document.getElementById('totalRequests');
     const pendingRequestsEl = document.getElementById('pendingRequests');
@@ -4042,13 +10233,13 @@ function loadUserRequests() {
     const requestsHTML = userRequests.map(request => `
         <div class="request-item">
             <div class="request-info">
-                <div class="request-id">${request.requestId}</div>
-                <div class="request-service">${request.serviceName}</div>
+                <div class="request-id">${escapeHtml(request.requestId)}</div>
+                <div class="request-service">${escapeHtml(request.serviceName)}</div>
                 <div class="request-area">${request.area.toFixed(2)} km²</div>
                 <div class="request-date">${new Date(request.timestamp).toLocaleDateString()}</div>
             </div>
             <div class="request-status">
-                <span class="status-badge ${request.status}">${request.status}</span>
+                <span class="status-badge ${escapeHtml(request.status)}">${escapeHtml(request.status)}</span>
             </div>
         </div>
     `).join('');
@@ -0,0 +1,50 @@
+// Ellipsoidal area against GeographicLib (Karney, "Algorithms for geodesics",
+// 2013) for the same rings with geodesic edges. Run with: node tests/area.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMapScript } = require('./helpers/load-map-script');
+
+const app = loadMapScript();
+
+// Rings are [lat, lng]; areas in m² from GeographicLib's PolygonArea on WGS84
+const REFERENCE_POLYGONS = [
+    { name: '1° cell on the equator', ring: [[0, 0], [0, 1], [1, 1], [1, 0]], area: 12308778361.469 },
+    { name: '1° cell at 60°N', ring: [[60, 10], [60, 11], [61, 11], [61, 10]], area: 6122943163.071 },
+    { name: 'Lagos lagoon box', ring: [[6.4, 3.1], [6.4, 3.7], [6.7, 3.7], [6.7, 3.1]], area: 2201571389.926 },
+    { name: 'Abuja city block', ring: [[9.05, 7.48], [9.05, 7.49], [9.06, 7.49], [9.06, 7.48]], area: 1215970.516 },
+    { name: 'octant of the ellipsoid', ring: [[0, 0], [0, 90], [90, 0]], area: 63758202715511.055 },
+    { name: 'box across the antimeridian', ring: [[-17, 179], [-17, -179], [-15, -179], [-15, 179]], area: 47378519562.544 }
+];
+
+// Edges are great circles on the authalic sphere rather than ellipsoidal
+// geodesics, which differ by well under 0.01% at these sizes
+const RELATIVE_TOLERANCE = 1e-4;
+
+function assertClose(actual, expected, tolerance, message) {
+    const error = Math.abs(actual - expected) / Math.abs(expected);
+    assert.ok(error <= tolerance, `${message}: ${actual} vs ${expected} (relative error ${error})`);
+}
+
+for (const { name, ring, area } of REFERENCE_POLYGONS) {
+    test(`ring area matches GeographicLib: ${name}`, () => {
+        assertClose(Math.abs(app.calculateRingAreaWGS84(ring)), area, RELATIVE_TOLERANCE, name);
+    });
+}
+
+test('ring orientation flips the sign but not the size', () => {
+    const ring = REFERENCE_POLYGONS[0].ring;
+    const forward = app.calculateRingAreaWGS84(ring);
+    const reversed = app.calculateRingAreaWGS84(ring.slice().reverse());
+    assert.ok(Math.abs(forward + reversed) < 1e-3);
+});
+
+test('polygon area is reported in km² regardless of orientation', () => {
+    const { ring, area } = REFERENCE_POLYGONS[2];
+    assertClose(app.calculatePolygonArea(ring), area / 1e6, RELATIVE_TOLERANCE, 'forward');
+    assertClose(app.calculatePolygonArea(ring.slice().reverse()), area / 1e6, RELATIVE_TOLERANCE, 'reversed');
+});
+
+test('degenerate rings have no area', () => {
+    assert.equal(app.calculateRingAreaWGS84([[0, 0], [1, 1]]), 0);
+    assert.equal(app.calculatePolygonArea([]), 0);
+});
@@ -0,0 +1,77 @@
+// Coordinate reference systems against published control points.
+// Run with: node tests/crs.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMapScript } = require('./helpers/load-map-script');
+
+const app = loadMapScript();
+const getCRS = code => app.createCRS(app.getCRSDefinition(code));
+
+function assertWithin(actual, expected, tolerance, message) {
+    actual.forEach((value, axis) => {
+        const error = Math.abs(value - expected[axis]);
+        assert.ok(error <= tolerance, `${message} axis ${axis}: ${value} vs ${expected[axis]} (off by ${error})`);
+    });
+}
+
+// IOGP Guidance Note 7-2, Transverse Mercator example: OSGB 1936 / British
+// National Grid, 50°30'N 0°30'E -> E 577274.99, N 69740.49. Published to the
+// centimetre, which is the tolerance.
+test('Transverse Mercator matches the EPSG guidance note example', () => {
+    const airy = { a: 6377563.396, f: 1 / 299.3249646 };
+    const britishNationalGrid = {
+        method: 'transverse_mercator',
+        centralMeridian: -2,
+        latitudeOfOrigin: 49,
+        scaleFactor: 0.9996012717,
+        falseEasting: 400000,
+        falseNorthing: -100000
+    };
+    
+    assertWithin(app.transverseMercatorForward(50.5, 0.5, airy, britishNationalGrid), [577274.99, 69740.49], 0.01, 'forward');
+    assertWithin(app.transverseMercatorInverse(577274.99, 69740.49, airy, britishNationalGrid), [50.5, 0.5], 1e-7, 'inverse');
+});
+
+// WGS84 [lat, lng] -> [easting, northing] from PROJ for the same EPSG
+// definitions. Minna systems use the TOWGS84 -92,-93,122 shift in PROJ too, so
+// these check the projection and the Helmert code, not the shift's accuracy.
+const CONTROL_POINTS = [
+    { code: 'EPSG:32631', latLng: [48.8584, 2.2945], expected: [448252.001, 5411954.910], tolerance: 0.002 },
+    { code: 'EPSG:32631', latLng: [52.37, 4.89], expected: [628671.173, 5803872.966], tolerance: 0.002 },
+    { code: 'EPSG:32632', latLng: [47.37, 8.54], expected: [465270.423, 5246384.776], tolerance: 0.002 },
+    { code: 'EPSG:32632', latLng: [9.06, 7.49], expected: [334038.935, 1001830.050], tolerance: 0.002 },
+    { code: 'EPSG:32633', latLng: [52.52, 13.405], expected: [391779.259, 5820072.159], tolerance: 0.002 },
+    { code: 'EPSG:32633', latLng: [41.9, 12.5], expected: [292624.875, 4641695.878], tolerance: 0.002 },
+    { code: 'EPSG:26331', latLng: [6.45, 3.39], expected: [543212.885, 712845.862], tolerance: 0.002 },
+    { code: 'EPSG:26332', latLng: [9.06, 7.49], expected: [334115.881, 1001710.288], tolerance: 0.002 },
+    { code: 'EPSG:26391', latLng: [6.45, 3.39], expected: [108058.760, 270916.618], tolerance: 0.02 },
+    { code: 'EPSG:26392', latLng: [9.06, 7.49], expected: [559615.073, 559517.271], tolerance: 0.02 },
+    { code: 'EPSG:4263', latLng: [9.06, 7.49], expected: [7.49072961, 9.05974316], tolerance: 1e-6 }
+];
+
+for (const { code, latLng, expected, tolerance } of CONTROL_POINTS) {
+    test(`${code} converts ${latLng.join(', ')} within ${tolerance}`, () => {
+        const crs = getCRS(code);
+        assertWithin(crs.fromWGS84(latLng), expected, tolerance, `${code} forward`);
+        assertWithin(crs.toWGS84(expected), latLng, 1e-6, `${code} inverse`);
+    });
+}
+
+test('Minna UTM zones cover Nigeria either side of 6°E', () => {
+    const zone31 = app.getCRSDefinition('EPSG:26331').extent;
+    const zone32 = app.getCRSDefinition('EPSG:26332').extent;
+    assert.deepEqual([...zone31], [3.57, 2.69, 13.9, 6]);
+    assert.deepEqual([...zone32], [3.57, 6, 13.9, 12]);
+    
+    const lagos = getCRS('EPSG:26331').fromWGS84([6.45, 3.39]);
+    const kano = getCRS('EPSG:26332').fromWGS84([12, 8.52]);
+    const codes = positions => app.findCandidateProjectedCRS(positions).map(crs => crs.code);
+    assert.ok(codes([lagos]).includes('EPSG:26331'));
+    assert.ok(codes([kano]).includes('EPSG:26332'));
+    assert.ok(!codes([kano]).includes('EPSG:26331'));
+});
+
+test('Minna systems state the accuracy of their datum shift', () => {
+    assert.match(getCRS('EPSG:26332').datumNote, /three-parameter/);
+    assert.equal(getCRS('EPSG:32632').datumNote, null);
+});
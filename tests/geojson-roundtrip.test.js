@@ -0,0 +1,88 @@
+// AOI polygons written as GeoJSON and read back through the upload path.
+// Run with: node tests/geojson-roundtrip.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Blob } = require('buffer');
+const { loadMapScript } = require('./helpers/load-map-script');
+
+// The upload path logs every geometry it reads
+const app = loadMapScript({ Blob, console: { ...console, log: () => {} } });
+const geojsonFormat = app.get('EXPORT_FORMATS').find(format => format.id === 'geojson');
+
+// Two polygons near Abuja in [lat, lng], already wound the way the export writes
+// them (outer rings counter-clockwise, holes clockwise in lng/lat), so they
+// should come back vertex for vertex
+const AOI = [
+    {
+        points: [[9.0, 7.4], [9.0, 7.5], [9.1, 7.5], [9.1, 7.4]],
+        holes: [
+            [[9.02, 7.42], [9.04, 7.42], [9.04, 7.44], [9.02, 7.44]],
+            [[9.06, 7.46], [9.08, 7.46], [9.08, 7.48], [9.06, 7.48]]
+        ]
+    },
+    {
+        points: [[9.2, 7.6], [9.2, 7.7], [9.3, 7.65]],
+        holes: [[[9.22, 7.64], [9.25, 7.65], [9.22, 7.66]]]
+    }
+];
+
+// Plain arrays: values built inside the script's context fail deepEqual on prototype
+const plain = value => JSON.parse(JSON.stringify(value));
+
+async function writeGeoJSON(polygons) {
+    const blob = geojsonFormat.build(app.getAoiExportFeatures(polygons));
+    return JSON.parse(await blob.text());
+}
+
+test('exported file holds closed [lng, lat] rings', async () => {
+    const file = await writeGeoJSON(AOI);
+    
+    assert.equal(file.type, 'FeatureCollection');
+    assert.equal(file.features.length, 2);
+    file.features.forEach((feature, index) => {
+        const rings = feature.geometry.coordinates;
+        const expected = [AOI[index].points, ...AOI[index].holes];
+        assert.equal(feature.geometry.type, 'Polygon');
+        assert.equal(rings.length, expected.length);
+        rings.forEach((ring, ringIndex) => {
+            assert.deepEqual(ring[0], ring[ring.length - 1], 'ring is closed');
+            assert.deepEqual(ring.slice(0, -1), expected[ringIndex].map(([lat, lng]) => [lng, lat]));
+        });
+    });
+});
+
+test('exported file reads back as the same [lat, lng] rings', async () => {
+    const file = await writeGeoJSON(AOI);
+    // The feature picker's "use all" passes the chosen geometries on together
+    const { polygons, others } = app.extractUploadedGeometry({
+        type: 'GeometryCollection',
+        geometries: file.features.map(feature => feature.geometry)
+    });
+    
+    assert.equal(others.length, 0);
+    assert.deepEqual(plain(polygons), AOI.map(polygon => ({ coordinates: polygon.points, holes: polygon.holes })));
+});
+
+test('MultiPolygon with holes round-trips', () => {
+    const written = JSON.parse(JSON.stringify(app.buildAoiMultiPolygon(AOI)));
+    const { polygons } = app.extractUploadedGeometry(written);
+    
+    assert.deepEqual(written.coordinates[0][0][1], [7.5, 9.0], 'positions are [lng, lat] on disk');
+    assert.deepEqual(plain(polygons), AOI.map(polygon => ({ coordinates: polygon.points, holes: polygon.holes })));
+});
+
+test('rings wound the other way are rewound on export and keep their vertices', () => {
+    const reversed = AOI.map(polygon => ({
+        points: polygon.points.slice().reverse(),
+        holes: polygon.holes.map(hole => hole.slice().reverse())
+    }));
+    const written = JSON.parse(JSON.stringify(app.buildAoiMultiPolygon(reversed)));
+    const { polygons } = app.extractUploadedGeometry(written);
+    
+    polygons.forEach((polygon, index) => {
+        assert.deepEqual(plain(polygon.coordinates).reverse(), reversed[index].points);
+        plain(polygon.holes).forEach((hole, holeIndex) => assert.deepEqual(hole.reverse(), reversed[index].holes[holeIndex]));
+        assert.ok(app.planarRingArea(written.coordinates[index][0]) > 0, 'outer ring counter-clockwise');
+        written.coordinates[index].slice(1).forEach(hole => assert.ok(app.planarRingArea(hole) < 0, 'hole clockwise'));
+    });
+});
@@ -0,0 +1,102 @@
+// Self-intersection detection and the "split into parts" repair on tangled rings.
+// Run with: node tests/geometry-repair.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMapScript } = require('./helpers/load-map-script');
+
+// The page loads polygon-clipping from a CDN to merge overlapping loops; here it
+// is used when installed, and the test that needs it is skipped otherwise
+let polygonClipping;
+try {
+    polygonClipping = require('polygon-clipping');
+} catch (error) {
+    polygonClipping = undefined;
+}
+
+const app = loadMapScript(polygonClipping ? { polygonClipping } : {});
+// Repair redraws layers and reports through the UI; none of that exists here
+['addPolygonLayer', 'selectPolygon', 'recordAoiCommand', 'showNotification', 'updateAoiSummary']
+    .forEach(name => { app[name] = () => {}; });
+
+// Shapes are drawn on a grid of 0.01° cells near Abuja, as [x, y] = [lng, lat] steps
+const toRing = steps => steps.map(([x, y]) => [9 + y * 0.01, 7 + x * 0.01]);
+const RELATIVE_TOLERANCE = 1e-9;
+
+function assertClose(actual, expected, message) {
+    const error = Math.abs(actual - expected) / Math.abs(expected);
+    assert.ok(error <= RELATIVE_TOLERANCE, `${message}: ${actual} vs ${expected} (relative error ${error})`);
+}
+
+// Puts `ring` on the map as the only polygon, repairs it and returns what is left
+function repair(ring) {
+    const polygons = app.get('aoiPolygons');
+    polygons.length = 0;
+    const entry = app.createAoiPolygon(ring.map(point => point.slice()));
+    entry.issues = app.analyzePolygonGeometry(entry);
+
+    app.repairAoiGeometry();
+    return app.get('aoiPolygons');
+}
+
+function assertRepaired(parts, expectedArea) {
+    parts.forEach((part, index) => assert.ok(app.analyzePolygonGeometry(part).valid, `part ${index + 1} is valid`));
+    assertClose(parts.reduce((sum, part) => sum + app.getPolygonArea(part), 0), expectedArea, 'total area');
+}
+
+test('bow-tie splits into its two triangles', () => {
+    const ring = toRing([[0, 0], [2, 2], [2, 0], [0, 2]]);
+
+    const intersections = app.findSelfIntersections(ring);
+    assert.equal(intersections.length, 1);
+    assert.deepEqual([...intersections[0].point], toRing([[1, 1]])[0]);
+
+    // The lobes wind opposite ways, so the ring's own area cancels out
+    const parts = repair(ring);
+    assert.equal(parts.length, 2);
+    assertRepaired(parts, app.calculatePolygonArea(toRing([[0, 0], [1, 1], [0, 2]])) +
+        app.calculatePolygonArea(toRing([[2, 2], [1, 1], [2, 0]])));
+});
+
+test('figure-eight with overlapping loops is merged into their union', { skip: !polygonClipping && 'polygon-clipping is not installed' }, () => {
+    // A 2×2 square whose outline wanders out over two 1×1 cells, crossing itself three
+    // times; the cell where the loops overlap is covered twice
+    const ring = toRing([[0, 0], [2, 0], [2, 3], [1, 3], [1, 1], [3, 1], [3, 2], [0, 2]]);
+
+    const intersections = app.findSelfIntersections(ring);
+    assert.deepEqual(Array.from(intersections, ({ i, j }) => [i, j]), [[1, 4], [1, 6], [3, 6]]);
+
+    const union = toRing([[0, 0], [2, 0], [2, 1], [3, 1], [3, 2], [2, 2], [2, 3], [1, 3], [1, 2], [0, 2]]);
+    const parts = repair(ring);
+    assert.equal(parts.length, 1);
+    assertRepaired(parts, app.calculatePolygonArea(union));
+});
+
+test('duplicate vertex is dropped without splitting', () => {
+    const ring = toRing([[0, 0], [2, 0], [2, 0], [2, 2], [0, 2]]);
+
+    // The zero-length edge makes its neighbours meet, which is why duplicates are
+    // removed before crossings are looked for
+    assert.equal(app.findSelfIntersections(ring).length, 1);
+    assert.equal(app.findSelfIntersections(app.removeDuplicateVertices(ring)).length, 0);
+
+    const parts = repair(ring);
+    assert.equal(parts.length, 1);
+    assert.equal(parts[0].points.length, 4);
+    assertRepaired(parts, app.calculatePolygonArea(toRing([[0, 0], [2, 0], [2, 2], [0, 2]])));
+});
+
+test('zero-area spike is removed without splitting', () => {
+    // Out to (1, 3) and back to (1, 2) on the top edge
+    const ring = toRing([[0, 0], [2, 0], [2, 2], [1, 2], [1, 3], [1, 2], [0, 2]]);
+
+    // The spike's edges overlap the outline; once it is cleaned away nothing crosses
+    assert.equal(app.findSelfIntersections(ring).length, 3);
+    assert.equal(app.findSelfIntersections(app.cleanRing(ring)).length, 0);
+
+    const parts = repair(ring);
+    assert.equal(parts.length, 1);
+    const [tip] = toRing([[1, 3]]);
+    assert.equal(parts[0].points.length, 5);
+    assert.ok(!parts[0].points.some(point => app.pointsEqual(point, tip)), 'spike tip is gone');
+    assertRepaired(parts, app.calculatePolygonArea(toRing([[0, 0], [2, 0], [2, 2], [1, 2], [0, 2]])));
+});
@@ -0,0 +1,36 @@
+// Loads map-script.js into a bare Node context so its geometry and file
+// functions can be tested without a browser. Only the globals the script
+// touches while loading are stubbed; anything that needs Leaflet or the DOM
+// at call time is not available.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'map-script.js');
+
+function loadMapScript(globals = {}) {
+    const noop = () => {};
+    const context = {
+        console,
+        setTimeout: noop,
+        setInterval: noop,
+        clearTimeout: noop,
+        clearInterval: noop,
+        document: {
+            addEventListener: noop,
+            createElement: () => ({ style: {} }),
+            head: { appendChild: noop }
+        },
+        window: { addEventListener: noop },
+        localStorage: { getItem: () => null, setItem: noop, removeItem: noop },
+        ...globals
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: 'map-script.js' });
+    
+    // Top-level const and let bindings are not properties of the context object
+    context.get = name => vm.runInContext(name, context);
+    return context;
+}
+
+module.exports = { loadMapScript };